@@ -0,0 +1,191 @@
+// Política padrão dos circuit breakers; routes.json pode mudar qualquer campo
+// no geral (`circuitBreaker`), por serviço ou por rota (ver RouteTable)
+const DEFAULT_POLICY = {
+    window: 60000,          // janela móvel das chamadas avaliadas, em ms
+    minimumCalls: 5,        // chamadas na janela antes de avaliar as taxas
+    failureRate: 50,        // % de falhas que abre o circuito
+    slowCallDuration: 5000, // chamada mais demorada que isto (ms) conta como lenta
+    slowCallRate: 100,      // % de chamadas lentas que abre o circuito
+    openDuration: 30000,    // tempo aberto antes de testar o serviço de novo (half-open)
+    halfOpenRequests: 3     // requisições de teste no half-open; todas precisam dar certo
+};
+
+const POSITIVE_FIELDS = ['window', 'minimumCalls', 'slowCallDuration', 'openDuration', 'halfOpenRequests'];
+const RATE_FIELDS = ['failureRate', 'slowCallRate'];
+
+// Circuit breaker de três estados de um serviço (ou de uma rota):
+//   closed    - as requisições passam e o resultado de cada uma entra na janela
+//               móvel; com pelo menos `minimumCalls` chamadas, taxa de falhas
+//               >= `failureRate` ou de lentas >= `slowCallRate` abre o circuito
+//   open      - as requisições são recusadas na hora, por `openDuration`
+//   half-open - só `halfOpenRequests` requisições de teste passam: se todas
+//               derem certo (e não forem lentas), fecha; qualquer falha reabre
+// trip() abre o circuito manualmente até um reset().
+class CircuitBreaker {
+    // `policy` completa, como a devolvida por resolvePolicy()
+    constructor(name, policy = DEFAULT_POLICY) {
+        this.name = name;
+        this.policy = policy;
+        this.calls = []; // { at, failure, slow } dentro da janela
+        this.forced = false;
+        this.generation = 0; // muda a cada transição: resultados antigos são ignorados
+        this.transition('closed', 'criado');
+    }
+
+    // Mescla as camadas sobre a política padrão e valida; lança erro se inválida
+    static resolvePolicy(...layers) {
+        const policy = { ...DEFAULT_POLICY };
+        layers.filter(Boolean).forEach(layer => {
+            if (typeof layer !== 'object' || Array.isArray(layer)) {
+                throw new Error('circuitBreaker deve ser um objeto');
+            }
+            Object.entries(layer).forEach(([field, value]) => {
+                if (!(field in DEFAULT_POLICY)) {
+                    throw new Error(`circuitBreaker: campo desconhecido ${field} (use ${Object.keys(DEFAULT_POLICY).join(', ')})`);
+                }
+                if (POSITIVE_FIELDS.includes(field) && !(Number.isInteger(value) && value > 0)) {
+                    throw new Error(`circuitBreaker: ${field} deve ser um inteiro > 0`);
+                }
+                if (RATE_FIELDS.includes(field) && !(typeof value === 'number' && value > 0 && value <= 100)) {
+                    throw new Error(`circuitBreaker: ${field} deve estar entre 0 e 100 (%)`);
+                }
+                policy[field] = value;
+            });
+        });
+        return policy;
+    }
+
+    // Nova política (recarga de routes.json), mantendo o estado e a janela
+    configure(policy) {
+        this.policy = policy;
+    }
+
+    get state() {
+        this.refresh();
+        return this.currentState;
+    }
+
+    transition(state, reason) {
+        const from = this.currentState;
+        this.currentState = state;
+        this.generation++;
+        this.changedAt = Date.now();
+        this.reason = reason;
+        this.trials = 0;
+        this.successes = 0;
+        if (state === 'closed') {
+            this.calls = [];
+        }
+        if (from) {
+            console.log(`⚡ Circuit breaker ${this.name}: ${from} -> ${state} (${reason})`);
+        }
+    }
+
+    // Aberto há `openDuration`: passa a aceitar requisições de teste
+    refresh() {
+        if (this.currentState === 'open' && !this.forced &&
+            Date.now() - this.changedAt >= this.policy.openDuration) {
+            this.transition('half-open', `${this.policy.openDuration}ms aberto`);
+        }
+    }
+
+    // Pede passagem para uma requisição. Retorna null se o circuito a recusa ou
+    // a função que registra o resultado: record({ failure, duration }), ou
+    // record(null) se a requisição não chegou a ser feita (não conta).
+    acquire() {
+        this.refresh();
+        if (this.currentState === 'open') return null;
+        if (this.currentState === 'half-open') {
+            if (this.trials >= this.policy.halfOpenRequests) return null;
+            this.trials++;
+        }
+
+        const generation = this.generation;
+        let recorded = false;
+        return outcome => {
+            if (recorded) return;
+            recorded = true;
+            if (generation !== this.generation) return;
+
+            if (!outcome) {
+                if (this.currentState === 'half-open') this.trials--;
+                return;
+            }
+            this.record(outcome.failure, outcome.duration >= this.policy.slowCallDuration);
+        };
+    }
+
+    record(failure, slow) {
+        if (this.currentState === 'half-open') {
+            if (failure || slow) {
+                this.open(`requisição de teste ${failure ? 'falhou' : 'lenta'}`);
+            } else if (++this.successes >= this.policy.halfOpenRequests) {
+                this.transition('closed', `${this.successes} requisições de teste bem-sucedidas`);
+            }
+            return;
+        }
+
+        this.calls.push({ at: Date.now(), failure, slow });
+        const stats = this.windowStats();
+        if (stats.calls < this.policy.minimumCalls) return;
+
+        if (stats.failureRate >= this.policy.failureRate) {
+            this.open(`${stats.failureRate}% de falhas em ${stats.calls} chamadas`);
+        } else if (stats.slowCallRate >= this.policy.slowCallRate) {
+            this.open(`${stats.slowCallRate}% de chamadas lentas em ${stats.calls} chamadas`);
+        }
+    }
+
+    open(reason) {
+        this.transition('open', reason);
+    }
+
+    windowStats() {
+        const since = Date.now() - this.policy.window;
+        while (this.calls.length > 0 && this.calls[0].at <= since) {
+            this.calls.shift();
+        }
+
+        const calls = this.calls.length;
+        const failures = this.calls.filter(call => call.failure).length;
+        const slowCalls = this.calls.filter(call => call.slow).length;
+        const rate = count => (calls > 0 ? Math.round((count / calls) * 100) : 0);
+        return { calls, failures, slowCalls, failureRate: rate(failures), slowCallRate: rate(slowCalls) };
+    }
+
+    // Abre o circuito manualmente; só volta com reset()
+    trip(reason = 'aberto manualmente') {
+        this.forced = true;
+        this.open(reason);
+    }
+
+    reset(reason = 'fechado manualmente') {
+        this.forced = false;
+        this.transition('closed', reason);
+    }
+
+    // Segundos até o circuito aceitar requisições de teste (header Retry-After)
+    retryAfter() {
+        if (this.state !== 'open' || this.forced) return null;
+        return Math.max(1, Math.ceil((this.changedAt + this.policy.openDuration - Date.now()) / 1000));
+    }
+
+    describe() {
+        const state = this.state;
+        return {
+            name: this.name,
+            state,
+            forced: this.forced,
+            since: new Date(this.changedAt).toISOString(),
+            reason: this.reason,
+            retryAfter: this.retryAfter(),
+            window: this.windowStats(),
+            halfOpen: state === 'half-open' ? { trials: this.trials, successes: this.successes } : null,
+            policy: this.policy
+        };
+    }
+}
+
+CircuitBreaker.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = CircuitBreaker;
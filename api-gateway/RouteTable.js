@@ -0,0 +1,238 @@
+const fs = require('fs');
+
+const { createPlugin } = require('./plugins');
+const CircuitBreaker = require('./CircuitBreaker');
+const { resolveRetryPolicy } = require('./retry');
+const { ServiceRegistry } = require('../shared/registry');
+
+// Intervalo de verificação do arquivo de rotas (recarregado ao mudar)
+const RELOAD_INTERVAL = 2000;
+
+// Timeout padrão das rotas, em ms
+const DEFAULT_TIMEOUT = 10000;
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Tabela de rotas do gateway (routes.json). Cada rota encaminha um prefixo
+// para um serviço do registry:
+//
+//   {
+//     "circuitBreaker": { "failureRate": 50, "openDuration": 30000 },
+//     "retry": { "attempts": 3, "baseDelay": 100 },
+//     "services": { "list-service": { "url": "http://localhost:3002", "circuitBreaker": { ... } } },
+//     "routes": [
+//       {
+//         "name": "lists",
+//         "path": "/api/lists",
+//         "service": "list-service",
+//         "rewrite": "/lists",
+//         "methods": ["GET", "POST", "PUT", "DELETE"],
+//         "timeout": 10000,
+//         "auth": true,
+//         "idempotent": true,
+//         "plugins": ["request-id", { "name": "rate-limit", "limit": 100, "window": 60000 }]
+//       }
+//     ]
+//   }
+//
+// `path` casa o prefixo e tudo abaixo dele, e segmentos `:nome` casam um
+// segmento qualquer. `rewrite` troca o prefixo casado (pode usar os mesmos
+// `:nome`); sem ele, o caminho segue igual. Vale a primeira rota que casar.
+// `methods` (padrão: todos), `timeout` (ms), `auth` (exige token Bearer) e
+// `plugins` (ver plugins.js) são opcionais. `timeout` é o prazo total da
+// requisição, somando as retentativas. `idempotent` indica que todos os POST e
+// PATCH da rota honram o header Idempotency-Key (shared/idempotency): só
+// nessas rotas o gateway repete um POST/PATCH com a chave. Em `services`, `url` é o endereço
+// usado enquanto o serviço não se registrar (entrada estática no registry).
+//
+// `circuitBreaker` (ver CircuitBreaker.js) vale para todos; em `services` muda a
+// política do serviço e, numa rota, dá à rota um circuit breaker próprio
+// (`serviço:rota`) em vez do compartilhado pelo serviço. `retry` (ver retry.js)
+// segue as mesmas camadas: geral, por serviço e por rota.
+class RouteTable {
+    constructor(routesFile) {
+        this.routesFile = routesFile;
+        this.services = {};
+        this.routes = [];
+        this.retry = resolveRetryPolicy();
+        this.listeners = [];
+        this.load();
+
+        fs.watchFile(this.routesFile, { interval: RELOAD_INTERVAL }, () => this.reload()).unref();
+    }
+
+    load() {
+        const config = JSON.parse(fs.readFileSync(this.routesFile, 'utf8'));
+        const routes = this.compile(config);
+        this.services = config.services || {};
+        this.retry = resolveRetryPolicy(config.retry);
+        this.routes = routes;
+
+        console.log(`Tabela de rotas carregada: ${routes.map(route => `${route.path} -> ${route.service}`).join(', ') || 'nenhuma rota'}`);
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    // Ao editar o arquivo; uma tabela inválida é ignorada e a anterior continua valendo
+    reload() {
+        try {
+            this.load();
+        } catch (error) {
+            console.error(`Erro ao recarregar ${this.routesFile}, mantendo as rotas anteriores:`, error.message);
+        }
+    }
+
+    // Ouvinte chamado a cada carga bem-sucedida da tabela
+    onReload(listener) {
+        this.listeners.push(listener);
+    }
+
+    compile(config) {
+        const fail = message => {
+            const error = new Error(`Tabela de rotas inválida: ${message}`);
+            error.code = 'EROUTETABLE';
+            throw error;
+        };
+
+        if (!config || typeof config !== 'object' || !Array.isArray(config.routes)) {
+            fail('o arquivo precisa de uma lista "routes"');
+        }
+        const breakerPolicy = (where, ...layers) => {
+            try {
+                return CircuitBreaker.resolvePolicy(config.circuitBreaker, ...layers);
+            } catch (error) {
+                return fail(`${where}: ${error.message}`);
+            }
+        };
+        const retryPolicy = (where, ...layers) => {
+            try {
+                return resolveRetryPolicy(config.retry, ...layers);
+            } catch (error) {
+                return fail(`${where}: ${error.message}`);
+            }
+        };
+        const validateService = (where, serviceName) => {
+            try {
+                ServiceRegistry.validateInstance(serviceName);
+            } catch (error) {
+                fail(`${where}: ${error.message}`);
+            }
+        };
+        const services = config.services || {};
+        Object.entries(services).forEach(([serviceName, service]) => {
+            validateService(`services.${serviceName}`, serviceName);
+            if (service.url !== undefined && typeof service.url !== 'string') fail(`services.${serviceName}.url deve ser uma string`);
+            breakerPolicy(`services.${serviceName}`, service.circuitBreaker);
+            retryPolicy(`services.${serviceName}`, service.retry);
+        });
+
+        return config.routes.map((route, position) => {
+            const where = `routes[${position}]${route && route.name ? ` (${route.name})` : ''}`;
+            if (!route || typeof route.path !== 'string' || !route.path.startsWith('/')) fail(`${where}: path deve começar com /`);
+            if (typeof route.service !== 'string' || !route.service) fail(`${where}: service é obrigatório`);
+            validateService(where, route.service);
+            if (route.rewrite !== undefined && (typeof route.rewrite !== 'string' || !route.rewrite.startsWith('/'))) {
+                fail(`${where}: rewrite deve começar com /`);
+            }
+            if (route.timeout !== undefined && !(Number.isInteger(route.timeout) && route.timeout > 0)) {
+                fail(`${where}: timeout deve ser um inteiro > 0 (ms)`);
+            }
+            if (route.auth !== undefined && typeof route.auth !== 'boolean') fail(`${where}: auth deve ser true ou false`);
+            if (route.idempotent !== undefined && typeof route.idempotent !== 'boolean') fail(`${where}: idempotent deve ser true ou false`);
+
+            const methods = route.methods === undefined ? null : route.methods;
+            if (methods !== null && (!Array.isArray(methods) || methods.length === 0)) fail(`${where}: methods deve ser uma lista`);
+            (methods || []).forEach(method => {
+                if (!HTTP_METHODS.includes(String(method).toUpperCase())) fail(`${where}: método desconhecido ${method}`);
+            });
+
+            const { pattern, params } = this.compilePath(route.path);
+            ((route.rewrite || '').match(/:\w+/g) || []).forEach(param => {
+                if (!params.includes(param.slice(1))) fail(`${where}: rewrite usa ${param}, que não está em path`);
+            });
+
+            let plugins;
+            try {
+                plugins = (route.plugins || []).map(createPlugin);
+            } catch (error) {
+                fail(`${where}: ${error.message}`);
+            }
+
+            const name = route.name || String(position);
+            const service = services[route.service] || {};
+
+            return {
+                name,
+                path: route.path,
+                service: route.service,
+                rewrite: route.rewrite || null,
+                methods: methods && methods.map(method => method.toUpperCase()),
+                timeout: route.timeout || DEFAULT_TIMEOUT,
+                auth: route.auth === true,
+                idempotent: route.idempotent === true,
+                plugins: route.plugins || [],
+                circuitBreaker: {
+                    name: route.circuitBreaker ? `${route.service}:${name}` : route.service,
+                    policy: breakerPolicy(where, service.circuitBreaker, route.circuitBreaker)
+                },
+                retry: retryPolicy(where, service.retry, route.retry),
+                pattern,
+                params,
+                middleware: plugins
+            };
+        });
+    }
+
+    // Prefixo casando até o fim de um segmento, sem diferenciar maiúsculas (como o Express)
+    compilePath(path) {
+        const params = [];
+        const source = path.replace(/\/+$/, '').split('/').map(segment => {
+            if (segment.startsWith(':')) {
+                params.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            return escapeRegExp(segment);
+        }).join('/');
+        return { pattern: new RegExp(`^${source}(?=/|$)`, 'i'), params };
+    }
+
+    // Rota do caminho (sem a query) e o caminho no serviço: { route, targetPath } ou null
+    match(requestPath) {
+        for (const route of this.routes) {
+            const matched = route.pattern.exec(requestPath);
+            if (!matched) continue;
+
+            const rest = requestPath.slice(matched[0].length);
+            if (!route.rewrite) {
+                return { route, targetPath: requestPath };
+            }
+            const values = {};
+            route.params.forEach((name, position) => { values[name] = matched[position + 1]; });
+            const base = route.rewrite.replace(/:(\w+)/g, (match, name) => values[name]);
+            return { route, targetPath: (base.replace(/\/+$/, '') + rest) || '/' };
+        }
+        return null;
+    }
+
+    // Política de retentativas do serviço fora das rotas (ex. chamadas do dashboard)
+    retryPolicyFor(serviceName) {
+        return resolveRetryPolicy(this.retry, (this.services[serviceName] || {}).retry);
+    }
+
+    allowsMethod(route, method) {
+        if (!route.methods) return true;
+        const upper = method.toUpperCase();
+        return route.methods.includes(upper) || (upper === 'HEAD' && route.methods.includes('GET'));
+    }
+
+    // Rotas como no arquivo, para GET /routes e as listas de endpoints
+    describe() {
+        return this.routes.map(({ name, path, service, rewrite, methods, timeout, auth, idempotent, plugins, circuitBreaker, retry }) =>
+            ({ name, path, service, rewrite, methods, timeout, auth, idempotent, plugins, circuitBreaker: circuitBreaker.name, retry }));
+    }
+}
+
+RouteTable.DEFAULT_TIMEOUT = DEFAULT_TIMEOUT;
+
+module.exports = RouteTable;
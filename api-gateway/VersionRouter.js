@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+// Mesmo segredo do user-service, que emite os tokens
+const JWT_SECRET = process.env.JWT_SECRET || 'user-secret';
+
+// Intervalo de verificação do arquivo de regras (recarregado ao mudar)
+const RELOAD_INTERVAL = 2000;
+
+// Roteamento por versão das instâncias (canary e blue/green). O arquivo de
+// regras tem, por serviço, as regras em ordem e o alvo padrão:
+//
+//   {
+//     "list-service": {
+//       "default": { "version": "1.0.0" },
+//       "rules": [
+//         { "name": "equipe", "header": { "x-canary": "true" }, "target": { "version": "1.1.0" } },
+//         { "name": "beta", "users": ["<userId>"], "target": { "version": "1.1.0" } },
+//         { "name": "canary", "percent": 10, "target": { "version": "1.1.0" } }
+//       ]
+//     }
+//   }
+//
+// Vale a primeira regra em que todas as condições presentes (header, users,
+// percent) são atendidas; sem nenhuma, vale `default` e, sem ele, qualquer
+// instância. O alvo é { version, tags } (tags para blue/green, ex. ["green"]).
+// O percentual usa um bucket fixo (0-99) por regra e usuário (id do token, se a
+// assinatura for válida) ou, sem token válido, por IP: o mesmo usuário fica sempre do mesmo lado, e aumentar o
+// percentual só move usuários para a versão nova.
+class VersionRouter {
+    constructor(rulesFile) {
+        this.rulesFile = rulesFile;
+        this.rules = {};
+        this.load();
+
+        fs.watchFile(this.rulesFile, { interval: RELOAD_INTERVAL }, () => this.reload()).unref();
+    }
+
+    load() {
+        if (!fs.existsSync(this.rulesFile)) {
+            this.rules = {};
+            return;
+        }
+        const rules = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+        this.validate(rules);
+        this.rules = rules;
+
+        const services = Object.keys(rules);
+        console.log(`Regras de roteamento por versão carregadas: ${services.length > 0 ? services.join(', ') : 'nenhuma'}`);
+    }
+
+    // Ao editar o arquivo; regras inválidas são ignoradas e as anteriores continuam valendo
+    reload() {
+        try {
+            this.load();
+        } catch (error) {
+            console.error(`Erro ao recarregar ${this.rulesFile}, mantendo as regras anteriores:`, error.message);
+        }
+    }
+
+    validate(rules) {
+        const fail = message => {
+            const error = new Error(`Regras de roteamento inválidas: ${message}`);
+            error.code = 'EROUTINGRULES';
+            throw error;
+        };
+        const checkTarget = (target, where) => {
+            if (!target || typeof target !== 'object' || (!target.version && !(target.tags && target.tags.length))) {
+                fail(`${where} precisa de target com version ou tags`);
+            }
+            if (target.tags && !Array.isArray(target.tags)) fail(`${where}: tags deve ser uma lista`);
+        };
+
+        Object.entries(rules).forEach(([serviceName, config]) => {
+            if (config.default) checkTarget(config.default, `${serviceName}.default`);
+            (config.rules || []).forEach((rule, position) => {
+                const where = `${serviceName}.rules[${position}]`;
+                checkTarget(rule.target, where);
+                if (rule.percent !== undefined && !(rule.percent >= 0 && rule.percent <= 100)) {
+                    fail(`${where}: percent deve estar entre 0 e 100`);
+                }
+                if (rule.users !== undefined && !Array.isArray(rule.users)) fail(`${where}: users deve ser uma lista`);
+                if (rule.header !== undefined && (typeof rule.header !== 'object' || Array.isArray(rule.header))) {
+                    fail(`${where}: header deve ser um objeto { nome: valor }`);
+                }
+            });
+        });
+    }
+
+    // Alvo da requisição para o serviço: { target, rule } (target null = qualquer versão)
+    resolve(serviceName, req) {
+        const config = this.rules[serviceName];
+        if (!config) return { target: null, rule: null };
+
+        const userId = this.userIdFrom(req);
+        const stickyKey = userId || req.ip || '';
+
+        const rules = config.rules || [];
+        for (let position = 0; position < rules.length; position++) {
+            const rule = rules[position];
+            const name = rule.name || String(position);
+            if (this.matches(rule, req, userId, `${serviceName}:${name}:${stickyKey}`)) {
+                return { target: rule.target, rule: name };
+            }
+        }
+
+        return config.default ? { target: config.default, rule: 'default' } : { target: null, rule: null };
+    }
+
+    matches(rule, req, userId, bucketKey) {
+        if (rule.header) {
+            const headers = req.headers || {};
+            const matched = Object.entries(rule.header)
+                .every(([name, value]) => headers[name.toLowerCase()] === String(value));
+            if (!matched) return false;
+        }
+        if (rule.users && !(userId && rule.users.includes(userId))) {
+            return false;
+        }
+        if (rule.percent !== undefined && this.bucket(bucketKey) >= rule.percent) {
+            return false;
+        }
+        return true;
+    }
+
+    bucket(key) {
+        return crypto.createHash('md5').update(key).digest().readUInt32BE(0) % 100;
+    }
+
+    // Id do usuário no token. A assinatura é verificada: sem isso o cliente
+    // escolheria o próprio bucket (e entraria em `users`) forjando o id
+    userIdFrom(req) {
+        const authHeader = (req.headers || {}).authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+
+        try {
+            return jwt.verify(authHeader.slice('Bearer '.length), JWT_SECRET).id || null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = VersionRouter;
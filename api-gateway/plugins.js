@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+// Plugins das rotas do gateway (campo `plugins` de routes.json). Cada plugin é
+// uma fábrica que recebe as opções da rota e devolve um middleware
+// (req, res, next), executado antes do proxy. Opções inválidas lançam erro,
+// e a tabela de rotas é rejeitada. Os plugins são recriados a cada recarga
+// da tabela (o contador do rate-limit recomeça).
+const plugins = {
+    // Identificador da requisição, repassado ao serviço e devolvido ao cliente
+    'request-id': () => (req, res, next) => {
+        const requestId = req.headers['x-request-id'] || crypto.randomUUID();
+        req.headers['x-request-id'] = requestId;
+        res.setHeader('X-Request-Id', requestId);
+        next();
+    },
+
+    // Headers fixos: { "request": { nome: valor }, "response": { nome: valor } }
+    headers: ({ request = {}, response = {} }) => {
+        [request, response].forEach(headers => {
+            if (typeof headers !== 'object' || Array.isArray(headers)) {
+                throw new Error('headers: request e response devem ser objetos { nome: valor }');
+            }
+        });
+
+        return (req, res, next) => {
+            Object.entries(request).forEach(([name, value]) => {
+                req.headers[name.toLowerCase()] = String(value);
+            });
+            Object.entries(response).forEach(([name, value]) => res.setHeader(name, String(value)));
+            next();
+        };
+    },
+
+    // Limite de requisições por IP numa janela fixa: { "limit": 100, "window": 60000 }
+    'rate-limit': ({ limit, window = 60000 }) => {
+        if (!Number.isInteger(limit) || limit < 1) throw new Error('rate-limit: limit deve ser um inteiro >= 1');
+        if (!Number.isInteger(window) || window < 1) throw new Error('rate-limit: window deve ser um inteiro >= 1 (ms)');
+
+        const counters = new Map(); // ip -> { count, resetAt }
+
+        return (req, res, next) => {
+            const now = Date.now();
+            let counter = counters.get(req.ip);
+            if (!counter || now >= counter.resetAt) {
+                // Janela nova: aproveita para descartar os contadores vencidos
+                counters.forEach((entry, ip) => {
+                    if (now >= entry.resetAt) counters.delete(ip);
+                });
+                counter = { count: 0, resetAt: now + window };
+                counters.set(req.ip, counter);
+            }
+
+            counter.count++;
+            res.setHeader('X-RateLimit-Limit', limit);
+            res.setHeader('X-RateLimit-Remaining', Math.max(0, limit - counter.count));
+            if (counter.count > limit) {
+                res.setHeader('Retry-After', Math.ceil((counter.resetAt - now) / 1000));
+                return res.status(429).json({
+                    success: false,
+                    message: 'Muitas requisições, tente novamente mais tarde'
+                });
+            }
+            next();
+        };
+    }
+};
+
+// Middleware do plugin `{ name, ...opções }` (ou só o nome, sem opções)
+function createPlugin(config) {
+    const { name, ...options } = typeof config === 'string' ? { name: config } : config || {};
+    const factory = plugins[name];
+    if (!factory) {
+        throw new Error(`Plugin desconhecido: ${name} (use ${Object.keys(plugins).join(', ')})`);
+    }
+    return factory(options);
+}
+
+module.exports = { plugins, createPlugin };
@@ -0,0 +1,84 @@
+// Retentativas do proxy do gateway (forwardRequest). A política vem de
+// routes.json (`retry` no geral, por serviço ou por rota, ver RouteTable):
+//
+//   { "attempts": 3, "baseDelay": 100, "maxDelay": 2000, "retryOn": [502, 503, 504] }
+//
+// Cada nova tentativa vai para outra instância quando houver e espera um
+// backoff exponencial com jitter: um valor aleatório entre 0 e
+// min(maxDelay, baseDelay * 2^(tentativa - 1)), para que clientes que falharam
+// juntos não repitam juntos. Nenhuma tentativa passa do prazo da requisição.
+
+const DEFAULT_RETRY = {
+    attempts: 3,              // tentativas no total (1 = sem retentativas)
+    baseDelay: 100,           // espera base antes da segunda tentativa, em ms
+    maxDelay: 2000,           // teto da espera entre tentativas, em ms
+    retryOn: [502, 503, 504]  // respostas repetidas (só em requisições seguras)
+};
+
+// Métodos que podem ser repetidos sem efeito duplicado
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// A conexão não chegou a ser aceita: a instância não recebeu nada
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'EHOSTUNREACH'];
+
+// A instância pode ter recebido (e processado) a requisição
+const TRANSIENT_ERRORS = ['ETIMEDOUT', 'ECONNRESET', 'ECONNABORTED', 'EPIPE'];
+
+// Mescla as camadas sobre a política padrão e valida; lança erro se inválida
+function resolveRetryPolicy(...layers) {
+    const policy = { ...DEFAULT_RETRY };
+    layers.filter(Boolean).forEach(layer => {
+        if (typeof layer !== 'object' || Array.isArray(layer)) {
+            throw new Error('retry deve ser um objeto');
+        }
+        Object.entries(layer).forEach(([field, value]) => {
+            if (!(field in DEFAULT_RETRY)) {
+                throw new Error(`retry: campo desconhecido ${field} (use ${Object.keys(DEFAULT_RETRY).join(', ')})`);
+            }
+            if (field === 'retryOn') {
+                if (!Array.isArray(value) || !value.every(status => Number.isInteger(status) && status >= 500 && status <= 599)) {
+                    throw new Error('retry: retryOn deve ser uma lista de status 5xx');
+                }
+            } else if (!(Number.isInteger(value) && value >= (field === 'attempts' ? 1 : 0))) {
+                throw new Error(`retry: ${field} deve ser um inteiro ${field === 'attempts' ? '>= 1' : '>= 0'}`);
+            }
+            policy[field] = value;
+        });
+    });
+    return policy;
+}
+
+// Requisição que pode ser repetida mesmo depois de chegar à instância: método
+// idempotente ou POST/PATCH com Idempotency-Key numa rota `idempotent` de
+// routes.json (o serviço descarta a repetição). `idempotencyKey` só é
+// verdadeiro nesse caso; o gateway ignora a chave nas demais rotas
+function isRetrySafe(method = 'GET', idempotencyKey) {
+    return IDEMPOTENT_METHODS.includes(method.toUpperCase()) || Boolean(idempotencyKey);
+}
+
+// Se a falha pode ser tentada de novo. Erro de conexão sempre (nada foi
+// enviado); timeouts, conexões interrompidas e os status de `retryOn` só em
+// requisições seguras (isRetrySafe)
+function shouldRetry(policy, error, method, idempotencyKey) {
+    if (error.response) {
+        return policy.retryOn.includes(error.response.status) && isRetrySafe(method, idempotencyKey);
+    }
+    if (CONNECTION_ERRORS.includes(error.code)) return true;
+    return TRANSIENT_ERRORS.includes(error.code) && isRetrySafe(method, idempotencyKey);
+}
+
+// Espera antes da tentativa `attempt + 1` (full jitter)
+function backoffDelay(policy, attempt) {
+    const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+    return Math.floor(Math.random() * ceiling);
+}
+
+module.exports = {
+    DEFAULT_RETRY,
+    IDEMPOTENT_METHODS,
+    CONNECTION_ERRORS,
+    resolveRetryPolicy,
+    isRetrySafe,
+    shouldRetry,
+    backoffDelay
+};
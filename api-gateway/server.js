@@ -3,32 +3,78 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const axios = require('axios');
+const crypto = require('crypto');
+const path = require('path');
 
 const serviceRegistry = require('../shared/serviceRegistry');
+const { HealthCheck, STATUSES, CHECK_TIMEOUT, rollup } = require('../shared/health');
+const { REPLAYED_HEADER } = require('../shared/idempotency');
+const VersionRouter = require('./VersionRouter');
+const RouteTable = require('./RouteTable');
+const CircuitBreaker = require('./CircuitBreaker');
+const { DEFAULT_RETRY, CONNECTION_ERRORS, shouldRetry, backoffDelay } = require('./retry');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Prazo restante da requisição em ms: aceito do cliente (se menor que o
+// timeout da rota) e repassado ao serviço a cada tentativa
+const DEADLINE_HEADER = 'x-request-timeout';
+
+// Com ele, POST e PATCH de rotas `idempotent` podem ser repetidos (ver retry.js e shared/idempotency)
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+// Marca os pedidos de /health feitos pela agregação do próprio gateway
+const HEALTH_AGGREGATION_HEADER = 'X-Health-Aggregation';
 
 class APIGateway {
     constructor() {
         this.app = express();
         this.port = process.env.PORT || 3000;
 
-        // Circuit breaker simples
+        // Balanceamento entre instâncias: round-robin, random, least-outstanding ou consistent-hash
+        this.loadBalancing = process.env.LB_STRATEGY || 'round-robin';
+
+        // Versão das instâncias por serviço (canary, blue/green): ver VersionRouter
+        this.versionRouter = new VersionRouter(process.env.ROUTING_RULES_FILE || path.join(__dirname, 'routing-rules.json'));
+
+        // Rotas /api/* -> serviços, recarregadas ao editar o arquivo: ver RouteTable
+        this.routeTable = new RouteTable(process.env.ROUTES_FILE || path.join(__dirname, 'routes.json'));
+        this.routeTable.onReload(() => this.registerKnownServices());
+
+        // Circuit breakers por serviço (ou rota), com a política de routes.json
         this.circuitBreakers = new Map();
 
+        // Abrir/fechar circuitos exige o header X-Admin-Token com o ADMIN_TOKEN;
+        // sem ADMIN_TOKEN definido, essas chamadas ficam desativadas
+        this.adminTokenHash = process.env.ADMIN_TOKEN ? this.hashToken(process.env.ADMIN_TOKEN) : null;
+
+        // Saúde do próprio gateway: sem o servidor de registry ele segue com o
+        // cache das instâncias, então fica degradado, não fora do ar
+        this.health = new HealthCheck('api-gateway', { version: '1.0.0' })
+            .addCheck('registry', async () => {
+                const stats = serviceRegistry.getStats();
+                if (serviceRegistry.backend === 'http' && !serviceRegistry.connected) {
+                    return { status: 'degraded', ...stats, message: 'Servidor de registry não responde, usando o cache' };
+                }
+                return stats;
+            }, { critical: false });
+
         this.setupMiddleware();
         this.setupRoutes();
         this.setupErrorHandling();
         setTimeout(() => {
             this.startHealthChecks();
         }, 3000);
+    }
 
-        const servicesToRegister = [
-            { name: 'user-service', url: 'http://localhost:3001' },
-            { name: 'item-service', url: 'http://localhost:3003' },
-            { name: 'list-service', url: 'http://localhost:3002' }
-        ];
-
-        servicesToRegister.forEach(service => {
-            serviceRegistry.register(service.name, { url: service.url });
+    // Endereços de `services` na tabela de rotas. Entradas estáticas (sem lease)
+    // só para serviços que ainda não se registraram; as instâncias as
+    // substituem ao renovar o próprio lease
+    registerKnownServices() {
+        Object.entries(this.routeTable.services).forEach(([serviceName, service]) => {
+            if (service.url && !serviceRegistry.hasService(serviceName)) {
+                serviceRegistry.register(serviceName, { url: service.url, leaseTtl: 0 });
+            }
         });
     }
 
@@ -64,18 +110,29 @@ class APIGateway {
     }
 
     setupRoutes() {
-        // Gateway health check
-        this.app.get('/health', (req, res) => {
-            const services = serviceRegistry.listServices();
-            res.json({
+        // Saúde do sistema: o relatório de cada instância (GET /health) agregado
+        // por serviço; qualquer serviço fora do ar deixa o sistema fora do ar
+        this.app.get('/health', async (req, res) => {
+            // Pedido de outro gateway (ou de uma entrada do registry que aponta
+            // para este): só o relatório próprio, para não agregar em círculo
+            if (req.get(HEALTH_AGGREGATION_HEADER)) {
+                return this.health.full(req, res);
+            }
+
+            const [gateway, services] = await Promise.all([this.health.report(), this.systemHealth()]);
+            const status = rollup([gateway, ...Object.values(services)]);
+            res.status(status === 'down' ? 503 : 200).json({
                 service: 'api-gateway',
-                status: 'healthy',
+                status,
                 timestamp: new Date().toISOString(),
                 architecture: 'Microservices with NoSQL',
-                services: services,
+                gateway,
+                services,
                 serviceCount: Object.keys(services).length
             });
         });
+        this.app.get('/health/live', (req, res) => this.health.live(req, res));
+        this.app.get('/health/ready', (req, res) => this.health.ready(req, res));
 
         // Gateway info
         this.app.get('/', (req, res) => {
@@ -86,12 +143,11 @@ class APIGateway {
                 architecture: 'Microservices with NoSQL databases',
                 database_approach: 'Database per Service (JSON-NoSQL)',
                 endpoints: {
-                    auth: '/api/auth/*',
-                    users: '/api/users/*',
-                    items: '/api/items/*',
-                    lists: '/api/lists/*',
+                    ...this.routeEndpoints('/*'),
                     health: '/health',
                     registry: '/registry',
+                    routes: '/routes',
+                    routing: '/routing',
                     dashboard: '/api/dashboard',
                     search: '/api/search'
                 },
@@ -106,10 +162,30 @@ class APIGateway {
                 success: true,
                 services: services,
                 count: Object.keys(services).length,
+                stats: serviceRegistry.getStats(),
                 timestamp: new Date().toISOString()
             });
         });
 
+        // Tabela de rotas em vigor
+        this.app.get('/routes', (req, res) => {
+            res.json({
+                success: true,
+                routesFile: this.routeTable.routesFile,
+                services: this.routeTable.services,
+                routes: this.routeTable.describe()
+            });
+        });
+
+        // Regras de roteamento por versão em vigor
+        this.app.get('/routing', (req, res) => {
+            res.json({
+                success: true,
+                rulesFile: this.versionRouter.rulesFile,
+                rules: this.versionRouter.rules
+            });
+        });
+
         // Debug endpoint para troubleshooting
         this.app.get('/debug/services', (req, res) => {
             serviceRegistry.debugListServices();
@@ -120,33 +196,46 @@ class APIGateway {
             });
         });
 
-        // Auth routes - user-service
-        this.app.use('/api/auth', (req, res, next) => {
-            console.log(`🔗 Roteando para user-service: ${req.method} ${req.originalUrl}`);
-            this.proxyRequest('user-service', req, res, next);
+        // Estado dos circuit breakers (todos os configurados em routes.json)
+        this.app.get('/debug/circuits', (req, res) => {
+            this.routeTable.routes.forEach(route => this.getCircuitBreaker(route.circuitBreaker));
+            res.json({
+                success: true,
+                circuits: [...this.circuitBreakers.values()].map(breaker => breaker.describe())
+            });
         });
 
-        // User Service routes
-        this.app.use('/api/users', (req, res, next) => {
-            console.log(`🔗 Roteando para user-service: ${req.method} ${req.originalUrl}`);
-            this.proxyRequest('user-service', req, res, next);
-        });
+        // Abrir (trip) ou fechar (reset) um circuito manualmente
+        this.app.post('/debug/circuits/:name/:action(trip|reset)', (req, res) => {
+            if (!this.adminTokenHash) {
+                return res.status(403).json({ success: false, message: 'Defina ADMIN_TOKEN no gateway para abrir ou fechar circuitos' });
+            }
+            const token = req.get('X-Admin-Token');
+            if (!token || !crypto.timingSafeEqual(this.hashToken(token), this.adminTokenHash)) {
+                return res.status(403).json({ success: false, message: 'X-Admin-Token inválido' });
+            }
 
-        // Item Service routes
-        this.app.use('/api/items', (req, res, next) => {
-            console.log(`🔗 Roteando para item-service: ${req.method} ${req.originalUrl}`);
-            this.proxyRequest('item-service', req, res, next);
-        });
+            this.routeTable.routes.forEach(route => this.getCircuitBreaker(route.circuitBreaker));
+            const breaker = this.circuitBreakers.get(req.params.name);
+            if (!breaker) {
+                return res.status(404).json({ success: false, message: `Circuit breaker não encontrado: ${req.params.name}` });
+            }
 
-        // List Service routes
-        this.app.use('/api/lists', (req, res, next) => {
-            console.log(`🔗 Roteando para list-service: ${req.method} ${req.originalUrl}`);
-            this.proxyRequest('list-service', req, res, next);
+            const reason = (req.body && req.body.reason) || undefined;
+            if (req.params.action === 'trip') {
+                breaker.trip(reason);
+            } else {
+                breaker.reset(reason);
+            }
+            res.json({ success: true, circuit: breaker.describe() });
         });
 
         // Endpoints agregados
         this.app.get('/api/dashboard', this.getDashboard.bind(this));
         this.app.get('/api/search', this.globalSearch.bind(this));
+
+        // Demais rotas: tabela de rotas (routes.json)
+        this.app.use((req, res, next) => this.routeRequest(req, res, next));
     }
 
     setupErrorHandling() {
@@ -157,10 +246,7 @@ class APIGateway {
                 message: 'Endpoint não encontrado',
                 service: 'api-gateway',
                 availableEndpoints: {
-                    auth: '/api/auth',
-                    users: '/api/users',
-                    items: '/api/items',
-                    lists: '/api/lists',
+                    ...this.routeEndpoints(),
                     dashboard: '/api/dashboard',
                     search: '/api/search'
                 }
@@ -171,72 +257,83 @@ class APIGateway {
 
     }
 
-    // Proxy request to service
-    async proxyRequest(serviceName, req, res, next) {
+    // Prefixo de cada rota da tabela, por nome
+    // sha256 do token: compara com timingSafeEqual sem depender do tamanho
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest();
+    }
 
-        if (this.isCircuitOpen(serviceName)) {
-            return res.status(503).json({
+    routeEndpoints(suffix = '') {
+        return Object.fromEntries(this.routeTable.routes.map(route => [route.name, `${route.path}${suffix}`]));
+    }
+
+    // Encaminha a requisição pela tabela de rotas: método permitido, token
+    // (rotas com `auth`) e plugins da rota antes do proxy
+    routeRequest(req, res, next) {
+        const queryStart = req.originalUrl.indexOf('?');
+        const requestPath = queryStart === -1 ? req.originalUrl : req.originalUrl.slice(0, queryStart);
+        const query = queryStart === -1 ? '' : req.originalUrl.slice(queryStart);
+
+        const matched = this.routeTable.match(requestPath);
+        if (!matched) return next();
+        const { route, targetPath } = matched;
+
+        if (!this.routeTable.allowsMethod(route, req.method)) {
+            res.setHeader('Allow', route.methods.join(', '));
+            return res.status(405).json({
                 success: false,
-                message: `Serviço ${serviceName} temporariamente indisponível`
+                message: `Método ${req.method} não permitido em ${route.path}`
             });
         }
 
-        try {
-            let service;
-            try {
-                service = serviceRegistry.discover(serviceName);
-            } catch (error) {
-                console.error(`❌ Erro na descoberta do serviço ${serviceName}:`, error.message);
-                const availableServices = serviceRegistry.listServices();
-                console.log(`📋 Serviços disponíveis:`, Object.keys(availableServices));
-
-                return res.status(503).json({
-                    success: false,
-                    message: `Serviço ${serviceName} não encontrado`,
-                    service: serviceName,
-                    availableServices: Object.keys(availableServices)
-                });
-            }
+        if (route.auth && !(req.headers.authorization || '').startsWith('Bearer ')) {
+            return res.status(401).json({
+                success: false,
+                message: 'Token de autenticação obrigatório'
+            });
+        }
 
-            const originalPath = req.originalUrl;
-            let targetPath = originalPath;
+        console.log(`🔗 Roteando para ${route.service} (rota ${route.name}): ${req.method} ${req.originalUrl}`);
 
-            // Mapeamento de rotas específicas
-            if (serviceName === 'user-service') {
-                // /api/auth -> /auth, /api/users -> /users
-                if (originalPath.startsWith('/api/auth')) {
-                    targetPath = originalPath.replace('/api/auth', '/auth');
-                } else if (originalPath.startsWith('/api/users')) {
-                    targetPath = originalPath.replace('/api/users', '/users');
-                }
-            } else if (serviceName === 'item-service') {
-                // /api/items -> /items
-                targetPath = originalPath.replace('/api/items', '/items');
-            } else if (serviceName === 'list-service') {
-                // /api/lists -> /lists
-                targetPath = originalPath.replace('/api/lists', '/lists');
+        const runPlugin = index => {
+            if (index === route.middleware.length) {
+                return this.proxyRequest(route, `${targetPath}${query}`, req, res);
             }
+            route.middleware[index](req, res, error => (error ? next(error) : runPlugin(index + 1)));
+        };
+        runPlugin(0);
+    }
 
-            if (!targetPath.startsWith('/')) {
-                targetPath = '/' + targetPath;
-            }
+    // Proxy request to service (`targetPath` já reescrito pela rota, com a query)
+    async proxyRequest(route, targetPath, req, res) {
+        const serviceName = route.service;
 
-            if (targetPath === '/' || targetPath === '') {
-                if (serviceName === 'user-service') targetPath = '/users';
-                else if (serviceName === 'item-service') targetPath = '/items';
-                else if (serviceName === 'list-service') targetPath = '/lists';
-            }
+        const breaker = this.getCircuitBreaker(route.circuitBreaker);
+        const recordCall = breaker.acquire();
+        if (!recordCall) {
+            const retryAfter = breaker.retryAfter();
+            if (retryAfter) res.setHeader('Retry-After', retryAfter);
+            return res.status(503).json({
+                success: false,
+                message: `Serviço ${serviceName} temporariamente indisponível`,
+                circuit: { name: breaker.name, state: breaker.state }
+            });
+        }
+        const started = Date.now();
 
-            const targetUrl = `${service.url}${targetPath}`;
+        // Server-Sent Events (ex. GET /lists/events): a resposta é repassada
+        // enquanto o serviço escreve, sem esperar o fim
+        const streaming = req.method === 'GET' && (req.headers.accept || '').includes('text/event-stream');
 
-            console.log(`🎯 Target URL: ${targetUrl}`);
+        try {
+            console.log(`🎯 Target path: ${targetPath}`);
 
-            // Configurar requisição
+            // Configurar requisição (a URL da instância é definida em forwardRequest)
             const config = {
                 method: req.method,
-                url: targetUrl,
+                path: targetPath,
                 headers: { ...req.headers },
-                timeout: 10000,
+                timeout: this.requestBudget(req, route.timeout),
                 family: 4,
                 validateStatus: function (status) {
                     return status < 500;
@@ -246,28 +343,65 @@ class APIGateway {
             if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
                 config.data = req.body;
             }
-
-            if (Object.keys(req.query).length > 0) {
-                config.params = req.query;
+            if (streaming) {
+                config.responseType = 'stream';
             }
 
             delete config.headers.host;
             delete config.headers['content-length'];
 
-            console.log(`📤 Enviando ${req.method} para ${targetUrl}`);
-
-            const response = await axios(config);
+            // Hash consistente: o mesmo usuário (ou IP) cai sempre na mesma instância
+            const response = await this.forwardRequest(serviceName, config, {
+                key: req.headers.authorization || req.ip,
+                route: this.versionRouter.resolve(serviceName, req),
+                retry: route.retry,
+                idempotent: route.idempotent
+            });
 
-            this.resetCircuitBreaker(serviceName);
+            recordCall({ failure: false, duration: Date.now() - started });
 
             console.log(`📥 Resposta recebida: ${response.status}`);
 
+            if (response.attempts > 1) {
+                res.setHeader('X-Gateway-Attempts', response.attempts);
+            }
+
+            if (response.instance.version) {
+                res.setHeader('X-Service-Version', response.instance.version);
+            }
+
+            // Resposta repetida pelo serviço para a mesma Idempotency-Key
+            const replayed = response.headers && response.headers[REPLAYED_HEADER.toLowerCase()];
+            if (replayed) {
+                res.setHeader(REPLAYED_HEADER, replayed);
+            }
+
+            if (streaming) {
+                return this.pipeResponse(response, res);
+            }
+
             // Retornar resposta
             res.status(response.status).json(response.data);
 
         } catch (error) {
-            // Registrar falha
-            this.recordFailure(serviceName);
+            if (error.code === 'ESERVICENOTFOUND' || error.code === 'ESERVICEUNAVAILABLE') {
+                recordCall(null); // Nenhuma instância chamada: não conta no circuito
+                console.error(`❌ Erro na descoberta do serviço ${serviceName}:`, error.message);
+                const availableServices = serviceRegistry.listServices();
+                console.log(`📋 Serviços disponíveis:`, Object.keys(availableServices));
+
+                return res.status(503).json({
+                    success: false,
+                    message: error.code === 'ESERVICENOTFOUND'
+                        ? `Serviço ${serviceName} não encontrado`
+                        : `Nenhuma instância de ${serviceName} disponível`,
+                    service: serviceName,
+                    availableServices: Object.keys(availableServices)
+                });
+            }
+
+            // Registrar falha (todas as instâncias tentadas falharam ou 5xx)
+            recordCall({ failure: true, duration: Date.now() - started });
 
             console.error(`❌ Proxy error for ${serviceName}:`, {
                 message: error.message,
@@ -276,7 +410,15 @@ class APIGateway {
                 status: error.response?.status
             });
 
-            if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+            if (error.code === 'EDEADLINE') {
+                res.status(504).json({
+                    success: false,
+                    message: `Prazo da requisição esgotado em ${serviceName}`,
+                    service: serviceName,
+                    attempts: error.attempts,
+                    error: error.code
+                });
+            } else if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
                 res.status(503).json({
                     success: false,
                     message: `Serviço ${serviceName} indisponível`,
@@ -286,6 +428,9 @@ class APIGateway {
             } else if (error.response) {
                 // Encaminhar resposta de erro do serviço
                 console.log(`🔄 Encaminhando erro ${error.response.status} do serviço`);
+                if (streaming) {
+                    return this.pipeResponse(error.response, res);
+                }
                 res.status(error.response.status).json(error.response.data);
             } else {
                 res.status(500).json({
@@ -298,38 +443,153 @@ class APIGateway {
         }
     }
 
-    // Circuit Breaker 
-    isCircuitOpen(serviceName) {
-        const breaker = this.circuitBreakers.get(serviceName) || { failures: 0, isOpen: false, lastFailure: 0 };
-        if (breaker.isOpen && Date.now() - breaker.lastFailure < 300000) {
-            return true;
-        }
-        if (breaker.isOpen) {
-            breaker.isOpen = false;
-            breaker.failures = 0;
-            this.circuitBreakers.set(serviceName, breaker);
-        }
-        return false;
+    // Repassa uma resposta com responseType 'stream' conforme chega. O prazo da
+    // rota vale só até o serviço responder; o cliente que desconecta encerra a
+    // conexão com o serviço.
+    pipeResponse(response, res) {
+        res.status(response.status);
+        ['content-type', 'cache-control'].forEach(name => {
+            if (response.headers[name]) res.setHeader(name, response.headers[name]);
+        });
+        res.flushHeaders();
+
+        response.data.pipe(res);
+        response.data.on('error', () => res.end());
+        res.on('close', () => response.data.destroy());
+    }
+
+    // Prazo da requisição: o timeout da rota ou, se menor, o informado pelo
+    // cliente no header X-Request-Timeout (ms)
+    requestBudget(req, timeout) {
+        const requested = parseInt(req.headers[DEADLINE_HEADER], 10);
+        return requested > 0 ? Math.min(requested, timeout) : timeout;
     }
 
-    recordFailure(serviceName) {
-        const breaker = this.circuitBreakers.get(serviceName) || { failures: 0, isOpen: false };
-        breaker.failures++;
-        breaker.lastFailure = Date.now();
-        if (breaker.failures >= 3) {
-            breaker.isOpen = true;
-            console.log(`Circuit breaker aberto para ${serviceName}`);
+    // Envia a requisição para uma instância do serviço escolhida pelo
+    // balanceamento (LB_STRATEGY), com até `options.retry.attempts` tentativas
+    // (ver retry.js). Cada retentativa vai para outra instância, se houver, após
+    // um backoff com jitter; instância que recusou a conexão é marcada como
+    // indisponível. Depois que a conexão foi aceita, POST e PATCH só são
+    // repetidos com Idempotency-Key e em rotas `idempotent` (`options.idempotent`),
+    // cujos serviços descartam a repetição: podem ter sido processados.
+    // `config.timeout` é o prazo total: cada tentativa usa o que sobrou, que o
+    // serviço recebe no header X-Request-Timeout, e o prazo esgotado gera EDEADLINE.
+    // `options.route` (VersionRouter.resolve) restringe a versão/tags; sem
+    // instâncias disponíveis do alvo, a requisição vai para qualquer versão.
+    // A resposta leva a instância usada em `response.instance` e o número de
+    // tentativas em `response.attempts`.
+    async forwardRequest(serviceName, config, options = {}) {
+        const { path: targetPath, timeout: budget = 10000, headers = {}, ...request } = config;
+        const policy = options.retry || DEFAULT_RETRY;
+        const idempotencyKey = options.idempotent === true &&
+            Object.keys(headers).some(name => name.toLowerCase() === IDEMPOTENCY_HEADER);
+        const deadline = Date.now() + budget;
+        const tried = [];
+        let target = options.route && options.route.target;
+        let lastError;
+
+        for (let attempt = 1; ; attempt++) {
+            let instance;
+            try {
+                instance = serviceRegistry.discover(serviceName, {
+                    strategy: this.loadBalancing,
+                    key: options.key,
+                    exclude: tried,
+                    ...target
+                });
+            } catch (error) {
+                if (error.code === 'ESERVICEUNAVAILABLE' && tried.length > 0) {
+                    // Todas já tentadas: as que responderam continuam disponíveis e são repetidas
+                    tried.length = 0;
+                    attempt--;
+                    continue;
+                }
+                if (target && error.code === 'ESERVICEUNAVAILABLE') {
+                    console.warn(`⚠️ Sem instâncias de ${serviceName} para a regra ${options.route.rule}, usando qualquer versão`);
+                    target = null;
+                    attempt--;
+                    continue;
+                }
+                // Sem mais instâncias: vale o erro da última tentativa
+                throw lastError || error;
+            }
+
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                throw this.deadlineExceeded(serviceName, budget, attempt - 1, lastError);
+            }
+
+            const url = `${instance.url}${targetPath}`;
+            console.log(`📤 Enviando ${request.method || 'GET'} para ${url} (${instance.instanceId}, tentativa ${attempt}/${policy.attempts})`);
+
+            // O timeout do axios é por inatividade do socket; o prazo é garantido pelo abort.
+            // Numa resposta em stream ele derrubaria a conexão depois dos headers, então
+            // fica só o abort, cancelado quando o serviço responde
+            const release = serviceRegistry.trackRequest(instance.instanceId);
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), remaining);
+            let response;
+            try {
+                response = await axios({
+                    ...request,
+                    url,
+                    timeout: request.responseType === 'stream' ? 0 : remaining,
+                    signal: controller.signal,
+                    headers: { ...headers, [DEADLINE_HEADER]: String(remaining) }
+                });
+            } catch (error) {
+                lastError = error;
+            } finally {
+                clearTimeout(timer);
+                release();
+            }
+
+            if (response) {
+                response.instance = instance;
+                response.attempts = attempt;
+                return response;
+            }
+
+            const error = lastError;
+            if (!error.response && Date.now() >= deadline) {
+                throw this.deadlineExceeded(serviceName, budget, attempt, error);
+            }
+            if (!shouldRetry(policy, error, request.method, idempotencyKey)) throw error;
+
+            if (CONNECTION_ERRORS.includes(error.code)) {
+                serviceRegistry.updateHealth(serviceName, instance.instanceId, false);
+            }
+            tried.push(instance.instanceId);
+            if (attempt >= policy.attempts) throw error;
+
+            const wait = backoffDelay(policy, attempt);
+            if (Date.now() + wait >= deadline) {
+                throw this.deadlineExceeded(serviceName, budget, attempt, error);
+            }
+            console.warn(`⚠️ Instância ${instance.instanceId} falhou (${error.response ? error.response.status : error.code}), nova tentativa em ${wait}ms`);
+            await delay(wait);
         }
-        this.circuitBreakers.set(serviceName, breaker);
     }
 
-    resetCircuitBreaker(serviceName) {
-        const breaker = this.circuitBreakers.get(serviceName);
-        if (breaker) {
-            breaker.failures = 0;
-            breaker.isOpen = false;
-            console.log(`Circuit breaker resetado para ${serviceName}`);
+    deadlineExceeded(serviceName, budget, attempts, cause) {
+        const error = new Error(`Prazo de ${budget}ms esgotado para ${serviceName} após ${attempts} tentativa(s)`);
+        error.code = 'EDEADLINE';
+        error.attempts = attempts;
+        error.cause = cause;
+        return error;
+    }
+
+    // Circuit breaker da rota ({ name, policy } de RouteTable), criado no
+    // primeiro uso; recarregar routes.json troca a política e mantém o estado
+    getCircuitBreaker({ name, policy }) {
+        let breaker = this.circuitBreakers.get(name);
+        if (!breaker) {
+            breaker = new CircuitBreaker(name, policy);
+            this.circuitBreakers.set(name, breaker);
+        } else if (breaker.policy !== policy) {
+            breaker.configure(policy);
         }
+        return breaker;
     }
 
     async getDashboard(req, res) {
@@ -347,17 +607,13 @@ class APIGateway {
 
             let userInfo = null;
             try {
-                const userService = serviceRegistry.discover('user-service');
-                const userRes = await axios.post(`${userService.url}/auth/validate`,
-                    { token },
-                    { timeout: 5000 }
-                );
-                userInfo = userRes.data.data?.user;
+                const userRes = await this.callService('user-service', '/auth/validate', 'POST', null, {}, { token });
+                userInfo = userRes.data?.user;
             } catch (error) {
                 console.warn('Erro ao buscar informações do usuário:', error.message);
             }
 
-            let userLists = [];
+            let recentLists = [];
             let listStats = {
                 total: 0,
                 active: 0,
@@ -365,45 +621,31 @@ class APIGateway {
                 archived: 0
             };
 
-            try {
-                const listService = serviceRegistry.discover('list-service');
-                const listsRes = await axios.get(`${listService.url}/lists`, {
-                    headers: { Authorization: `Bearer ${token}` },
-                    timeout: 5000
-                });
-                userLists = listsRes.data;
-
-                listStats.total = userLists.length;
-                userLists.forEach(list => {
-                    if (list.status === 'active') listStats.active++;
-                    if (list.status === 'completed') listStats.completed++;
-                    if (list.status === 'archived') listStats.archived++;
-                });
-            } catch (error) {
-                console.warn('Erro ao buscar listas:', error.message);
-            }
-
             let totalItems = 0;
             let totalPurchased = 0;
             let estimatedTotal = 0;
 
+            // Estatísticas agregadas pelo list-service (uma linha por status)
             try {
-                userLists.forEach(list => {
-                    totalItems += list.summary?.totalItems || 0;
-                    totalPurchased += list.summary?.purchasedItems || 0;
-                    estimatedTotal += list.summary?.estimatedTotal || 0;
+                const stats = await this.callService('list-service', '/lists/stats', 'GET', authHeader);
+                recentLists = stats.recent;
+
+                stats.byStatus.forEach(group => {
+                    listStats.total += group.lists;
+                    if (group._id in listStats) listStats[group._id] = group.lists;
+
+                    totalItems += group.totalItems;
+                    totalPurchased += group.purchasedItems;
+                    estimatedTotal += group.estimatedTotal;
                 });
             } catch (error) {
-                console.warn('Erro ao calcular estatísticas de itens:', error.message);
+                console.warn('Erro ao buscar estatísticas das listas:', error.message);
             }
 
             let popularCategories = [];
             try {
-                const itemService = serviceRegistry.discover('item-service');
-                const categoriesRes = await axios.get(`${itemService.url}/categories`, {
-                    timeout: 5000
-                });
-                popularCategories = categoriesRes.data.slice(0, 5);
+                const categories = await this.callService('item-service', '/categories');
+                popularCategories = categories.slice(0, 5);
             } catch (error) {
                 console.warn('Erro ao buscar categorias:', error.message);
             }
@@ -429,11 +671,11 @@ class APIGateway {
                         averagePerItem: totalItems > 0 ? Math.round((estimatedTotal / totalItems) * 100) / 100 : 0
                     }
                 },
-                recentActivity: userLists.slice(0, 3).map(list => ({
+                recentActivity: recentLists.map(list => ({
                     id: list.id,
                     name: list.name,
                     status: list.status,
-                    itemsCount: list.summary?.totalItems || 0,
+                    itemsCount: list.itemsCount || 0,
                     updatedAt: list.updatedAt
                 })),
                 popularCategories,
@@ -495,12 +737,10 @@ class APIGateway {
     }
 
     // Helper para chamar serviços
-    async callService(serviceName, path, method = 'GET', authHeader = null, params = {}) {
-        const service = serviceRegistry.discover(serviceName);
-
+    async callService(serviceName, path, method = 'GET', authHeader = null, params = {}, data = undefined) {
         const config = {
             method,
-            url: `${service.url}${path}`,
+            path,
             timeout: 5000
         };
 
@@ -512,48 +752,102 @@ class APIGateway {
             config.params = params;
         }
 
-        const response = await axios(config);
+        if (data !== undefined) {
+            config.data = data;
+        }
+
+        const response = await this.forwardRequest(serviceName, config, {
+            key: authHeader,
+            route: this.versionRouter.resolve(serviceName, { headers: authHeader ? { authorization: authHeader } : {} }),
+            retry: this.routeTable.retryPolicyFor(serviceName)
+        });
         return response.data;
     }
 
-    // Health checks para serviços registrados
+    // Health checks para serviços registrados (cada instância)
     startHealthChecks() {
         setInterval(async () => {
             console.log('🔍 Executando health checks automáticos...');
-            const services = serviceRegistry.listServices();
-            for (const [serviceName, service] of Object.entries(services)) {
-                try {
-                    await axios.get(`${service.url}/health`, { timeout: 5000 });
-                    serviceRegistry.updateHealth(serviceName, true);
-                    console.log(`✅ Serviço saudável: ${serviceName}`);
-                } catch (error) {
-                    serviceRegistry.updateHealth(serviceName, false);
-                    console.error(`❌ Serviço com falha: ${serviceName}`);
-                }
-            }
+            await this.checkInstances();
         }, 30000);
 
         // Health check inicial
-        setTimeout(async () => {
-            const services = serviceRegistry.listServices();
-            for (const [serviceName, service] of Object.entries(services)) {
+        setTimeout(() => this.checkInstances(), 5000);
+    }
+
+    // Só recebe tráfego a instância pronta (200 em /health/ready): uma
+    // dependência crítica fora do ar a tira do balanceamento
+    async checkInstances() {
+        await serviceRegistry.sweepLeases();
+        const services = serviceRegistry.listServices();
+        for (const [serviceName, service] of Object.entries(services)) {
+            for (const instance of service.instances) {
                 try {
-                    await axios.get(`${service.url}/health`, { timeout: 5000 });
-                    serviceRegistry.updateHealth(serviceName, true);
+                    await axios.get(`${instance.url}/health/ready`, { timeout: 5000 });
+                    await serviceRegistry.recordCheck(serviceName, instance.instanceId, true);
+                    console.log(`✅ Instância saudável: ${instance.instanceId}`);
                 } catch (error) {
-                    serviceRegistry.updateHealth(serviceName, false);
+                    await serviceRegistry.recordCheck(serviceName, instance.instanceId, false);
+                    console.error(`❌ Instância com falha: ${instance.instanceId}`);
                 }
             }
-        }, 5000);
+        }
+    }
+
+    // Saúde de cada serviço registrado, pelo /health de suas instâncias
+    async systemHealth() {
+        const services = serviceRegistry.listServices();
+        const entries = await Promise.all(Object.entries(services).map(async ([serviceName, service]) => {
+            const instances = await Promise.all(service.instances.map(instance => this.instanceHealth(instance)));
+            return [serviceName, { status: this.serviceStatus(instances), instances }];
+        }));
+        return Object.fromEntries(entries);
+    }
+
+    async instanceHealth(instance) {
+        const summary = {
+            instanceId: instance.instanceId,
+            url: instance.url,
+            version: instance.version,
+            available: instance.available
+        };
+        if (instance.lease.state === 'expired') {
+            return { ...summary, status: 'down', error: 'Lease vencido' };
+        }
+
+        try {
+            const response = await axios.get(`${instance.url}/health`, {
+                timeout: CHECK_TIMEOUT,
+                headers: { [HEALTH_AGGREGATION_HEADER]: 'api-gateway' },
+                validateStatus: () => true
+            });
+            const report = response.data || {};
+            const status = STATUSES.includes(report.status) ? report.status : (response.status < 400 ? 'up' : 'down');
+            return { ...summary, status, checks: report.checks || {} };
+        } catch (error) {
+            return { ...summary, status: 'down', error: error.message };
+        }
     }
 
-    start() {
+    // 'up' com todas as instâncias 'up', 'down' sem nenhuma que possa atender
+    // e 'degraded' entre os dois (ex. uma de duas instâncias fora do ar)
+    serviceStatus(instances) {
+        if (instances.every(instance => instance.status === 'down')) return 'down';
+        return instances.every(instance => instance.status === 'up') ? 'up' : 'degraded';
+    }
+
+    // Com o registry HTTP, espera a primeira leitura antes de aceitar requisições
+    async start() {
+        await serviceRegistry.ready;
+        this.registerKnownServices();
+
         this.app.listen(this.port, () => {
             console.log('=====================================');
             console.log(`API Gateway iniciado na porta ${this.port}`);
             console.log(`URL: http://localhost:${this.port}`);
             console.log(`Health: http://localhost:${this.port}/health`);
             console.log(`Registry: http://localhost:${this.port}/registry`);
+            console.log(`Rotas: http://localhost:${this.port}/routes`);
             console.log(`Dashboard: http://localhost:${this.port}/api/dashboard`);
             console.log(`Architecture: Microservices with NoSQL`);
             console.log('=====================================');
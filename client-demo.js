@@ -27,7 +27,7 @@ async function main() {
 		// 3. Busca de itens
 		console.log('\n--- Busca de itens---');
 		const searchRes = await axios.get(`${API_URL}/api/items`);
-		const items = searchRes.data;
+		const items = searchRes.data.items;
 		console.log('Itens encontrados:', items.map(i => ({ id: i.id, name: i.name })));
 		if (!items.length) throw new Error('Nenhum item encontrado.');
 		const itemId = items[0].id;
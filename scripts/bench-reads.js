@@ -0,0 +1,95 @@
+// Benchmark das leituras do JsonDatabase com e sem o cache em memória.
+// Cria uma coleção temporária (engine JSON), mede a latência média de
+// findById, find (com e sem índice), count e search e confere que uma escrita
+// feita por outra instância invalida o cache.
+//
+// Uso: node scripts/bench-reads.js [documentos] [repeticoesSemCache]
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+
+const DOCUMENTS = parseInt(process.argv[2], 10) || 50000;
+const UNCACHED_RUNS = parseInt(process.argv[3], 10) || 10;
+const CACHED_RUNS = UNCACHED_RUNS * 20;
+
+const CATEGORIES = ['Alimentos', 'Bebidas', 'Limpeza', 'Higiene', 'Padaria', 'Hortifruti'];
+const NAMES = ['Arroz', 'Feijão', 'Café', 'Leite', 'Sabão', 'Pão', 'Maçã', 'Detergente', 'Suco', 'Biscoito'];
+const BRANDS = ['Bom Preço', 'Da Casa', 'Premium', 'Econômica'];
+
+function generateDocuments(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: `doc-${i}`,
+        name: `${NAMES[i % NAMES.length]} ${BRANDS[i % BRANDS.length]}`,
+        category: CATEGORIES[i % CATEGORIES.length],
+        averagePrice: (i % 1000) / 10,
+        barcode: String(7890000000000 + i),
+        active: i % 7 !== 0,
+        tags: [`lote-${i % 50}`],
+        createdAt: new Date(Date.UTC(2025, 0, 1) + i * 60000).toISOString()
+    }));
+}
+
+// Latência média (ms) de `operation` em `runs` execuções
+async function measure(runs, operation) {
+    const started = process.hrtime.bigint();
+    for (let i = 0; i < runs; i++) {
+        await operation(i);
+    }
+    return Number(process.hrtime.bigint() - started) / 1e6 / runs;
+}
+
+async function main() {
+    const dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-bench-'));
+
+    try {
+        console.log(`Diretório: ${dbPath}`);
+        console.log(`Gerando ${DOCUMENTS} documentos...`);
+
+        const uncached = new JsonDatabase(dbPath, 'bench', { cache: false });
+        await uncached.writeAll(generateDocuments(DOCUMENTS));
+        await uncached.createIndex('category');
+        await uncached.createTextIndex({ name: 2, category: 1 });
+
+        const cached = new JsonDatabase(dbPath, 'bench');
+        const { size } = await fs.stat(path.join(dbPath, 'bench.json'));
+        console.log(`bench.json: ${(size / 1024 / 1024).toFixed(1)} MB\n`);
+
+        const randomId = i => `doc-${(i * 7919) % DOCUMENTS}`;
+        const operations = [
+            ['findById', db => i => db.findById(randomId(i))],
+            ['find (índice)', db => () => db.find({ category: 'Bebidas' }, { limit: 20 })],
+            ['find (varredura)', db => () => db.find({ averagePrice: { $gte: 99.5 }, active: true })],
+            ['count', db => () => db.count()],
+            ['search', db => () => db.search('cafe premium')]
+        ];
+
+        // Primeira leitura do cache fora da medição
+        await cached.count();
+
+        console.log(`${'operação'.padEnd(18)} ${'sem cache'.padStart(12)} ${'com cache'.padStart(12)} ${'ganho'.padStart(8)}`);
+        for (const [name, operation] of operations) {
+            const before = await measure(UNCACHED_RUNS, operation(uncached));
+            const after = await measure(CACHED_RUNS, operation(cached));
+            console.log(`${name.padEnd(18)} ${`${before.toFixed(2)} ms`.padStart(12)} ${`${after.toFixed(3)} ms`.padStart(12)} ${`${Math.round(before / after)}x`.padStart(8)}`);
+        }
+
+        // Escrita por outra instância (mesmo efeito de outro processo): o
+        // arquivo muda e a instância com cache precisa enxergar a alteração
+        await uncached.update('doc-1', { name: 'Alterado por outra instância' });
+        const updated = await cached.findById('doc-1');
+        if (updated.name !== 'Alterado por outra instância') {
+            throw new Error('Cache não foi invalidado após escrita externa');
+        }
+        console.log('\nInvalidação após escrita externa: OK');
+    } finally {
+        await fs.remove(dbPath);
+    }
+}
+
+main().catch(error => {
+    console.error('Benchmark falhou:', error.message);
+    process.exit(1);
+});
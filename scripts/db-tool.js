@@ -0,0 +1,148 @@
+// Ferramenta de linha de comando para os bancos dos serviços: backup,
+// restauração e exportação/importação de coleções em NDJSON ou CSV.
+// O banco pode ser indicado pelo diretório ou pelo nome do serviço
+// (item-service -> services/item-service/database). Quando o serviço tem
+// `schemas.js`, o schema da coleção é aplicado na importação.
+//
+// Uso:
+//   node scripts/db-tool.js backup <banco> [destino]
+//   node scripts/db-tool.js restore <backup> <diretorioNovo> [--storage json|log]
+//   node scripts/db-tool.js export <banco> <colecao> <arquivo> [--format csv|ndjson] [--map coluna=campo,...] [--fields a,b] [--delimiter ;]
+//   node scripts/db-tool.js import <banco> <colecao> <arquivo> [--format csv|ndjson] [--map coluna=campo,...] [--upsert-by campo] [--delimiter ;]
+//
+// Exemplo (catálogo de itens a partir de uma planilha):
+//   node scripts/db-tool.js import item-service items catalogo.csv \
+//     --map "Nome=name,Categoria=category,Marca=brand,Unidade=unit,Preço=averagePrice,Código de barras=barcode" \
+//     --upsert-by barcode
+
+const path = require('path');
+const fs = require('fs-extra');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+const { listCollections } = require('../shared/storage');
+
+const ROOT = path.join(__dirname, '..');
+
+// Separa argumentos posicionais e opções --nome valor
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const name = argv[i].slice(2);
+            const next = argv[i + 1];
+            options[name] = next === undefined || next.startsWith('--') ? true : argv[++i];
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+    return { positional, options };
+}
+
+// Diretório existente ou nome de serviço
+function resolveDbPath(target) {
+    const servicePath = path.join(ROOT, 'services', target, 'database');
+    if (!fs.pathExistsSync(target) && fs.pathExistsSync(servicePath)) {
+        return servicePath;
+    }
+    return path.resolve(target);
+}
+
+// "Nome=name,Preço=averagePrice" -> { Nome: 'name', Preço: 'averagePrice' }
+function parseMapping(value) {
+    if (!value) return undefined;
+    return Object.fromEntries(value.split(',').map(pair => {
+        const [column, field] = pair.split('=').map(part => part.trim());
+        if (!column || !field) {
+            throw new Error(`Mapeamento inválido: "${pair}" (use coluna=campo)`);
+        }
+        return [column, field];
+    }));
+}
+
+// Abre a coleção com o engine em uso no diretório e o schema do serviço, se houver
+async function openCollection(dbPath, collectionName) {
+    const existing = (await listCollections(dbPath)).find(({ name }) => name === collectionName);
+    const schemasPath = path.join(dbPath, '..', 'schemas.js');
+    const schemas = fs.pathExistsSync(schemasPath) ? require(schemasPath) : {};
+
+    return new JsonDatabase(dbPath, collectionName, {
+        storage: existing ? existing.engine : 'json',
+        schema: schemas[collectionName]
+    });
+}
+
+async function backup([target, destination]) {
+    if (!target) throw new Error('Informe o banco: backup <banco> [destino]');
+    const dbPath = resolveDbPath(target);
+    const name = path.basename(path.dirname(dbPath));
+    const dest = destination || path.join(ROOT, 'backups', `${name}-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+
+    const manifest = await JsonDatabase.backup(dbPath, dest);
+    for (const [collection, info] of Object.entries(manifest.collections)) {
+        console.log(`  ${collection}: ${info.documents} documento(s) (${info.engine})`);
+    }
+    console.log(`Backup de ${dbPath} gravado em ${dest}`);
+}
+
+async function restore([source, target], options) {
+    if (!source || !target) throw new Error('Informe o backup e o destino: restore <backup> <diretorioNovo>');
+    const dbPath = path.resolve(target);
+
+    const manifest = await JsonDatabase.restore(source, dbPath, { storage: options.storage });
+    for (const [collection, info] of Object.entries(manifest.collections)) {
+        console.log(`  ${collection}: ${info.documents} documento(s)`);
+    }
+    console.log(`Backup de ${manifest.createdAt} restaurado em ${dbPath}`);
+}
+
+async function exportCollection([target, collection, file], options) {
+    if (!target || !collection || !file) throw new Error('Uso: export <banco> <colecao> <arquivo>');
+    const db = await openCollection(resolveDbPath(target), collection);
+
+    const { format, count } = await db.exportTo(path.resolve(file), {
+        format: options.format,
+        mapping: parseMapping(options.map),
+        fields: options.fields ? options.fields.split(',') : undefined,
+        delimiter: options.delimiter
+    });
+    console.log(`${count} documento(s) de ${collection} exportado(s) para ${file} (${format})`);
+}
+
+async function importCollection([target, collection, file], options) {
+    if (!target || !collection || !file) throw new Error('Uso: import <banco> <colecao> <arquivo>');
+    const db = await openCollection(resolveDbPath(target), collection);
+
+    const { inserted, updated, unchanged } = await db.importFrom(path.resolve(file), {
+        format: options.format,
+        mapping: parseMapping(options.map),
+        upsertBy: options['upsert-by'],
+        delimiter: options.delimiter
+    });
+    console.log(`${collection}: ${inserted} inserido(s), ${updated} atualizado(s), ${unchanged} sem alteração`);
+}
+
+const commands = {
+    backup,
+    restore,
+    export: exportCollection,
+    import: importCollection
+};
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const { positional, options } = parseArgs(rest);
+
+    if (!commands[command]) {
+        console.error(`Comando desconhecido: ${command || '(nenhum)'}. Use: ${Object.keys(commands).join(', ')}`);
+        process.exit(1);
+    }
+    await commands[command](positional, options);
+}
+
+main().catch(error => {
+    console.error(error.errors
+        ? `${error.message}\n${error.errors.map(({ field, message }) => `  - ${field}: ${message}`).join('\n')}`
+        : error.message);
+    process.exit(1);
+});
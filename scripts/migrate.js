@@ -0,0 +1,102 @@
+// Executa as migrações de dados de um serviço (services/<serviço>/migrations).
+// Os serviços aplicam as pendentes ao iniciar; este script serve para
+// consultar a situação, simular, aplicar até uma versão ou reverter.
+//
+// Uso:
+//   node scripts/migrate.js <serviço> [status]
+//   node scripts/migrate.js <serviço> up [--to N] [--dry-run]
+//   node scripts/migrate.js <serviço> down [--to N | --steps N] [--dry-run]
+//
+// O engine das coleções que ainda não existem vem de DB_STORAGE (como nos serviços).
+
+const path = require('path');
+const fs = require('fs-extra');
+
+const Migrator = require('../shared/Migrator');
+
+const ROOT = path.join(__dirname, '..');
+
+// Engine padrão de cada serviço quando DB_STORAGE não está definido
+const DEFAULT_STORAGE = {
+    'list-service': 'log'
+};
+
+function parseOptions(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--to':
+            case '--steps': {
+                const value = parseInt(args[++i], 10);
+                if (Number.isNaN(value)) {
+                    throw new Error(`${args[i - 1]} precisa de um número`);
+                }
+                options[args[i - 1].slice(2)] = value;
+                break;
+            }
+            default:
+                throw new Error(`Opção desconhecida: ${args[i]}`);
+        }
+    }
+    return options;
+}
+
+async function printStatus(migrator) {
+    const { collections, migrations } = await migrator.status();
+
+    if (migrations.length === 0) {
+        console.log('Nenhuma migração encontrada');
+        return;
+    }
+    for (const migration of migrations) {
+        const flags = migration.reversible ? '' : ' (irreversível)';
+        console.log(`  [${migration.applied ? 'x' : ' '}] ${String(migration.version).padStart(3, '0')}-${migration.name} (${migration.collection})${flags}`);
+    }
+    for (const [collection, version] of Object.entries(collections)) {
+        console.log(`${collection}: versão ${version}`);
+    }
+}
+
+async function main() {
+    const [service, command = 'status', ...rest] = process.argv.slice(2);
+    const servicePath = path.join(ROOT, 'services', service || '');
+
+    if (!service || !await fs.pathExists(path.join(servicePath, 'migrations'))) {
+        throw new Error('Informe um serviço com migrações, ex.: node scripts/migrate.js user-service status');
+    }
+
+    const options = parseOptions(rest);
+    const migrator = new Migrator(path.join(servicePath, 'database'), path.join(servicePath, 'migrations'), {
+        storage: process.env.DB_STORAGE || DEFAULT_STORAGE[service] || 'json'
+    });
+
+    switch (command) {
+        case 'status':
+            await printStatus(migrator);
+            break;
+        case 'up': {
+            const results = await migrator.migrate(options);
+            if (results.length === 0) console.log('Nenhuma migração pendente');
+            break;
+        }
+        case 'down': {
+            const results = await migrator.rollback(options);
+            if (results.length === 0) console.log('Nenhuma migração a reverter');
+            break;
+        }
+        default:
+            throw new Error(`Comando desconhecido: ${command} (use status, up ou down)`);
+    }
+
+    if (options.dryRun) {
+        console.log('Simulação: as migrações rodaram numa cópia do banco, que foi descartada');
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,84 @@
+// Teste de estresse das escritas do JsonDatabase.
+// Dispara centenas de escritas concorrentes, dentro do processo e a partir de
+// processos filhos que compartilham o mesmo diretório, e confere se nenhuma se perdeu.
+//
+// Uso: node scripts/stress-writes.js [escritasPorProcesso] [processos] [json | log]
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { fork } = require('child_process');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+
+const WRITES = parseInt(process.env.STRESS_WRITES || process.argv[2], 10) || 200;
+const WORKERS = parseInt(process.argv[3], 10) || 3;
+const STORAGE = process.env.STRESS_STORAGE || process.argv[4] || 'json';
+const LIST_ID = 'stress-list';
+
+async function runWorker(dbPath, workerId) {
+    const db = new JsonDatabase(dbPath, 'stress', { storage: STORAGE });
+
+    await Promise.all(Array.from({ length: WRITES }, (_, i) => Promise.all([
+        db.create({ worker: workerId, seq: i }),
+        db.update(LIST_ID, current => ({ items: [...current.items, `${workerId}-${i}`] }))
+    ])));
+}
+
+function spawnWorker(dbPath, workerId) {
+    return new Promise((resolve, reject) => {
+        const child = fork(__filename, ['--worker', dbPath, workerId], {
+            env: { ...process.env, STRESS_WRITES: String(WRITES), STRESS_STORAGE: STORAGE }
+        });
+        child.on('error', reject);
+        child.on('exit', code => code === 0
+            ? resolve()
+            : reject(new Error(`Worker ${workerId} terminou com código ${code}`)));
+    });
+}
+
+async function main() {
+    const dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-stress-'));
+    const db = new JsonDatabase(dbPath, 'stress', { storage: STORAGE });
+    await db.create({ id: LIST_ID, items: [] });
+
+    console.log(`Diretório: ${dbPath} (engine ${STORAGE})`);
+    console.log(`${WORKERS} processos filhos + processo principal, ${WRITES} creates e ${WRITES} updates cada`);
+
+    const started = Date.now();
+    await Promise.all([
+        runWorker(dbPath, 'main'),
+        ...Array.from({ length: WORKERS }, (_, i) => spawnWorker(dbPath, `w${i}`))
+    ]);
+    const elapsed = Date.now() - started;
+
+    const expected = WRITES * (WORKERS + 1);
+    const created = await db.count() - 1;
+    const { items } = await db.findById(LIST_ID);
+    const uniqueItems = new Set(items).size;
+
+    console.log(`Tempo: ${elapsed}ms`);
+    console.log(`Documentos criados: ${created}/${expected}`);
+    console.log(`Itens adicionados à lista: ${uniqueItems}/${expected}`);
+
+    await fs.remove(dbPath);
+
+    if (created !== expected || uniqueItems !== expected || items.length !== expected) {
+        console.error('FALHA: escritas foram perdidas');
+        process.exit(1);
+    }
+    console.log('OK: nenhuma escrita perdida');
+}
+
+if (process.argv[2] === '--worker') {
+    const [, , , dbPath, workerId] = process.argv;
+    runWorker(dbPath, workerId).catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+} else {
+    main().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const express = require('express');
+const morgan = require('morgan');
+
+const { MemoryServiceRegistry, ServiceRegistry } = require('../shared/registry');
+
+// Header com o token compartilhado (REGISTRY_TOKEN) exigido em todas as rotas, exceto /health
+const TOKEN_HEADER = 'X-Registry-Token';
+
+// Maior espera aceita num watch (GET /services?index=N&wait=ms)
+const MAX_WATCH_WAIT = 60000;
+
+// Intervalo da varredura de leases vencidos
+const SWEEP_INTERVAL = 1000;
+
+// Servidor de registry: guarda as instâncias em memória e as expõe por HTTP
+// para os clientes de shared/registry/HttpServiceRegistry (REGISTRY_URL).
+// Se for reiniciado, as instâncias voltam sozinhas: o heartbeat recebe 404 e
+// registra de novo. Quem alcança o servidor poderia registrar uma URL falsa
+// para um serviço, então toda requisição leva o token REGISTRY_TOKEN.
+class RegistryServer {
+    constructor(token = process.env.REGISTRY_TOKEN) {
+        if (!token) {
+            throw new Error('Defina REGISTRY_TOKEN: o servidor de registry não aceita requisições sem token');
+        }
+        this.app = express();
+        this.port = process.env.PORT || 3004;
+        this.tokenHash = this.hashToken(token);
+        this.registry = new MemoryServiceRegistry();
+
+        this.setupMiddleware();
+        this.setupRoutes();
+        this.setupErrorHandling();
+    }
+
+    setupMiddleware() {
+        this.app.use(express.json());
+
+        // Heartbeats e watches são contínuos: ficam fora do log
+        this.app.use(morgan('combined', {
+            skip: req => req.method === 'GET' || req.path.endsWith('/heartbeat')
+        }));
+    }
+
+    // Compara os hashes: o tempo da comparação não depende do token recebido
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest();
+    }
+
+    authenticate(req, res, next) {
+        const token = req.get(TOKEN_HEADER);
+        if (!token || !crypto.timingSafeEqual(this.hashToken(token), this.tokenHash)) {
+            return res.status(401).json({ success: false, message: `${TOKEN_HEADER} ausente ou inválido` });
+        }
+        next();
+    }
+
+    // Nomes de serviço e instanceIds das rotas (ver ServiceRegistry.validateInstance)
+    invalidInstance(res, error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    setupRoutes() {
+        this.app.get('/health', (req, res) => {
+            res.json({
+                service: 'service-registry',
+                status: 'healthy',
+                timestamp: new Date().toISOString(),
+                index: this.registry.index,
+                stats: this.registry.getStats()
+            });
+        });
+
+        this.app.use(this.authenticate.bind(this));
+
+        this.app.param('name', (req, res, next, name) => {
+            try {
+                ServiceRegistry.validateInstance(name);
+                next();
+            } catch (error) {
+                this.invalidInstance(res, error);
+            }
+        });
+
+        this.app.param('instanceId', (req, res, next, instanceId) => {
+            try {
+                ServiceRegistry.validateInstance(req.params.name, instanceId);
+                next();
+            } catch (error) {
+                this.invalidInstance(res, error);
+            }
+        });
+
+        // Todas as instâncias. Com `index` igual ao atual e `wait` (ms), a
+        // resposta espera até a próxima mudança ou o fim da espera (long-poll)
+        this.app.get('/services', async (req, res) => {
+            const index = parseInt(req.query.index, 10);
+            const wait = Math.min(parseInt(req.query.wait, 10) || 0, MAX_WATCH_WAIT);
+
+            if (index === this.registry.index && wait > 0) {
+                await this.waitForChange(wait, res);
+                if (res.destroyed) return;
+            }
+            res.json(this.snapshot(this.registry.services));
+        });
+
+        this.app.get('/services/:name', (req, res) => {
+            const instances = this.registry.instancesOf(this.registry.services, req.params.name);
+            if (!instances) {
+                return res.status(404).json({ success: false, message: `Serviço não encontrado: ${req.params.name}` });
+            }
+            res.json(this.snapshot({ [req.params.name]: instances }));
+        });
+
+        this.app.post('/services/:name/instances', (req, res) => {
+            const { url, leaseTtl } = req.body || {};
+            if (typeof url !== 'string' || !url) {
+                return res.status(400).json({ success: false, message: 'url é obrigatória' });
+            }
+            if (leaseTtl !== undefined && (!Number.isInteger(leaseTtl) || leaseTtl < 0)) {
+                return res.status(400).json({ success: false, message: 'leaseTtl deve ser um inteiro >= 0 (ms)' });
+            }
+
+            let instance;
+            try {
+                instance = this.registry.putInstance(req.params.name, req.body);
+            } catch (error) {
+                if (error.code === 'EINVALIDSERVICE') return this.invalidInstance(res, error);
+                throw error;
+            }
+            console.log(`Serviço registrado: ${req.params.name} - ${url} (instância ${instance.instanceId}, PID: ${instance.pid})`);
+            res.status(201).json(instance);
+        });
+
+        this.app.delete('/services/:name/instances/:instanceId', (req, res) => {
+            if (!this.registry.unregister(req.params.name, req.params.instanceId)) {
+                return this.instanceNotFound(req, res);
+            }
+            res.status(204).end();
+        });
+
+        this.app.put('/services/:name/instances/:instanceId/heartbeat', (req, res) => {
+            const { name, instanceId } = req.params;
+            if (!this.registry.renewLease(name, instanceId, !req.body || req.body.passed !== false)) {
+                return this.instanceNotFound(req, res);
+            }
+            res.json(this.registry.instanceOf(this.registry.services, name, instanceId));
+        });
+
+        this.app.post('/services/:name/instances/:instanceId/checks', (req, res) => {
+            const { name, instanceId } = req.params;
+            if (!req.body || typeof req.body.passed !== 'boolean') {
+                return res.status(400).json({ success: false, message: 'passed (boolean) é obrigatório' });
+            }
+            if (!this.registry.recordCheck(name, instanceId, req.body.passed)) {
+                return this.instanceNotFound(req, res);
+            }
+            res.json(this.registry.instanceOf(this.registry.services, name, instanceId));
+        });
+
+        this.app.put('/services/:name/instances/:instanceId/health', (req, res) => {
+            const { name, instanceId } = req.params;
+            if (!req.body || typeof req.body.healthy !== 'boolean') {
+                return res.status(400).json({ success: false, message: 'healthy (boolean) é obrigatório' });
+            }
+            if (!this.registry.updateHealth(name, instanceId, req.body.healthy)) {
+                return this.instanceNotFound(req, res);
+            }
+            res.json(this.registry.instanceOf(this.registry.services, name, instanceId));
+        });
+
+        // Limpar registry (útil para desenvolvimento)
+        this.app.delete('/services', (req, res) => {
+            this.registry.clear();
+            res.status(204).end();
+        });
+    }
+
+    setupErrorHandling() {
+        this.app.use('*', (req, res) => {
+            res.status(404).json({
+                success: false,
+                message: 'Endpoint não encontrado',
+                service: 'service-registry'
+            });
+        });
+
+        this.app.use((error, req, res, next) => {
+            console.error('Erro no service registry:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                message: error.status ? error.message : 'Erro interno do registry'
+            });
+        });
+    }
+
+    // `time` permite ao cliente comparar os leases com a hora do servidor
+    snapshot(services) {
+        return { index: this.registry.index, time: Date.now(), services };
+    }
+
+    waitForChange(wait, res) {
+        return new Promise(resolve => {
+            let unsubscribe = () => {};
+            const done = () => {
+                clearTimeout(timer);
+                unsubscribe();
+                res.off('close', done);
+                resolve();
+            };
+            const timer = setTimeout(done, wait);
+            unsubscribe = this.registry.subscribe(done);
+            res.on('close', done);
+        });
+    }
+
+    instanceNotFound(req, res) {
+        res.status(404).json({
+            success: false,
+            message: `Instância não encontrada: ${req.params.name} (${req.params.instanceId})`
+        });
+    }
+
+    start() {
+        setInterval(() => this.registry.sweepLeases(), SWEEP_INTERVAL).unref();
+
+        this.app.listen(this.port, () => {
+            console.log('=====================================');
+            console.log(`Service Registry iniciado na porta ${this.port}`);
+            console.log(`URL: http://localhost:${this.port}`);
+            console.log(`Use REGISTRY_URL=http://localhost:${this.port} e o mesmo REGISTRY_TOKEN no gateway e nos serviços`);
+            console.log('=====================================');
+        });
+    }
+}
+
+if (require.main === module) {
+    let server;
+    try {
+        server = new RegistryServer();
+    } catch (error) {
+        console.error('Erro ao iniciar o service registry:', error.message);
+        process.exit(1);
+    }
+    server.start();
+
+    process.on('SIGTERM', () => process.exit(0));
+    process.on('SIGINT', () => process.exit(0));
+}
+
+module.exports = RegistryServer;
@@ -0,0 +1,33 @@
+// Itens criados por POST /items antes do itemSchema não têm unit, averagePrice,
+// description e active, e vários não têm updatedAt. Preenche com os defaults
+// do schema e com a data de criação. Irreversível: não dá para saber quais
+// valores foram preenchidos aqui.
+
+const DEFAULTS = {
+  unit: 'un',
+  averagePrice: 0,
+  description: '',
+  active: true
+};
+
+module.exports = {
+  collection: 'items',
+
+  async up(tx) {
+    const items = await tx.find();
+
+    for (const item of items) {
+      const missing = Object.keys(DEFAULTS).filter(field => item[field] === undefined);
+      if (missing.length === 0 && item.updatedAt !== undefined) continue;
+
+      const completed = { ...item };
+      missing.forEach(field => {
+        completed[field] = DEFAULTS[field];
+      });
+      if (completed.updatedAt === undefined && completed.createdAt !== undefined) {
+        completed.updatedAt = completed.createdAt;
+      }
+      await tx.replace(item.id, completed);
+    }
+  }
+};
@@ -0,0 +1,25 @@
+// Schema dos itens do catálogo (validado pelo JsonDatabase em create e update)
+const itemSchema = {
+  type: 'object',
+  required: ['name', 'category'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    category: { type: 'string', minLength: 1, maxLength: 100 },
+    brand: { type: 'string', maxLength: 100 },
+    unit: { type: 'string', enum: ['un', 'kg', 'g', 'litro', 'ml', 'pacote', 'caixa'], default: 'un' },
+    averagePrice: { type: 'number', minimum: 0, default: 0 },
+    barcode: { type: 'string', pattern: '^[0-9]{8,14}$' },
+    description: { type: 'string', maxLength: 1000, default: '' },
+    active: { type: 'boolean', default: true },
+    createdAt: { type: 'string' },
+    updatedAt: { type: 'string' },
+    deletedAt: { type: 'string' }
+  }
+};
+
+// Schemas por coleção, usados pelo servidor e pelas ferramentas de scripts/db-tool.js
+module.exports = {
+  items: itemSchema
+};
@@ -4,12 +4,51 @@ const { v4: uuidv4 } = require('uuid');
 const serviceRegistry = require('../../shared/serviceRegistry');
 const path = require('path');
 const JsonDatabase = require('../../shared/JsonDatabase');
+const Migrator = require('../../shared/Migrator');
+const { HealthCheck, databaseCheck } = require('../../shared/health');
+const { items: itemSchema } = require('./schemas');
 
 const dbDirectory = path.join(__dirname, 'database');
 
+// Paginação de GET /items
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Versão e tags da instância no registry, usadas no roteamento por versão do gateway
+const SERVICE_VERSION = process.env.SERVICE_VERSION || '1.0.0';
+const SERVICE_TAGS = (process.env.SERVICE_TAGS || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
 fs.mkdirSync(dbDirectory, { recursive: true });
 
-const db = new JsonDatabase(dbDirectory, 'items');
+const db = new JsonDatabase(dbDirectory, 'items', {
+  storage: process.env.DB_STORAGE || 'json',
+  schema: itemSchema,
+  softDelete: true
+});
+
+// Banco corrompido ou irrecuperável: encerrar em vez de servir (e sobrescrever) dados vazios
+db.ready.catch(error => {
+  console.error('Item service: falha ao abrir o banco de dados:', error.message);
+  process.exit(1);
+});
+
+db.createIndex('barcode', { unique: true }).catch(error => {
+  console.warn('Item service: índice único de barcode não criado:', error.message);
+  return db.createIndex('barcode');
+});
+db.createIndex('category').catch(error => {
+  console.warn('Item service: índice de category não criado:', error.message);
+});
+
+// Busca textual: nome pesa mais que marca/categoria, que pesam mais que a descrição
+db.createTextIndex({ name: 3, brand: 2, category: 2, description: 1 }).catch(error => {
+  console.warn('Item service: índice textual não criado:', error.message);
+});
+
+// Migrações de dados (services/item-service/migrations), aplicadas antes do listen
+const migrator = new Migrator(dbDirectory, path.join(__dirname, 'migrations'), {
+  storage: process.env.DB_STORAGE || 'json'
+});
 
 const app = express();
 app.use(express.json());
@@ -19,87 +58,221 @@ async function readItems() {
     return await db.readAll() || [];
   } catch (err) {
     console.error('Erro ao ler items do JsonDatabase:', err.message);
-    return [];
+    throw err;
   }
 }
 
-async function writeItems(items) {
-  try {
-    await db.writeAll(items);
-  } catch (err) {
-    console.error('Erro ao escrever items no JsonDatabase:', err.message);
-  }
+// Itens inativos (active: false) só aparecem no catálogo com ?includeInactive=true
+function visibleItems(req, items) {
+  return req.query.includeInactive === 'true' ? items : items.filter(item => item.active !== false);
 }
 
-app.get('/items', async (req, res) => {
-  const { category, name } = req.query;
-  let items = await readItems();
+// Texto do usuário usado literalmente num $regex
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
-  if (category) {
-    items = items.filter(item => item.category && item.category.toLowerCase() === category.toLowerCase());
+// Erros de leitura/escrita viram 500 (registrados no log) em vez de uma lista
+// vazia; itens que não passam no itemSchema (ou cursores inválidos) viram 400
+function handleErrors(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(error => {
+      if (error.code === 'EDBVALIDATION') {
+        return res.status(400).json({ message: 'Invalid item', errors: error.errors });
+      }
+      if (error.code === 'EDBCURSOR') {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      console.error('Erro no item service:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    });
+  };
+}
+
+// Catálogo em ordem alfabética, paginado por cursor (?cursor=<nextCursor>).
+// `fields=name,category` limita os campos devolvidos
+app.get('/items', handleErrors(async (req, res) => {
+  const { category, name, cursor, fields } = req.query;
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+
+  const filter = {};
+  if (req.query.includeInactive !== 'true') {
+    filter.active = { $ne: false };
+  }
+  if (typeof category === 'string' && category !== '') {
+    filter.category = { $regex: `^${escapeRegex(category)}$` };
   }
   if (typeof name === 'string' && name.trim() !== '') {
-    items = items.filter(item => typeof item.name === 'string' && item.name.toLowerCase().includes(name.toLowerCase()));
+    filter.name = { $regex: escapeRegex(name) };
   }
 
-  res.json(items);
-});
+  const projection = typeof fields === 'string' && fields.trim() !== ''
+    ? Object.fromEntries(fields.split(',').map(field => field.trim()).filter(Boolean).map(field => [field, 1]))
+    : undefined;
+
+  const { documents: items, nextCursor } = await db.findPage(filter, {
+    sort: { name: 1 },
+    limit,
+    after: cursor,
+    projection
+  });
 
-app.get('/items/:id', async (req, res) => {
-  const { id } = req.params;
-  const items = await readItems();
-  const item = items.find(item => item.id === id);
+  res.json({ items, nextCursor });
+}));
+
+// Inclui itens excluídos (com `deletedAt`): as listas continuam referenciando-os
+app.get('/items/:id', handleErrors(async (req, res) => {
+  const item = await db.findById(req.params.id, { deleted: 'include' });
 
   if (!item) {
     return res.status(404).json({ message: 'Item not found' });
   }
 
   res.json(item);
-});
+}));
+
+// Campos definidos pelo servidor: ignorados no corpo dos cadastros
+const SERVER_FIELDS = ['id', 'createdAt', 'updatedAt', 'deletedAt'];
+
+const withoutServerFields = item => Object.fromEntries(Object.entries(item)
+  .filter(([field]) => !SERVER_FIELDS.includes(field)));
 
-app.post('/items', async (req, res) => {
-  const newItem = { ...req.body, id: uuidv4(), createdAt: new Date().toISOString() };
-  const items = await readItems();
-  items.push(newItem);
-  await writeItems(items);
+app.post('/items', handleErrors(async (req, res) => {
+  const newItem = await db.create({ ...withoutServerFields(req.body || {}), id: uuidv4(), createdAt: new Date().toISOString() });
 
   res.status(201).json(newItem);
-});
+}));
+
+// Cadastro em lote: { items: [...], upsertBy: 'barcode' } numa única escrita.
+// Com upsertBy, um item com o mesmo valor atualiza o existente. Itens inválidos
+// não impedem os demais e voltam em `failed` (com o índice no array)
+app.post('/items/bulk', handleErrors(async (req, res) => {
+  const { items, upsertBy } = req.body;
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ message: 'items must be a non-empty array' });
+  }
+
+  // Elementos que não são objetos falham sem ir para o banco; `positions`
+  // guarda o índice no array de cada operação enviada
+  const failed = [];
+  const positions = [];
+  const operations = [];
+  items.forEach((element, index) => {
+    if (!element || typeof element !== 'object' || Array.isArray(element)) {
+      failed.push({ index, message: 'item must be an object' });
+      return;
+    }
+    const item = withoutServerFields(element);
+    const key = upsertBy ? item[upsertBy] : undefined;
+    positions.push(index);
+    operations.push(key === undefined
+      ? { insertOne: { document: item } }
+      : { updateOne: { filter: { [upsertBy]: key }, update: { $set: item }, upsert: true } });
+  });
+
+  let result = { inserted: 0, modified: 0, results: [] };
+  if (operations.length > 0) {
+    try {
+      result = await db.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      if (error.code !== 'EDBBULKWRITE') throw error;
+      result = error.result;
+    }
+  }
+
+  result.results
+    .filter(op => op.error)
+    .forEach(({ index, error }) => failed.push({ index: positions[index], message: error.message, errors: error.errors }));
+  failed.sort((a, b) => a.index - b.index);
+
+  res.status(failed.length > 0 ? 207 : 201).json({
+    inserted: result.inserted,
+    updated: result.modified,
+    failed
+  });
+}));
 
-app.put('/items/:id', async (req, res) => {
-  const { id } = req.params;
-  const updatedData = req.body;
-  const items = await readItems();
-  const itemIndex = items.findIndex(item => item.id === id);
+// Campos do itemSchema que o cliente pode alterar; as chaves do corpo são
+// nomes de campo, nunca caminhos em notação de ponto
+const UPDATABLE_FIELDS = Object.keys(itemSchema.properties)
+  .filter(field => !SERVER_FIELDS.includes(field));
 
-  if (itemIndex === -1) {
+app.put('/items/:id', handleErrors(async (req, res) => {
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({ message: 'Request body must be an object' });
+  }
+
+  const { id, createdAt, updatedAt, ...updatedData } = req.body;
+  const unknownFields = Object.keys(updatedData).filter(field => !UPDATABLE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return res.status(400).json({
+      message: 'Invalid item',
+      errors: unknownFields.map(field => ({ field, keyword: 'additionalProperties', message: 'não é permitido' }))
+    });
+  }
+
+  const updatedItem = await db.update(req.params.id, { $set: updatedData });
+
+  if (!updatedItem) {
     return res.status(404).json({ message: 'Item not found' });
   }
 
-  items[itemIndex] = { 
-    ...items[itemIndex], 
-    ...updatedData, 
-    updatedAt: new Date().toISOString() 
-  };
-  await writeItems(items);
+  res.json(updatedItem);
+}));
 
-  res.json(items[itemIndex]);
-});
+// Exclusão reversível: o item sai do catálogo e das buscas, mas GET /items/:id
+// continua a devolvê-lo (com `deletedAt`) para as listas que o referenciam,
+// até ser restaurado ou removido definitivamente
+app.delete('/items/:id', handleErrors(async (req, res) => {
+  const deleted = await db.delete(req.params.id);
 
-app.get('/categories', async (req, res) => {
-  const items = await readItems();
+  if (!deleted) {
+    return res.status(404).json({ message: 'Item not found' });
+  }
+
+  res.json({ message: 'Item deleted' });
+}));
+
+app.post('/items/:id/restore', handleErrors(async (req, res) => {
+  const restoredItem = await db.restore(req.params.id);
+
+  if (!restoredItem) {
+    return res.status(404).json({ message: 'Deleted item not found' });
+  }
+
+  res.json(restoredItem);
+}));
+
+app.get('/categories', handleErrors(async (req, res) => {
+  const items = visibleItems(req, await readItems());
   const categories = [...new Set(items.map(item => item.category))].filter(Boolean);
   res.json(categories);
-});
-
-app.get('/search', async (req, res) => {
+}));
+
+// Estatísticas de preço por categoria (itens ativos)
+app.get('/categories/stats', handleErrors(async (req, res) => {
+  const stats = await db.aggregate([
+    { $match: { category: { $exists: true }, active: { $ne: false } } },
+    {
+      $group: {
+        _id: '$category',
+        items: { $count: {} },
+        averagePrice: { $avg: '$averagePrice' },
+        minPrice: { $min: '$averagePrice' },
+        maxPrice: { $max: '$averagePrice' }
+      }
+    },
+    { $sort: { items: -1 } }
+  ]);
+
+  res.json(stats.map(({ _id, ...rest }) => ({ category: _id, ...rest })));
+}));
+
+app.get('/search', handleErrors(async (req, res) => {
   const { q, limit, sort } = req.query;
-  let items = await readItems();
 
-  let results = items;
-  if (q) {
-    results = results.filter(item => item.name && item.name.toLowerCase().includes(q.toLowerCase()));
-  }
+  // Com `q`, resultados ordenados por relevância (com `_score`)
+  let results = visibleItems(req, q ? await db.search(q) : await readItems());
 
   // Ordenação por data de criação 
   if (sort === 'newest') {
@@ -116,20 +289,17 @@ app.get('/search', async (req, res) => {
   }
 
   res.json({ results: limitedResults, total: results.length });
-});
+}));
 
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    service: 'item-service',
-    timestamp: Date.now()
-  });
-});
+const health = new HealthCheck('item-service', { version: SERVICE_VERSION })
+  .addCheck('database', databaseCheck(db))
+  .mount(app);
 
 async function seedInitialItems() {
   try {
-    const existing = await readItems();
-    if (existing && existing.length > 0) return;
+    // Itens na lixeira também contam: o seed só roda num catálogo vazio
+    const existing = await db.count({}, { deleted: 'include' });
+    if (existing > 0) return;
 
     const now = new Date().toISOString();
     const initialItems = [
@@ -157,21 +327,32 @@ async function seedInitialItems() {
       { id: uuidv4(), name: 'Bolo Caseiro 1kg', category: 'Padaria', brand: 'DoceLar', unit: 'kg', averagePrice: 15.0, barcode: '789000500003', description: '1kg', active: true, createdAt: now },
     ];
 
-    await writeItems(initialItems);
-    console.log('Dados iniciais inseridos com sucesso!');
+    const { inserted } = await db.insertMany(initialItems);
+    console.log(`Dados iniciais inseridos com sucesso! (${inserted} itens)`);
   } catch (error) {
     console.error('Erro ao inserir dados iniciais:', error);
   }
 }
 
 // Start the server
-const PORT = 3003; 
-app.listen(PORT, async () => {
-  console.log(`Item service running on port ${PORT}`);
-
-  await seedInitialItems();
-
-  serviceRegistry.register('item-service', {
-    url: `http://localhost:${PORT}`
+const PORT = process.env.PORT || 3003;
+// Aplicar migrações pendentes antes de aceitar requisições
+migrator.migrate().then(() => {
+  app.listen(PORT, async () => {
+    console.log(`Item service running on port ${PORT}`);
+
+    await seedInitialItems();
+
+    const instanceId = serviceRegistry.register('item-service', {
+      url: `http://localhost:${PORT}`,
+      version: SERVICE_VERSION,
+      tags: SERVICE_TAGS
+    });
+    serviceRegistry.startHeartbeat('item-service', instanceId, {
+      check: () => health.assertReady()
+    });
   });
+}).catch(error => {
+  console.error('Item service: falha ao aplicar migrações:', error.message);
+  process.exit(1);
 });
\ No newline at end of file
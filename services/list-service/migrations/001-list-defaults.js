@@ -0,0 +1,32 @@
+// Cada lista guarda os campos que o listSchema tinha quando foi criada. Completa
+// description, status, items e o purchased dos itens com os defaults atuais e
+// recalcula o summary a partir dos itens. Irreversível: os campos preenchidos
+// continuam válidos e o summary recalculado é o correto.
+
+function listSummary(items) {
+  return {
+    totalItems: items.length,
+    purchasedItems: items.filter(item => item.purchased).length,
+    estimatedTotal: items.reduce((total, item) => total + (item.estimatedPrice || 0) * item.quantity, 0)
+  };
+}
+
+module.exports = {
+  collection: 'lists',
+
+  async up(tx) {
+    const lists = await tx.find();
+
+    for (const list of lists) {
+      const items = (list.items || []).map(item => (item.purchased === undefined ? { ...item, purchased: false } : item));
+      const completed = {
+        ...list,
+        description: list.description === undefined ? '' : list.description,
+        status: list.status || 'active',
+        items,
+        summary: listSummary(items)
+      };
+      await tx.replace(list.id, completed);
+    }
+  }
+};
@@ -0,0 +1,48 @@
+// Schema das listas (validado pelo JsonDatabase em create e update)
+const listSchema = {
+  type: 'object',
+  required: ['userId', 'name'],
+  properties: {
+    id: { type: 'string' },
+    userId: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    description: { type: 'string', maxLength: 500, default: '' },
+    status: { type: 'string', enum: ['active', 'completed', 'archived'], default: 'active' },
+    items: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['id', 'itemId', 'quantity'],
+        properties: {
+          id: { type: 'string' },
+          itemId: { type: 'string' },
+          itemName: { type: 'string' },
+          quantity: { type: 'number', exclusiveMinimum: 0 },
+          unit: { type: 'string' },
+          estimatedPrice: { type: 'number', minimum: 0 },
+          purchased: { type: 'boolean', default: false },
+          notes: { type: 'string', maxLength: 500 },
+          addedAt: { type: 'string' }
+        }
+      }
+    },
+    summary: {
+      type: 'object',
+      default: { totalItems: 0, purchasedItems: 0, estimatedTotal: 0 },
+      properties: {
+        totalItems: { type: 'integer', minimum: 0 },
+        purchasedItems: { type: 'integer', minimum: 0 },
+        estimatedTotal: { type: 'number', minimum: 0 }
+      }
+    },
+    createdAt: { type: 'string' },
+    updatedAt: { type: 'string' },
+    deletedAt: { type: 'string' }
+  }
+};
+
+// Schemas por coleção, usados pelo servidor e pelas ferramentas de scripts/db-tool.js
+module.exports = {
+  lists: listSchema
+};
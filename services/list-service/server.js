@@ -3,35 +3,69 @@ const { v4: uuidv4 } = require('uuid');
 const serviceRegistry = require('../../shared/serviceRegistry');
 const path = require('path');
 const JsonDatabase = require('../../shared/JsonDatabase');
+const Migrator = require('../../shared/Migrator');
+const { HealthCheck, databaseCheck, serviceCheck } = require('../../shared/health');
+const { idempotency } = require('../../shared/idempotency');
+const { lists: listSchema } = require('./schemas');
 const fs = require('fs');
 const axios = require('axios');
 const jwt = require('jsonwebtoken'); 
 
-const PORT = 3002;
+const PORT = process.env.PORT || 3002;
 const dbDirectory = path.join(__dirname, 'database');
 
+// Versão e tags da instância no registry, usadas no roteamento por versão do gateway
+const SERVICE_VERSION = process.env.SERVICE_VERSION || '1.0.0';
+const SERVICE_TAGS = (process.env.SERVICE_TAGS || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
+// Listas excluídas ficam na lixeira por este tempo antes de serem removidas de vez
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const TRASH_RETENTION = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Paginação de GET /lists
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
 fs.mkdirSync(dbDirectory, { recursive: true });
 
-const listDb = new JsonDatabase(dbDirectory, 'lists');
+// Listas recebem muitas escritas pequenas: por padrão usam o log append-only
+// (a primeira execução importa database/lists.json)
+const listDb = new JsonDatabase(dbDirectory, 'lists', {
+  storage: process.env.DB_STORAGE || 'log',
+  schema: listSchema,
+  softDelete: true
+});
+
+// Banco corrompido ou irrecuperável: encerrar em vez de servir dados vazios
+listDb.ready.catch(error => {
+  console.error('List service: falha ao abrir o banco de dados:', error.message);
+  process.exit(1);
+});
+
+listDb.createIndex('userId').catch(error => {
+  console.warn('List service: índice de userId não criado:', error.message);
+});
+
+// Respostas dos POST com Idempotency-Key, por usuário (ver shared/idempotency)
+const idempotencyDb = new JsonDatabase(dbDirectory, 'idempotency', {
+  storage: process.env.DB_STORAGE || 'json',
+  ttlSweepInterval: 60 * 1000
+});
+const idempotent = idempotency(idempotencyDb);
+
+// Migrações de dados (services/list-service/migrations), aplicadas antes do listen
+const migrator = new Migrator(dbDirectory, path.join(__dirname, 'migrations'), {
+  storage: process.env.DB_STORAGE || 'log'
+});
 
 const app = express();
 app.use(express.json());
 
-const listSchema = {
-  id: '',
-  userId: '',
-  name: '',
-  description: '',
-  status: 'active',
-  items: [],
-  summary: {
-    totalItems: 0,
-    purchasedItems: 0,
-    estimatedTotal: 0,
-  },
-  createdAt: '',
-  updatedAt: ''
-};
+// Erros de validação do schema viram 400 com a lista de campos inválidos
+function sendValidationError(res, error) {
+  return res.status(400).json({ error: 'Dados da lista inválidos', errors: error.errors });
+}
 
 async function validateUserId(req, res, next) {
   try {
@@ -73,26 +107,50 @@ async function validateUserId(req, res, next) {
   }
 }
 
-async function checkListOwnership(req, res, next) {
-  try {
-    const { id } = req.params;
-    const userId = req.userId;
+// Middleware que carrega a lista do usuário em req.list. `options.deleted:
+// 'only'` procura na lixeira (ver JsonDatabase.find)
+function listOwnership(options = {}) {
+  return async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const userId = req.userId;
+
+      const list = await listDb.findById(id, options);
+      
+      if (!list) {
+        return res.status(404).json({ error: 'Lista não encontrada' });
+      }
 
-    const list = await listDb.findById(id);
-    
-    if (!list) {
-      return res.status(404).json({ error: 'Lista não encontrada' });
-    }
+      if (list.userId !== userId) {
+        return res.status(403).json({ error: 'Acesso negado. Esta lista pertence a outro usuário.' });
+      }
 
-    if (list.userId !== userId) {
-      return res.status(403).json({ error: 'Acesso negado. Esta lista pertence a outro usuário.' });
+      req.list = list;
+      next();
+    } catch (error) {
+      console.error('Erro ao verificar propriedade da lista:', error);
+      res.status(500).json({ error: 'Erro interno do servidor' });
     }
+  };
+}
 
-    req.list = list;
-    next();
+const checkListOwnership = listOwnership();
+const checkTrashedListOwnership = listOwnership({ deleted: 'only' });
+
+// Data em que a lista excluída sai da lixeira definitivamente
+function trashExpiration(list) {
+  return new Date(Date.parse(list.deletedAt) + TRASH_RETENTION).toISOString();
+}
+
+// Remove de vez as listas que passaram do prazo na lixeira
+async function purgeTrash() {
+  try {
+    const purged = await listDb.purgeDeleted(TRASH_RETENTION);
+    if (purged > 0) {
+      console.log(`List service: ${purged} lista(s) removida(s) da lixeira`);
+    }
   } catch (error) {
-    console.error('Erro ao verificar propriedade da lista:', error);
-    res.status(500).json({ error: 'Erro interno do servidor' });
+    console.error('Erro ao esvaziar a lixeira:', error);
   }
 }
 
@@ -117,42 +175,28 @@ function calculateListSummary(items) {
   return { totalItems, purchasedItems, estimatedTotal };
 }
 
-async function updateListSummary(listId) {
-  try {
-    const list = await listDb.findById(listId);
-    if (!list) return;
+// Altera os itens e recalcula o resumo na mesma transação, para que o resumo
+// nunca fique diferente de `items`
+function updateListItems(listId, changes) {
+  return listDb.transaction(async tx => {
+    const list = await tx.update(listId, changes);
+    if (!list) return null;
 
-    const summary = calculateListSummary(list.items);
-    await listDb.update(listId, { 
-      summary,
-      updatedAt: new Date().toISOString() 
-    });
-  } catch (error) {
-    console.error('Erro ao atualizar resumo da lista:', error);
-  }
+    return tx.update(listId, { summary: calculateListSummary(list.items) });
+  });
 }
 
-app.post('/lists', validateUserId, async (req, res) => {
+app.post('/lists', validateUserId, idempotent, async (req, res) => {
   try {
-    const { name, description, status = 'active' } = req.body;
+    const { name, description, status } = req.body;
     const userId = req.userId;
 
-    if (!name) {
-      return res.status(400).json({ error: 'name é obrigatório' });
-    }
-
-    // Validar status
-    const validStatuses = ['active', 'completed', 'archived'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Status inválido. Use: active, completed ou archived' });
-    }
-
+    // Campos ausentes recebem os defaults do listSchema
     const newList = {
-      ...listSchema,
       id: uuidv4(),
       userId,
       name,
-      description: description || '',
+      description,
       status,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
@@ -161,15 +205,21 @@ app.post('/lists', validateUserId, async (req, res) => {
     const createdList = await listDb.create(newList);
     res.status(201).json(createdList);
   } catch (error) {
+    if (error.code === 'EDBVALIDATION') {
+      return sendValidationError(res, error);
+    }
     console.error('Erro ao criar lista:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
+// GET /lists - Listas do usuário, das mais recentes para as mais antigas.
+// A próxima página vem com ?cursor=<nextCursor>
 app.get('/lists', validateUserId, async (req, res) => {
   try {
-    const { status } = req.query;
+    const { status, pendingItemId, cursor } = req.query;
     const userId = req.userId;
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
 
     const filter = { userId };
     if (status) {
@@ -180,14 +230,166 @@ app.get('/lists', validateUserId, async (req, res) => {
       filter.status = status;
     }
 
-    const userLists = await listDb.find(filter);
-    res.status(200).json(userLists);
+    // Listas em que um item do catálogo ainda não foi comprado
+    if (pendingItemId) {
+      filter.items = { $elemMatch: { itemId: pendingItemId, purchased: false } };
+    }
+
+    const { documents: lists, nextCursor } = await listDb.findPage(filter, {
+      sort: { createdAt: -1 },
+      limit,
+      after: cursor
+    });
+    res.status(200).json({ lists, nextCursor });
   } catch (error) {
+    if (error.code === 'EDBCURSOR') {
+      return res.status(400).json({ error: 'Cursor inválido' });
+    }
     console.error('Erro ao buscar listas:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
+// GET /lists/events - Mudanças nas listas do usuário em tempo real (Server-Sent Events)
+app.get('/lists/events', validateUserId, (req, res) => {
+  const resumeAfter = req.header('Last-Event-ID') || req.query.resumeAfter;
+  const stream = listDb.watch({ userId: req.userId }, { resumeAfter });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  stream.on('change', change => {
+    const data = { id: change.documentKey.id, list: change.fullDocument };
+    res.write(`id: ${change.resumeToken}\nevent: ${change.operationType}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+
+  stream.on('error', error => {
+    res.write(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+    res.end();
+  });
+
+  req.on('close', () => stream.close());
+});
+
+// GET /lists/stats - Estatísticas das listas do usuário, calculadas no banco
+app.get('/lists/stats', validateUserId, async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const byStatus = await listDb.aggregate([
+      { $match: { userId } },
+      {
+        $group: {
+          _id: '$status',
+          lists: { $count: {} },
+          totalItems: { $sum: '$summary.totalItems' },
+          purchasedItems: { $sum: '$summary.purchasedItems' },
+          estimatedTotal: { $sum: '$summary.estimatedTotal' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const recent = await listDb.aggregate([
+      { $match: { userId } },
+      { $sort: { updatedAt: -1 } },
+      { $limit: 3 },
+      { $project: { name: 1, status: 1, itemsCount: '$summary.totalItems', updatedAt: 1 } }
+    ]);
+
+    res.status(200).json({ byStatus, recent });
+  } catch (error) {
+    console.error('Erro ao calcular estatísticas das listas:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// DELETE /lists - Mover para a lixeira, de uma vez, todas as listas do usuário
+// (ou só as de ?status=completed, por exemplo)
+app.delete('/lists', validateUserId, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const filter = { userId: req.userId };
+    if (status) filter.status = status;
+
+    const { deleted } = await listDb.deleteMany(filter);
+    res.status(200).json({ message: `${deleted} lista(s) movida(s) para a lixeira`, deleted });
+  } catch (error) {
+    console.error('Erro ao deletar listas:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /lists/purchased - Marcar um item do catálogo como comprado em todas as
+// listas do usuário em que ele está pendente, numa única escrita
+app.post('/lists/purchased', validateUserId, idempotent, async (req, res) => {
+  try {
+    const { itemId } = req.body;
+    if (!itemId) {
+      return res.status(400).json({ error: 'itemId é obrigatório' });
+    }
+
+    const pending = await listDb.find({
+      userId: req.userId,
+      items: { $elemMatch: { itemId, purchased: false } }
+    });
+
+    // O filtro por updatedAt ignora (em vez de sobrescrever) uma lista alterada
+    // depois da leitura
+    const operations = pending.map(list => {
+      const items = list.items.map(item => item.itemId === itemId ? { ...item, purchased: true } : item);
+      return {
+        updateOne: {
+          filter: { id: list.id, updatedAt: list.updatedAt },
+          update: { $set: { items, summary: calculateListSummary(items) } }
+        }
+      };
+    });
+
+    const result = operations.length > 0
+      ? await listDb.bulkWrite(operations, { ordered: false })
+      : { modified: 0, results: [] };
+
+    res.status(200).json({
+      updated: result.modified,
+      lists: result.results.filter(op => op.modified > 0).flatMap(op => op.ids),
+      skipped: result.results.filter(op => op.matched === 0).map(op => pending[op.index].id)
+    });
+  } catch (error) {
+    console.error('Erro ao marcar item como comprado:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// GET /lists/trash - Listas excluídas recentemente (antes de /lists/:id)
+app.get('/lists/trash', validateUserId, async (req, res) => {
+  try {
+    const trashed = await listDb.find({ userId: req.userId }, { deleted: 'only', sort: { deletedAt: -1 } });
+    res.status(200).json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      lists: trashed.map(list => ({ ...list, purgeAt: trashExpiration(list) }))
+    });
+  } catch (error) {
+    console.error('Erro ao buscar lixeira:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// DELETE /lists/trash/:id - Excluir definitivamente uma lista da lixeira
+app.delete('/lists/trash/:id', validateUserId, checkTrashedListOwnership, async (req, res) => {
+  try {
+    await listDb.delete(req.params.id, { permanent: true });
+    res.status(200).json({ message: 'Lista excluída definitivamente' });
+  } catch (error) {
+    console.error('Erro ao excluir lista da lixeira:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 app.get('/lists/:id', validateUserId, checkListOwnership, async (req, res) => {
   res.status(200).json(req.list);
 });
@@ -197,38 +399,52 @@ app.put('/lists/:id', validateUserId, checkListOwnership, async (req, res) => {
     const { name, description, status } = req.body;
     const updates = { updatedAt: new Date().toISOString() };
 
-    if (name) updates.name = name;
+    if (name !== undefined) updates.name = name;
     if (description !== undefined) updates.description = description;
-    
-    if (status) {
-      const validStatuses = ['active', 'completed', 'archived'];
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({ error: 'Status inválido. Use: active, completed ou archived' });
-      }
-      updates.status = status;
-    }
+    if (status !== undefined) updates.status = status;
 
     const updatedList = await listDb.update(req.params.id, updates);
     res.status(200).json(updatedList);
   } catch (error) {
+    if (error.code === 'EDBVALIDATION') {
+      return sendValidationError(res, error);
+    }
     console.error('Erro ao atualizar lista:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
-// DELETE /lists/:id - Deletar lista
+// DELETE /lists/:id - Mover lista para a lixeira
 app.delete('/lists/:id', validateUserId, checkListOwnership, async (req, res) => {
   try {
     await listDb.delete(req.params.id);
-    res.status(200).json({ message: 'Lista deletada com sucesso' });
+    const list = await listDb.findById(req.params.id, { deleted: 'only' });
+    res.status(200).json({
+      message: 'Lista movida para a lixeira',
+      purgeAt: list ? trashExpiration(list) : null
+    });
   } catch (error) {
     console.error('Erro ao deletar lista:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
+// POST /lists/:id/restore - Restaurar lista da lixeira
+app.post('/lists/:id/restore', validateUserId, idempotent, checkTrashedListOwnership, async (req, res) => {
+  try {
+    const restored = await listDb.restore(req.params.id);
+    if (!restored) {
+      return res.status(404).json({ error: 'Lista não encontrada na lixeira' });
+    }
+    res.status(200).json(restored);
+  } catch (error) {
+    console.error('Erro ao restaurar lista:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 // POST /lists/:id/items - Adicionar item à lista
-app.post('/lists/:id/items', validateUserId, checkListOwnership, async (req, res) => {
+app.post('/lists/:id/items', validateUserId, idempotent, checkListOwnership, async (req, res) => {
   try {
     const { itemId, quantity = 1, unit = 'un', notes = '' } = req.body;
 
@@ -239,7 +455,8 @@ app.post('/lists/:id/items', validateUserId, checkListOwnership, async (req, res
     // Buscar informações do item no Item Service
     const itemInfo = await getItemInfo(itemId);
     
-    if (!itemInfo) {
+    // Itens excluídos continuam no Item Service, mas não entram em listas novas
+    if (!itemInfo || itemInfo.deletedAt) {
       return res.status(404).json({ error: 'Item não encontrado no catálogo' });
     }
 
@@ -255,18 +472,16 @@ app.post('/lists/:id/items', validateUserId, checkListOwnership, async (req, res
       addedAt: new Date().toISOString()
     };
 
-    const list = req.list;
-    list.items.push(newItem);
-    
-    const updatedList = await listDb.update(req.params.id, {
-      items: list.items,
-      updatedAt: new Date().toISOString()
+    // $push acrescenta sobre os itens atuais, sem regravar o array lido antes
+    const updatedList = await updateListItems(req.params.id, {
+      $push: { items: newItem }
     });
 
-    await updateListSummary(req.params.id);
-
     res.status(201).json(updatedList);
   } catch (error) {
+    if (error.code === 'EDBVALIDATION') {
+      return sendValidationError(res, error);
+    }
     console.error('Erro ao adicionar item à lista:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
@@ -285,21 +500,22 @@ app.put('/lists/:id/items/:itemId', validateUserId, checkListOwnership, async (r
       return res.status(404).json({ error: 'Item não encontrado na lista' });
     }
 
-    if (quantity !== undefined) list.items[itemIndex].quantity = quantity;
-    if (unit !== undefined) list.items[itemIndex].unit = unit;
-    if (estimatedPrice !== undefined) list.items[itemIndex].estimatedPrice = estimatedPrice;
-    if (purchased !== undefined) list.items[itemIndex].purchased = purchased;
-    if (notes !== undefined) list.items[itemIndex].notes = notes;
-
-    const updatedList = await listDb.update(req.params.id, {
-      items: list.items,
-      updatedAt: new Date().toISOString()
-    });
+    const changes = {};
+    if (quantity !== undefined) changes.quantity = quantity;
+    if (unit !== undefined) changes.unit = unit;
+    if (estimatedPrice !== undefined) changes.estimatedPrice = estimatedPrice;
+    if (purchased !== undefined) changes.purchased = purchased;
+    if (notes !== undefined) changes.notes = notes;
 
-    await updateListSummary(req.params.id);
+    const updatedList = await updateListItems(req.params.id, current => ({
+      items: current.items.map(item => item.id === itemId ? { ...item, ...changes } : item)
+    }));
 
     res.status(200).json(updatedList);
   } catch (error) {
+    if (error.code === 'EDBVALIDATION') {
+      return sendValidationError(res, error);
+    }
     console.error('Erro ao atualizar item na lista:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
@@ -311,20 +527,15 @@ app.delete('/lists/:id/items/:itemId', validateUserId, checkListOwnership, async
     const { itemId } = req.params;
 
     const list = req.list;
-    const filteredItems = list.items.filter(item => item.id !== itemId);
 
-    if (filteredItems.length === list.items.length) {
+    if (!list.items.some(item => item.id === itemId)) {
       return res.status(404).json({ error: 'Item não encontrado na lista' });
     }
 
-    const updatedList = await listDb.update(req.params.id, {
-      items: filteredItems,
-      updatedAt: new Date().toISOString()
+    const updatedList = await updateListItems(req.params.id, {
+      $pull: { items: { id: itemId } }
     });
 
-    // Atualizar resumo da lista
-    await updateListSummary(req.params.id);
-
     res.status(200).json(updatedList);
   } catch (error) {
     console.error('Erro ao remover item da lista:', error);
@@ -343,21 +554,33 @@ app.get('/lists/:id/summary', validateUserId, checkListOwnership, async (req, re
   }
 });
 
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    service: 'list-service',
-    timestamp: Date.now()
-  });
-});
-
-// Inicializar o servidor
-app.listen(PORT, () => {
-  console.log(`List service running on port ${PORT}`);
-
-  serviceRegistry.register('list-service', {
-    url: `http://localhost:${PORT}`
+// Sem o item-service as listas continuam funcionando (só a inclusão de itens
+// falha): ele degrada o serviço, mas não o tira do ar
+const health = new HealthCheck('list-service', { version: SERVICE_VERSION })
+  .addCheck('database', databaseCheck(listDb))
+  .addCheck('item-service', serviceCheck(serviceRegistry, 'item-service'), { critical: false })
+  .mount(app);
+
+// Inicializar o servidor depois de aplicar as migrações pendentes
+migrator.migrate().then(() => {
+  app.listen(PORT, () => {
+    console.log(`List service running on port ${PORT}`);
+
+    purgeTrash();
+    setInterval(purgeTrash, TRASH_PURGE_INTERVAL).unref();
+
+    const instanceId = serviceRegistry.register('list-service', {
+      url: `http://localhost:${PORT}`,
+      version: SERVICE_VERSION,
+      tags: SERVICE_TAGS
+    });
+    serviceRegistry.startHeartbeat('list-service', instanceId, {
+      check: () => health.assertReady()
+    });
   });
+}).catch(error => {
+  console.error('List service: falha ao aplicar migrações:', error.message);
+  process.exit(1);
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,33 @@
+// Usuários gravados antes de update aceitar caminhos têm chaves literais como
+// 'profile.bio' no primeiro nível. Move cada valor para o objeto aninhado.
+// Irreversível: o formato antigo era um defeito, não há por que voltar a ele.
+
+function setPath(target, field, value) {
+    const keys = field.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((current, key) => {
+        if (typeof current[key] !== 'object' || current[key] === null) {
+            current[key] = {};
+        }
+        return current[key];
+    }, target);
+    parent[last] = value;
+}
+
+module.exports = {
+    collection: 'users',
+
+    async up(tx) {
+        const users = await tx.find();
+
+        for (const user of users) {
+            const dottedKeys = Object.keys(user).filter(key => key.includes('.'));
+            if (dottedKeys.length === 0) continue;
+
+            const fixed = { ...user };
+            dottedKeys.forEach(key => delete fixed[key]);
+            dottedKeys.forEach(key => setPath(fixed, key, user[key]));
+            await tx.replace(user.id, fixed);
+        }
+    }
+};
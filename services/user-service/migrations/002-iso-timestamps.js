@@ -0,0 +1,32 @@
+// O cadastro gravava createdAt/updatedAt como número (Date.now()), enquanto o
+// admin do seed e o JsonDatabase usam strings ISO. Padroniza tudo em ISO.
+
+const FIELDS = ['createdAt', 'updatedAt'];
+
+async function convert(tx, shouldConvert, format) {
+    const users = await tx.find();
+
+    for (const user of users) {
+        const fields = FIELDS.filter(field => shouldConvert(user[field]));
+        if (fields.length === 0) continue;
+
+        const converted = { ...user };
+        fields.forEach(field => {
+            converted[field] = format(user[field]);
+        });
+        await tx.replace(user.id, converted);
+    }
+}
+
+module.exports = {
+    collection: 'users',
+
+    async up(tx) {
+        await convert(tx, value => typeof value === 'number', value => new Date(value).toISOString());
+    },
+
+    // Volta ao formato numérico do cadastro (para todos os usuários)
+    async down(tx) {
+        await convert(tx, value => typeof value === 'string', value => new Date(value).getTime());
+    }
+};
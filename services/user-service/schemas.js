@@ -0,0 +1,44 @@
+// Schema da coleção de usuários (validado pelo JsonDatabase em create e update)
+const userSchema = {
+    type: 'object',
+    required: ['email', 'username', 'password'],
+    properties: {
+        id: { type: 'string' },
+        email: { type: 'string', pattern: '^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$', maxLength: 254 },
+        username: { type: 'string', minLength: 3, maxLength: 50 },
+        password: { type: 'string', minLength: 1 },
+        firstName: { type: 'string', maxLength: 100 },
+        lastName: { type: 'string', maxLength: 100 },
+        role: { type: 'string', enum: ['user', 'admin'], default: 'user' },
+        status: { type: 'string', enum: ['active', 'inactive'], default: 'active' },
+        preferences: {
+            type: 'object',
+            default: {},
+            properties: {
+                defaultStore: { type: 'string' },
+                currency: { type: 'string', minLength: 3, maxLength: 3 }
+            }
+        },
+        profile: {
+            type: 'object',
+            properties: {
+                bio: { type: 'string', maxLength: 500 },
+                preferences: {
+                    type: 'object',
+                    properties: {
+                        theme: { type: 'string', enum: ['light', 'dark'] },
+                        language: { type: 'string' }
+                    }
+                }
+            }
+        },
+        // Datas numéricas antigas do cadastro são convertidas pela migração 002
+        createdAt: { type: 'string' },
+        updatedAt: { type: 'string' }
+    }
+};
+
+// Schemas por coleção, usados pelo servidor e pelas ferramentas de scripts/db-tool.js
+module.exports = {
+    users: userSchema
+};
@@ -9,7 +9,17 @@ const path = require('path');
 
 // Importar banco NoSQL e service registry
 const JsonDatabase = require('../../shared/JsonDatabase');
+const Migrator = require('../../shared/Migrator');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const { HealthCheck, databaseCheck } = require('../../shared/health');
+const { users: userSchema } = require('./schemas');
+
+// Tamanho máximo de página em GET /users
+const MAX_PAGE_SIZE = 100;
+
+// Versão e tags da instância no registry, usadas no roteamento por versão do gateway
+const SERVICE_VERSION = process.env.SERVICE_VERSION || '1.0.0';
+const SERVICE_TAGS = (process.env.SERVICE_TAGS || '').split(',').map(tag => tag.trim()).filter(Boolean);
 
 class UserService {
     constructor() {
@@ -27,7 +37,35 @@ class UserService {
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.usersDb = new JsonDatabase(dbPath, 'users');
+        // O hash da senha nunca sai nas leituras; só o login o pede (includeHidden)
+        this.usersDb = new JsonDatabase(dbPath, 'users', {
+            storage: process.env.DB_STORAGE || 'json',
+            schema: userSchema,
+            hiddenFields: ['password']
+        });
+
+        // Banco corrompido ou irrecuperável: encerrar em vez de servir dados vazios
+        this.usersDb.ready.catch(error => {
+            console.error('User Service: falha ao abrir o banco de dados:', error.message);
+            process.exit(1);
+        });
+
+        // Índices secundários usados em login, cadastro e listagens
+        this.usersDb.createIndex('email', { unique: true }).catch(error => {
+            console.warn('User Service: índice único de email não criado:', error.message);
+            return this.usersDb.createIndex('email');
+        });
+        this.usersDb.createIndex('username').catch(error => {
+            console.warn('User Service: índice de username não criado:', error.message);
+        });
+        this.usersDb.createTextIndex({ username: 3, firstName: 2, lastName: 2, email: 1 }).catch(error => {
+            console.warn('User Service: índice textual não criado:', error.message);
+        });
+
+        // Migrações de dados (services/user-service/migrations), aplicadas em start()
+        this.migrator = new Migrator(dbPath, path.join(__dirname, 'migrations'), {
+            storage: process.env.DB_STORAGE || 'json'
+        });
         console.log('User Service: Banco NoSQL inicializado');
     }
 
@@ -75,35 +113,16 @@ class UserService {
     }
 
     setupRoutes() {
-        // Health check
-        this.app.get('/health', async (req, res) => {
-            try {
-                const userCount = await this.usersDb.count();
-                res.json({
-                    service: this.serviceName,
-                    status: 'healthy',
-                    timestamp: new Date().toISOString(),
-                    uptime: process.uptime(),
-                    version: '1.0.0',
-                    database: {
-                        type: 'JSON-NoSQL',
-                        userCount: userCount
-                    }
-                });
-            } catch (error) {
-                res.status(503).json({
-                    service: this.serviceName,
-                    status: 'unhealthy',
-                    error: error.message
-                });
-            }
-        });
+        // Health check: /health, /health/live e /health/ready (ver shared/health)
+        this.health = new HealthCheck(this.serviceName, { version: SERVICE_VERSION })
+            .addCheck('users-database', databaseCheck(this.usersDb))
+            .mount(this.app);
 
         // Service info
         this.app.get('/', (req, res) => {
             res.json({
                 service: 'User Service',
-                version: '1.0.0',
+                version: SERVICE_VERSION,
                 description: 'Microsserviço para gerenciamento de usuários com NoSQL',
                 database: 'JSON-NoSQL',
                 endpoints: [
@@ -203,19 +222,21 @@ class UserService {
                 password: hashedPassword,
                 firstName,
                 lastName,
-                preferences: preferences || {},
-                createdAt: Date.now(),
-                updatedAt: Date.now()
+                preferences: preferences || {}
             };
 
-            // Validate schema
-            this.validateUserSchema(newUser);
-
-            // Save user to database
+            // Save user to database (validated against userSchema)
             await this.usersDb.create(newUser);
 
             res.status(201).json({ message: 'User registered successfully.', userId: newUser.id });
         } catch (error) {
+            // Cadastro concorrente com o mesmo email barrado pelo índice único
+            if (error.code === 'EDBDUPLICATE') {
+                return res.status(400).json({ message: 'Email is already in use.' });
+            }
+            if (error.code === 'EDBVALIDATION') {
+                return res.status(400).json({ message: 'Invalid user data.', errors: error.errors });
+            }
             console.error('Error in register:', error);
             res.status(500).json({ message: 'Internal server error.' });
         }
@@ -235,8 +256,9 @@ class UserService {
             }
 
             // Find user by email or username
-            const users = await this.usersDb.find();
-            const user = users.find(u => (email && u.email === email) || (username && u.username === username));
+            const user = email
+                ? await this.usersDb.findOne({ email }, { includeHidden: true })
+                : await this.usersDb.findOne({ username }, { includeHidden: true });
 
             if (!user) {
                 return res.status(401).json({
@@ -296,12 +318,10 @@ class UserService {
                 });
             }
 
-            const { password: _, ...userWithoutPassword } = user;
-
             res.json({
                 success: true,
                 message: 'Token válido',
-                data: { user: userWithoutPassword }
+                data: { user }
             });
         } catch (error) {
             res.status(401).json({
@@ -312,39 +332,40 @@ class UserService {
     }
 
     // Get users 
+    // Paginação por cursor: a próxima página vem com ?cursor=<pagination.nextCursor>
     async getUsers(req, res) {
         try {
-            const { page = 1, limit = 10, role, status } = req.query;
-            const skip = (page - 1) * parseInt(limit);
+            const { cursor, role, status } = req.query;
+            const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 10, MAX_PAGE_SIZE));
 
             const filter = {};
             if (role) filter.role = role;
             if (status) filter.status = status;
 
-            const users = await this.usersDb.find(filter, {
-                skip: skip,
-                limit: parseInt(limit),
-                sort: { createdAt: -1 }
-            });
-
-            const safeUsers = users.map(user => {
-                const { password, ...safeUser } = user;
-                return safeUser;
+            const { documents: users, nextCursor } = await this.usersDb.findPage(filter, {
+                sort: { createdAt: -1 },
+                limit,
+                after: cursor
             });
 
             const total = await this.usersDb.count(filter);
 
             res.json({
                 success: true,
-                data: safeUsers,
+                data: users,
                 pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    total: total,
-                    pages: Math.ceil(total / parseInt(limit))
+                    limit,
+                    total,
+                    nextCursor
                 }
             });
         } catch (error) {
+            if (error.code === 'EDBCURSOR') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cursor inválido'
+                });
+            }
             console.error('Erro ao buscar usuários:', error);
             res.status(500).json({
                 success: false,
@@ -373,11 +394,9 @@ class UserService {
                 });
             }
 
-            const { password, ...userWithoutPassword } = user;
-
             res.json({
                 success: true,
-                data: userWithoutPassword
+                data: user
             });
         } catch (error) {
             console.error('Erro ao buscar usuário:', error);
@@ -418,15 +437,36 @@ class UserService {
             if (theme) updates['profile.preferences.theme'] = theme;
             if (language) updates['profile.preferences.language'] = language;
 
-            const updatedUser = await this.usersDb.update(id, updates);
-            const { password, ...userWithoutPassword } = updatedUser;
+            if (updates.email && updates.email !== user.email && !await this.isEmailUnique(updates.email)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Email já está em uso'
+                });
+            }
+
+            // Caminhos com ponto viram campos aninhados em profile
+            const updatedUser = await this.usersDb.update(id, { $set: updates });
 
             res.json({
                 success: true,
                 message: 'Usuário atualizado com sucesso',
-                data: userWithoutPassword
+                data: updatedUser
             });
         } catch (error) {
+            // Alteração concorrente para o mesmo email, barrada pelo índice único
+            if (error.code === 'EDBDUPLICATE') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Email já está em uso'
+                });
+            }
+            if (error.code === 'EDBVALIDATION') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
             console.error('Erro ao atualizar usuário:', error);
             res.status(500).json({
                 success: false,
@@ -445,22 +485,19 @@ class UserService {
                 });
             }
 
-            const users = await this.usersDb.search(q, ['firstName', 'lastName', 'username', 'email']);
+            // Ordenados por relevância (índice textual criado em setupDatabase)
+            const users = await this.usersDb.search(q);
 
-            const safeUsers = users
+            const results = users
                 .filter(user => user.status === 'active')
-                .slice(0, parseInt(limit))
-                .map(user => {
-                    const { password, ...safeUser } = user;
-                    return safeUser;
-                });
+                .slice(0, parseInt(limit));
 
             res.json({
                 success: true,
                 data: {
                     query: q,
-                    results: safeUsers,
-                    total: safeUsers.length
+                    results,
+                    total: results.length
                 }
             });
         } catch (error) {
@@ -473,60 +510,45 @@ class UserService {
     }
 
     registerWithRegistry() {
-        serviceRegistry.register(this.serviceName, {
+        this.instanceId = serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
-            version: '1.0.0',
+            version: SERVICE_VERSION,
+            tags: SERVICE_TAGS,
             database: 'JSON-NoSQL',
             endpoints: ['/health', '/auth/register', '/auth/login', '/users', '/search']
         });
     }
 
+    // Renova o lease no registry; o serviço fora do ar (ver /health) conta como falha
     startHealthReporting() {
-        setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
-        }, 30000);
+        serviceRegistry.startHeartbeat(this.serviceName, this.instanceId, {
+            check: () => this.health.assertReady()
+        });
     }
 
     start() {
-        this.app.listen(this.port, () => {
-            console.log('=====================================');
-            console.log(`User Service iniciado na porta ${this.port}`);
-            console.log(`URL: ${this.serviceUrl}`);
-            console.log(`Health: ${this.serviceUrl}/health`);
-            console.log(`Database: JSON-NoSQL`);
-            console.log('=====================================');
-
-            this.registerWithRegistry();
-            this.startHealthReporting();
+        // Aplicar migrações pendentes antes de aceitar requisições
+        this.migrator.migrate().then(() => {
+            this.app.listen(this.port, () => {
+                console.log('=====================================');
+                console.log(`User Service iniciado na porta ${this.port}`);
+                console.log(`URL: ${this.serviceUrl}`);
+                console.log(`Health: ${this.serviceUrl}/health`);
+                console.log(`Database: JSON-NoSQL`);
+                console.log('=====================================');
+
+                this.registerWithRegistry();
+                this.startHealthReporting();
+            });
+        }).catch(error => {
+            console.error('User Service: falha ao aplicar migrações:', error.message);
+            process.exit(1);
         });
     }
 
-    validateUserSchema(user) {
-        const schema = {
-            id: 'string',
-            email: 'string',
-            username: 'string',
-            password: 'string',
-            firstName: 'string',
-            lastName: 'string',
-            preferences: {
-                defaultStore: 'string',
-                currency: 'string'
-            },
-            createdAt: 'number',
-            updatedAt: 'number'
-        };
-
-        for (const key in schema) {
-            if (typeof user[key] !== schema[key] && !(key in user)) {
-                throw new Error(`Invalid or missing field: ${key}`);
-            }
-        }
-    }
-
     async isEmailUnique(email) {
-        const users = await this.usersDb.find();
-        return !users.some(user => user.email === email);
+        const user = await this.usersDb.findOne({ email });
+        return !user;
     }
 }
 
@@ -536,14 +558,12 @@ if (require.main === module) {
     userService.start();
 
     // Graceful shutdown
-    process.on('SIGTERM', () => {
-        serviceRegistry.unregister('user-service');
-        process.exit(0);
-    });
-    process.on('SIGINT', () => {
-        serviceRegistry.unregister('user-service');
-        process.exit(0);
-    });
+    // unregister é assíncrono com o registry HTTP
+    const shutdown = () => {
+        Promise.resolve(serviceRegistry.unregister('user-service')).finally(() => process.exit(0));
+    };
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
 }
 
 module.exports = UserService;
\ No newline at end of file
@@ -0,0 +1,144 @@
+const EventEmitter = require('events');
+
+// Stream de mudanças de uma coleção: EventEmitter ('change', 'insert',
+// 'update', 'delete', 'error') e iterador assíncrono (`for await`).
+class ChangeStream extends EventEmitter {
+    constructor(db, filter = {}, options = {}) {
+        super();
+        this.db = db;
+        this.filter = filter;
+        this.includeHidden = Boolean(options.includeHidden);
+        this.lastSeq = null;
+        this.closed = false;
+        this.iterating = false;
+        this.queue = [];
+        this.waiting = [];
+        this.buffered = [];
+
+        this.ready = this.open(options.resumeAfter).catch(error => {
+            this.fail(error);
+        });
+    }
+
+    async open(resumeAfter) {
+        await this.db.ready;
+
+        this.unsubscribe = await this.db.storage.subscribeChanges(this);
+        if (this.closed) {
+            this.unsubscribe();
+            return;
+        }
+
+        if (resumeAfter) {
+            this.lastSeq = this.db.parseResumeToken(resumeAfter);
+            await this.replayHistory();
+        } else {
+            this.lastSeq = await this.db.storage.readLastSequence();
+        }
+
+        // Eventos que chegaram pelo feed enquanto o histórico era lido
+        const buffered = this.buffered;
+        this.buffered = null;
+        buffered.forEach(event => this.push(event));
+    }
+
+    async replayHistory() {
+        const events = await this.db.storage.readChanges();
+        const oldest = events.length > 0 ? events[0].seq : null;
+
+        if (oldest !== null && this.lastSeq < oldest - 1) {
+            const error = new Error(`Token de retomada ${this.lastSeq} anterior ao histórico retido (${oldest})`);
+            error.code = 'EDBRESUMEGAP';
+            throw error;
+        }
+
+        events.forEach(event => this.deliver(event));
+    }
+
+    // Documento do evento sem os campos ocultos da coleção (ver JsonDatabase.present)
+    present(document) {
+        return document && this.db.present(document, { includeHidden: this.includeHidden });
+    }
+
+    push(event) {
+        if (this.closed) return;
+        if (this.buffered) {
+            this.buffered.push(event);
+            return;
+        }
+        this.deliver(event);
+    }
+
+    deliver(event) {
+        if (this.closed || event.seq <= this.lastSeq) return;
+        this.lastSeq = event.seq;
+
+        const snapshot = event.after || event.before;
+        if (!snapshot || !this.db.matchesFilter(snapshot, this.filter)) return;
+
+        const change = {
+            resumeToken: this.db.resumeToken(event.seq),
+            operationType: event.op,
+            documentKey: { id: event.id },
+            fullDocumentBeforeChange: this.present(event.before),
+            fullDocument: this.present(event.after),
+            seq: event.seq,
+            timestamp: event.at
+        };
+
+        this.emit('change', change);
+        this.emit(change.operationType, change);
+
+        const waiter = this.waiting.shift();
+        if (waiter) {
+            waiter.resolve({ value: change, done: false });
+        } else if (this.iterating) {
+            // Só acumula para quem consome via iterador
+            this.queue.push(change);
+        }
+    }
+
+    // Token para retomar após a última mudança entregue
+    get resumeToken() {
+        return this.lastSeq === null ? null : this.db.resumeToken(this.lastSeq);
+    }
+
+    fail(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+        this.waiting.forEach(waiter => waiter.reject(error));
+        this.waiting = [];
+        this.close();
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        if (this.unsubscribe) this.unsubscribe();
+        this.waiting.forEach(waiter => waiter.resolve({ value: undefined, done: true }));
+        this.waiting = [];
+        this.emit('close');
+    }
+
+    [Symbol.asyncIterator]() {
+        this.iterating = true;
+        return {
+            next: () => {
+                if (this.queue.length > 0) {
+                    return Promise.resolve({ value: this.queue.shift(), done: false });
+                }
+                if (this.closed) {
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+                return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+            },
+            return: () => {
+                this.close();
+                return Promise.resolve({ value: undefined, done: true });
+            }
+        };
+    }
+}
+
+module.exports = ChangeStream;
@@ -1,33 +1,123 @@
-const fs = require('fs-extra');
+const crypto = require('crypto');
 const path = require('path');
+const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
+const ChangeStream = require('./ChangeStream');
+const SchemaValidator = require('./SchemaValidator');
+const Transaction = require('./Transaction');
+const textSearch = require('./textSearch');
+const dataTransfer = require('./dataTransfer');
+const { createStorage, listCollections, TransactionLog } = require('./storage');
+const { applyEntry, clone } = require('./storage/entries');
+const { writeFileAtomic, writeJsonAtomic } = require('./storage/files');
+
+// Fila de escritas por coleção, compartilhada entre instâncias do mesmo processo
+const writeQueues = new Map();
+
+// Coleções abertas no processo (`<diretorio>:<colecao>`), usadas por tx.collection(nome)
+const openDatabases = new Map();
+
+// Tentativas extras de uma transação que encontrou escritas concorrentes
+const TRANSACTION_RETRIES = 5;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Posição de cada id em um array de documentos lido do engine. O array em cache
+// é trocado a cada mudança na coleção, então o mapa é montado uma vez por versão.
+const positionsBySnapshot = new WeakMap();
+
+// Visibilidade dos documentos removidos com soft delete nas leituras
+const DELETED_MODES = ['exclude', 'include', 'only'];
+
+// Intervalo padrão da varredura de documentos expirados (`expiresAt`)
+const TTL_SWEEP_INTERVAL = 60 * 1000;
+
+// Tamanho padrão das páginas de findPage
+const DEFAULT_PAGE_SIZE = 20;
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+// Segmentos de caminho que alcançariam o protótipo dos objetos
+const FORBIDDEN_PATH_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Segmentos de um caminho em notação de ponto; recusa os que alcançam o protótipo
+function pathKeys(path) {
+    const keys = String(path).split('.');
+    const forbidden = keys.find(key => FORBIDDEN_PATH_KEYS.includes(key));
+    if (forbidden !== undefined) {
+        const error = new Error(`Campo inválido: ${path} (o segmento ${forbidden} não é permitido)`);
+        error.code = 'EDBFIELD';
+        error.field = path;
+        throw error;
+    }
+    return keys;
+}
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// Instância já aberta da coleção no processo ou uma nova com o engine indicado
+function openCollection(dbPath, collectionName, storage) {
+    const openKey = `${path.resolve(dbPath)}:${collectionName}`;
+    return openDatabases.get(openKey) || new JsonDatabase(dbPath, collectionName, { storage });
+}
 
 class JsonDatabase {
-    constructor(dbPath, collectionName) {
+    // `options.storage` escolhe onde os documentos ficam: 'json' (padrão, um
+    // arquivo por coleção), 'log' (log de commits, para muitas escritas) ou
+    // 'memory' (sem disco). Também aceita uma instância de engine; ver shared/storage.
+    // `options.schema` é um JSON Schema aplicado em create (com defaults) e update.
+    // As leituras usam a cópia em memória mantida pelo engine; `options.cache:
+    // false` faz o engine JSON reler o arquivo a cada leitura.
+    // `options.softDelete` faz delete() apenas marcar `deletedAt` (ver restore e
+    // purgeDeleted) e `options.ttlSweepInterval` (ms) inicia a remoção periódica
+    // dos documentos com `expiresAt` vencido (ver purgeExpired).
+    // `options.hiddenFields` (ex. ['password']) lista campos que as leituras
+    // nunca devolvem, a menos que pedidos explicitamente (ver present).
+    constructor(dbPath, collectionName, options = {}) {
         this.dbPath = dbPath;
         this.collectionName = collectionName;
-        this.filePath = path.join(dbPath, `${collectionName}.json`);
-        this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
+        this.storage = createStorage(options.storage, dbPath, collectionName, { cache: options.cache });
+        this.schema = options.schema ? new SchemaValidator(options.schema) : null;
+        this.softDelete = Boolean(options.softDelete);
+        this.hiddenFields = options.hiddenFields || [];
+        this.ttlTimer = null;
+
+        // Transações entre coleções só têm recuperação após queda nos engines em disco
+        this.transactionLog = this.storage.engine === 'memory' ? null : new TransactionLog(dbPath);
+
+        const openKey = `${path.resolve(dbPath)}:${collectionName}`;
+        if (!openDatabases.has(openKey)) {
+            openDatabases.set(openKey, this);
+        }
+
+        // Todas as operações aguardam a inicialização (recuperação + verificação de integridade)
+        this.ready = this.ensureDatabase();
+        this.ready.catch(() => {});
 
-        this.ensureDatabase();
+        if (options.ttlSweepInterval) {
+            this.startTtlSweep(options.ttlSweepInterval);
+        }
     }
 
     async ensureDatabase() {
         try {
-            // Criar diretório do banco se não existir
-            await fs.ensureDir(this.dbPath);
+            // Criar arquivos e recuperar escritas interrompidas (específico de cada engine)
+            await this.storage.init();
 
-            // Criar arquivo da coleção se não existir
-            if (!await fs.pathExists(this.filePath)) {
-                await fs.writeJson(this.filePath, []);
-            }
+            // Reconstruir os índices a partir dos documentos (podem ter ficado
+            // à frente da coleção se houve queda durante a escrita)
+            await this.storage.withLock(async () => {
+                await this.recoverTransactions();
 
-            // Criar índice se não existir
-            if (!await fs.pathExists(this.indexPath)) {
-                await fs.writeJson(this.indexPath, {});
-            }
+                const indexes = await this.storage.loadIndexes();
+                this.rebuildIndexes(indexes, await this.storage.load());
+                await this.storage.saveIndexes(indexes);
+            });
+
+            // Verificar integridade: um arquivo corrompido nunca é tratado como coleção vazia
+            await this.checkIntegrity();
         } catch (error) {
-            console.error('Erro ao inicializar banco:', error);
+            console.error(`Erro ao inicializar banco (${this.collectionName}):`, error.message);
             throw error;
         }
     }
@@ -35,30 +125,33 @@ class JsonDatabase {
     // Criar documento
     async create(data) {
         try {
-            const documents = await this.readAll();
-            const document = {
-                id: data.id || uuidv4(),
-                ...data,
-                createdAt: data.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
+            return await this.withWriteLock(async () => {
+                const documents = await this.storage.load();
+                const document = this.buildDocument(data);
 
-            documents.push(document);
-            await this.writeAll(documents);
-            await this.updateIndex(document);
+                const indexes = await this.storage.loadIndexes();
+                this.indexDocument(indexes, null, document);
 
-            return document;
+                documents.push(document);
+                await this.commit(documents, [{ op: 'create', id: document.id, document }], indexes, [
+                    { op: 'insert', id: document.id, before: null, after: document }
+                ]);
+
+                return this.present(document);
+            });
         } catch (error) {
             console.error('Erro ao criar documento:', error);
             throw error;
         }
     }
 
-    // Buscar por ID
-    async findById(id) {
+    // Buscar por ID. `options` como em find()
+    async findById(id, options = {}) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => doc.id === id) || null;
+            const documents = await this.snapshot();
+            const position = this.positions(documents).get(id);
+            const document = position === undefined ? null : documents[position];
+            return document && this.isVisible(document, options.deleted) ? this.present(document, options) : null;
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
             throw error;
@@ -66,25 +159,27 @@ class JsonDatabase {
     }
 
     // Buscar um documento com filtro
-    async findOne(filter) {
+    async findOne(filter, options = {}) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => this.matchesFilter(doc, filter)) || null;
+            const [document] = await this.matchDocuments(filter, options);
+            return document ? this.present(document, options) : null;
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
             throw error;
         }
     }
 
-    // Buscar múltiplos documentos
+    // Buscar múltiplos documentos. Com soft delete, os removidos ficam de fora;
+    // `options.deleted: 'include'` inclui e `'only'` retorna só eles (lixeira).
+    // Documentos com `expiresAt` vencido nunca são retornados.
+    // `options.projection` escolhe os campos devolvidos: { campo: 1 } para
+    // incluir só eles (e o id, salvo `id: 0`) ou { campo: 0 } para excluir.
+    // Para paginar, prefira findPage: skip/limit ficam lentos e instáveis com
+    // inserções entre uma página e outra.
     async find(filter = {}, options = {}) {
         try {
-            let documents = await this.readAll();
-
-            // Aplicar filtro
-            if (Object.keys(filter).length > 0) {
-                documents = documents.filter(doc => this.matchesFilter(doc, filter));
-            }
+            // Aplicar filtro (usando índice quando possível)
+            let documents = await this.matchDocuments(filter, options);
 
             // Aplicar ordenação
             if (options.sort) {
@@ -98,201 +193,1690 @@ class JsonDatabase {
                 documents = documents.slice(skip, skip + limit);
             }
 
-            return documents;
+            // Copiar só o que é devolvido: os documentos do cache são compartilhados
+            return documents.map(doc => this.present(doc, options));
         } catch (error) {
             console.error('Erro ao buscar documentos:', error);
             throw error;
         }
     }
 
-    // Contar documentos
-    async count(filter = {}) {
+    // Paginação por cursor: retorna { documents, nextCursor }. Para a próxima
+    // página, passe `nextCursor` em `options.after` (null: não há mais páginas).
+    // A ordem de `options.sort` (padrão: por id) tem o id como desempate e o
+    // cursor guarda a posição do último documento, não um deslocamento, então
+    // inserções e remoções entre as páginas não repetem nem pulam documentos.
+    // `options.limit` (padrão 20), projection, deleted e includeHidden como em find().
+    // Um cursor inválido ou de outra ordenação gera erro com code 'EDBCURSOR'.
+    async findPage(filter = {}, options = {}) {
         try {
-            const documents = await this.readAll();
-            if (Object.keys(filter).length === 0) {
-                return documents.length;
+            const sort = this.cursorSort(options.sort);
+            const limit = options.limit || DEFAULT_PAGE_SIZE;
+
+            let documents = this.sortDocuments(await this.matchDocuments(filter, options), sort);
+            if (options.after) {
+                const position = this.decodeCursor(options.after, sort);
+                documents = documents.filter(doc => this.compareSortKeys(this.sortKey(doc, sort), position, sort) > 0);
             }
-            return documents.filter(doc => this.matchesFilter(doc, filter)).length;
+
+            const page = documents.slice(0, limit);
+            return {
+                documents: page.map(doc => this.present(doc, options)),
+                nextCursor: documents.length > limit ? this.encodeCursor(page[page.length - 1], sort) : null
+            };
+        } catch (error) {
+            console.error('Erro ao paginar documentos:', error);
+            throw error;
+        }
+    }
+
+    // Contar documentos
+    async count(filter = {}, options = {}) {
+        try {
+            const documents = await this.matchDocuments(filter, options);
+            return documents.length;
         } catch (error) {
             console.error('Erro ao contar documentos:', error);
             throw error;
         }
     }
 
-    // Atualizar documento
+    // Atualizar documento. `updates` aceita operadores ($set, $unset, $inc, $push,
+    // $pull) com caminhos em notação de ponto; um objeto sem operadores equivale a $set.
+    // Também pode ser uma função que recebe o documento atual (lido sob o lock) e
+    // devolve as alterações, evitando perder escritas concorrentes baseadas em uma leitura antiga.
     async update(id, updates) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+            return await this.withWriteLock(async () => {
+                const documents = await this.storage.load();
+                const index = documents.findIndex(doc => doc.id === id);
 
-            if (index === -1) {
-                return null;
-            }
+                // Documentos na lixeira ou expirados só voltam por restore()
+                if (index === -1 || !this.isVisible(documents[index])) {
+                    return null;
+                }
 
-            documents[index] = {
-                ...documents[index],
-                ...updates,
-                id: documents[index].id, // Preservar ID
-                createdAt: documents[index].createdAt, // Preservar data de criação
-                updatedAt: new Date().toISOString()
-            };
+                const changes = typeof updates === 'function'
+                    ? await updates(documents[index])
+                    : updates;
+
+                const previous = documents[index];
+                documents[index] = this.buildUpdatedDocument(previous, changes);
+
+                const indexes = await this.storage.loadIndexes();
+                this.indexDocument(indexes, previous, documents[index]);
 
-            await this.writeAll(documents);
-            await this.updateIndex(documents[index]);
+                await this.commit(documents, [{ op: 'update', id, document: documents[index] }], indexes, [
+                    { op: 'update', id, before: previous, after: documents[index] }
+                ]);
 
-            return documents[index];
+                return this.present(documents[index]);
+            });
         } catch (error) {
             console.error('Erro ao atualizar documento:', error);
             throw error;
         }
     }
 
-    // Deletar documento
-    async delete(id) {
+    // Deletar documento. Com soft delete, apenas marca `deletedAt` e o documento
+    // sai das consultas, mas continua nos índices (seus valores únicos seguem
+    // reservados até a remoção definitiva). `options.permanent` remove de vez,
+    // inclusive um documento que já está na lixeira.
+    async delete(id, options = {}) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+            return await this.withWriteLock(async () => {
+                const documents = await this.storage.load();
+                const index = documents.findIndex(doc => doc.id === id);
 
-            if (index === -1) {
-                return false;
-            }
+                if (index === -1 || !this.isVisible(documents[index], options.permanent ? 'include' : 'exclude')) {
+                    return false;
+                }
 
-            documents.splice(index, 1);
-            await this.writeAll(documents);
-            await this.removeFromIndex(id);
+                const indexes = await this.storage.loadIndexes();
 
-            return true;
+                if (this.softDelete && !options.permanent) {
+                    const previous = documents[index];
+                    documents[index] = this.buildUpdatedDocument(previous, { $set: { deletedAt: new Date().toISOString() } });
+                    this.indexDocument(indexes, previous, documents[index]);
+
+                    await this.commit(documents, [{ op: 'update', id, document: documents[index] }], indexes, [
+                        { op: 'update', id, before: previous, after: documents[index] }
+                    ]);
+                    return true;
+                }
+
+                const [removed] = documents.splice(index, 1);
+                this.indexDocument(indexes, removed, null);
+
+                await this.commit(documents, [{ op: 'delete', id }], indexes, [
+                    { op: 'delete', id, before: removed, after: null }
+                ]);
+
+                return true;
+            });
         } catch (error) {
             console.error('Erro ao deletar documento:', error);
             throw error;
         }
     }
 
-    // Busca de texto
-    async search(query, fields = []) {
+    // Tira da lixeira um documento removido com soft delete. Retorna o documento,
+    // ou null se ele não existe ou não está na lixeira.
+    async restore(id) {
         try {
-            const documents = await this.readAll();
-            const searchTerm = query.toLowerCase();
-
-            return documents.filter(doc => {
-                // Se campos específicos foram fornecidos, buscar apenas neles
-                if (fields.length > 0) {
-                    return fields.some(field => {
-                        const value = this.getNestedValue(doc, field);
-                        return value && value.toString().toLowerCase().includes(searchTerm);
-                    });
+            return await this.withWriteLock(async () => {
+                const documents = await this.storage.load();
+                const index = documents.findIndex(doc => doc.id === id);
+
+                if (index === -1 || !this.isDeleted(documents[index]) || this.isExpired(documents[index])) {
+                    return null;
                 }
 
-                // Buscar em todos os campos de string do documento
-                return this.searchInObject(doc, searchTerm);
+                const previous = documents[index];
+                documents[index] = this.buildUpdatedDocument(previous, { $unset: { deletedAt: '' } });
+
+                const indexes = await this.storage.loadIndexes();
+                this.indexDocument(indexes, previous, documents[index]);
+
+                await this.commit(documents, [{ op: 'update', id, document: documents[index] }], indexes, [
+                    { op: 'update', id, before: previous, after: documents[index] }
+                ]);
+
+                return this.present(documents[index]);
             });
         } catch (error) {
-            console.error('Erro na busca:', error);
+            console.error('Erro ao restaurar documento:', error);
             throw error;
         }
     }
 
-    // Métodos auxiliares
-    async readAll() {
+    // Remove de vez os documentos da lixeira há pelo menos `olderThan` (ms, ou
+    // os removidos até a data, se for um Date). Sem argumento, esvazia a lixeira.
+    // Retorna quantos foram removidos.
+    async purgeDeleted(olderThan = 0) {
+        const cutoff = olderThan instanceof Date ? olderThan.getTime() : Date.now() - olderThan;
         try {
-            return await fs.readJson(this.filePath);
+            return await this.removeWhere(doc => this.isDeleted(doc) && Date.parse(doc.deletedAt) <= cutoff);
         } catch (error) {
-            return [];
+            console.error('Erro ao esvaziar a lixeira:', error);
+            throw error;
         }
     }
 
-    async writeAll(documents) {
-        await fs.writeJson(this.filePath, documents, { spaces: 2 });
+    // TTL por documento: `expiresAt` (data ISO ou timestamp em ms). Um documento
+    // vencido some das consultas na hora e é removido de vez pela varredura.
+    // Retorna quantos foram removidos.
+    async purgeExpired() {
+        try {
+            return await this.removeWhere(doc => this.isExpired(doc));
+        } catch (error) {
+            console.error('Erro ao remover documentos expirados:', error);
+            throw error;
+        }
     }
 
-    async updateIndex(document) {
+    // Varredura periódica de purgeExpired(); não impede o processo de terminar
+    startTtlSweep(interval = TTL_SWEEP_INTERVAL) {
+        this.stopTtlSweep();
+        this.ttlTimer = setInterval(() => {
+            this.purgeExpired().catch(() => {});
+        }, interval);
+        this.ttlTimer.unref();
+    }
+
+    stopTtlSweep() {
+        if (this.ttlTimer) {
+            clearInterval(this.ttlTimer);
+            this.ttlTimer = null;
+        }
+    }
+
+    // Remove de vez, numa única escrita, os documentos que satisfazem `predicate`
+    async removeWhere(predicate) {
+        // Conferir no cache antes de pegar o lock: na maioria das varreduras não há nada a remover
+        if (!(await this.snapshot()).some(predicate)) return 0;
+
+        return this.withWriteLock(async () => {
+            const documents = await this.storage.load();
+            const removed = documents.filter(predicate);
+            if (removed.length === 0) return 0;
+
+            const indexes = await this.storage.loadIndexes();
+            removed.forEach(doc => this.indexDocument(indexes, doc, null));
+
+            const ids = new Set(removed.map(doc => doc.id));
+            await this.commit(documents.filter(doc => !ids.has(doc.id)),
+                removed.map(doc => ({ op: 'delete', id: doc.id })), indexes,
+                removed.map(doc => ({ op: 'delete', id: doc.id, before: doc, after: null })));
+
+            return removed.length;
+        });
+    }
+
+    // Operações em lote
+
+    // Executa `operations` numa única escrita. Cada operação é um objeto com uma chave:
+    //   { insertOne: { document } }
+    //   { updateOne: { filter, update, upsert } } (upsert: cria o documento se nenhum satisfizer o filtro)
+    //   { updateMany: { filter, update } }
+    //   { deleteOne: { filter, permanent } }
+    //   { deleteMany: { filter, permanent } }
+    // `update` aceita os operadores de update() (não uma função) e as remoções
+    // seguem o soft delete da coleção, como delete(). Com `options.ordered`
+    // (padrão) a execução para na primeira operação que falhar; com `ordered:
+    // false` as demais seguem. Uma operação que falha não deixa alterações, e as
+    // bem-sucedidas são gravadas mesmo assim: a falha gera um erro com code
+    // 'EDBBULKWRITE' e o relatório em `error.result`.
+    // Retorna { inserted, matched, modified, deleted, results }, com um item por
+    // operação executada: { index, op, inserted, matched, modified, deleted, ids }
+    // ou { index, op, error }.
+    async bulkWrite(operations, options = {}) {
         try {
-            const index = await fs.readJson(this.indexPath);
-            index[document.id] = {
-                id: document.id,
-                updatedAt: document.updatedAt
-            };
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
+            const report = await this.withWriteLock(async () => {
+                const documents = await this.storage.load();
+                const indexes = await this.storage.loadIndexes();
+                const current = new Map(documents.map(doc => [doc.id, doc]));
+
+                const { report: applied, entries, changes } = this.applyOperations(current, indexes, operations, options);
+                if (entries.length > 0) {
+                    await this.commit([...current.values()], entries, indexes, changes);
+                }
+                return applied;
+            });
+
+            const failed = report.results.filter(result => result.error);
+            if (failed.length > 0) {
+                const error = new Error(`${failed.length} operação(ões) do lote falharam em ${this.collectionName}: ${failed[0].error.message}`);
+                error.code = 'EDBBULKWRITE';
+                error.result = report;
+                throw error;
+            }
+            return report;
+        } catch (error) {
+            console.error('Erro na escrita em lote:', error);
+            throw error;
+        }
+    }
+
+    // Atalhos de bulkWrite
+    async insertMany(documents, options = {}) {
+        return this.bulkWrite(documents.map(document => ({ insertOne: { document } })), options);
+    }
+
+    async updateMany(filter, update) {
+        return this.bulkWrite([{ updateMany: { filter, update } }]);
+    }
+
+    async deleteMany(filter, options = {}) {
+        return this.bulkWrite([{ deleteMany: { filter, permanent: options.permanent } }]);
+    }
+
+    // Aplica as operações sobre `current` (id -> documento) e `indexes`, sem
+    // gravar. Retorna o relatório e as entradas e eventos do commit.
+    applyOperations(current, indexes, operations, options = {}) {
+        const ordered = options.ordered !== false;
+        const report = { inserted: 0, matched: 0, modified: 0, deleted: 0, results: [] };
+        const entries = [];
+        const changes = [];
+
+        for (const [index, operation] of operations.entries()) {
+            const [op, spec] = Object.entries(operation || {})[0] || [];
+            try {
+                const planned = this.planOperation(current, indexes, op, spec || {});
+                this.applyChanges(current, indexes, planned.changes);
+
+                for (const change of planned.changes) {
+                    changes.push(change);
+                    entries.push(change.op === 'delete'
+                        ? { op: 'delete', id: change.id }
+                        : { op: change.op === 'insert' ? 'create' : 'update', id: change.id, document: change.after });
+                }
+                for (const counter of ['inserted', 'matched', 'modified', 'deleted']) {
+                    report[counter] += planned.result[counter];
+                }
+                report.results.push({ index, op, ...planned.result });
+            } catch (error) {
+                report.results.push({ index, op, error });
+                if (ordered) break;
+            }
+        }
+
+        return { report, entries, changes };
+    }
+
+    // Mudanças ({ op, id, before, after }) de uma operação do lote, calculadas
+    // sobre o estado atual sem alterá-lo
+    planOperation(current, indexes, op, spec) {
+        const result = { inserted: 0, matched: 0, modified: 0, deleted: 0, ids: [] };
+        const changes = [];
+
+        const insert = data => {
+            const document = this.buildDocument(data);
+            if (current.has(document.id)) {
+                const error = new Error(`ID duplicado em ${this.collectionName}: ${document.id}`);
+                error.code = 'EDBDUPLICATE';
+                error.field = 'id';
+                error.value = document.id;
+                throw error;
+            }
+            changes.push({ op: 'insert', id: document.id, before: null, after: document });
+            result.inserted++;
+        };
+
+        switch (op) {
+            case 'insertOne':
+                insert(spec.document || {});
+                break;
+            case 'updateOne':
+            case 'updateMany': {
+                if (!this.isPlainObject(spec.update)) {
+                    throw new Error(`${op} precisa de update (operadores como em update())`);
+                }
+                const filter = spec.filter || {};
+                const matches = this.matchCurrent(current, indexes, filter).slice(0, op === 'updateOne' ? 1 : undefined);
+                result.matched = matches.length;
+
+                for (const before of matches) {
+                    const after = this.buildUpdatedDocument(before, spec.update);
+                    // Sem mudança real: não grava nem altera updatedAt
+                    if (this.valuesEqual({ ...before, updatedAt: null }, { ...after, updatedAt: null })) continue;
+                    changes.push({ op: 'update', id: before.id, before, after });
+                    result.modified++;
+                }
+
+                // O documento criado parte dos campos de igualdade do filtro
+                if (op === 'updateOne' && matches.length === 0 && spec.upsert) {
+                    const base = {};
+                    for (const [field, condition] of Object.entries(filter)) {
+                        if (!field.startsWith('$') && !this.isOperatorObject(condition)) {
+                            this.setNestedValue(base, field, condition);
+                        }
+                    }
+                    insert(this.applyUpdate(base, spec.update));
+                }
+                break;
+            }
+            case 'deleteOne':
+            case 'deleteMany': {
+                const deleted = new Date().toISOString();
+                const matches = this.matchCurrent(current, indexes, spec.filter || {}, spec.permanent ? 'include' : 'exclude')
+                    .slice(0, op === 'deleteOne' ? 1 : undefined);
+                result.matched = matches.length;
+                result.deleted = matches.length;
+
+                for (const before of matches) {
+                    changes.push(this.softDelete && !spec.permanent
+                        ? { op: 'update', id: before.id, before, after: this.buildUpdatedDocument(before, { $set: { deletedAt: deleted } }) }
+                        : { op: 'delete', id: before.id, before, after: null });
+                }
+                break;
+            }
+            default:
+                throw new Error(`Operação em lote desconhecida: ${op} (use insertOne, updateOne, updateMany, deleteOne ou deleteMany)`);
+        }
+
+        result.ids = changes.map(change => change.id);
+        return { changes, result };
+    }
+
+    // Aplica as mudanças de uma operação aos índices e a `current`. Se um índice
+    // único recusar alguma, as anteriores da mesma operação são desfeitas.
+    applyChanges(current, indexes, changes) {
+        const applied = [];
+        try {
+            for (const change of changes) {
+                applied.push(change);
+                this.indexDocument(indexes, change.before, change.after);
+            }
         } catch (error) {
-            console.error('Erro ao atualizar índice:', error);
+            // Remover e reinserir é idempotente nos índices, inclusive para a mudança que falhou no meio
+            applied.reverse().forEach(change => this.indexDocument(indexes, change.after, change.before));
+            throw error;
         }
+
+        for (const change of changes) {
+            if (change.after) {
+                current.set(change.id, change.after);
+            } else {
+                current.delete(change.id);
+            }
+        }
+    }
+
+    // Documentos visíveis de `current` que satisfazem o filtro, usando os
+    // índices (mantidos em dia durante o lote) quando possível
+    matchCurrent(current, indexes, filter, deleted = 'exclude') {
+        const candidates = typeof filter.id === 'string' ? [filter.id] : this.planQuery(filter, indexes);
+        const source = candidates === null
+            ? [...current.values()]
+            : [...candidates].map(id => current.get(id)).filter(Boolean);
+
+        return source.filter(doc => this.isVisible(doc, deleted) && this.matchesFilter(doc, filter));
     }
 
-    async removeFromIndex(id) {
+    // Pipeline de agregação: $match, $group, $sort, $project, $unwind, $limit, $skip.
+    // Um $match inicial usa índices como find(). Os campos ocultos ficam fora
+    // do pipeline, salvo com `options.includeHidden`.
+    async aggregate(pipeline = [], options = {}) {
         try {
-            const index = await fs.readJson(this.indexPath);
-            delete index[id];
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
+            const [first, ...rest] = pipeline;
+            let documents;
+            let stages = pipeline;
+
+            if (first && first.$match) {
+                documents = await this.queryDocuments(first.$match, options);
+                stages = rest;
+            } else {
+                documents = await this.readAll(options);
+            }
+
+            return stages.reduce((current, stage) => this.applyStage(current, stage), documents);
         } catch (error) {
-            console.error('Erro ao remover do índice:', error);
+            console.error('Erro na agregação:', error);
+            throw error;
         }
     }
 
-    matchesFilter(document, filter) {
-        return Object.entries(filter).every(([key, value]) => {
-            const docValue = this.getNestedValue(document, key);
-
-            if (typeof value === 'object' && value !== null) {
-                // Operadores especiais
-                if (value.$regex) {
-                    const regex = new RegExp(value.$regex, value.$options || 'i');
-                    return regex.test(docValue);
+    applyStage(documents, stage) {
+        const [name, spec] = Object.entries(stage)[0] || [];
+
+        switch (name) {
+            case '$match':
+                return documents.filter(doc => this.matchesFilter(doc, spec));
+            case '$group':
+                return this.groupDocuments(documents, spec);
+            case '$sort':
+                return this.sortDocuments([...documents], spec);
+            case '$project':
+                return documents.map(doc => this.projectDocument(doc, spec));
+            case '$unwind':
+                return this.unwindDocuments(documents, spec);
+            case '$limit':
+                return documents.slice(0, spec);
+            case '$skip':
+                return documents.slice(spec);
+            default:
+                throw new Error(`Estágio de agregação não suportado: ${name}`);
+        }
+    }
+
+    groupDocuments(documents, spec) {
+        const { _id: keyExpression, ...accumulators } = spec;
+        const groups = new Map();
+
+        for (const doc of documents) {
+            const key = this.evaluateExpression(doc, keyExpression === undefined ? null : keyExpression);
+            const groupKey = JSON.stringify(key === undefined ? null : key);
+
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, { _id: key === undefined ? null : key, docs: [] });
+            }
+            groups.get(groupKey).docs.push(doc);
+        }
+
+        return [...groups.values()].map(({ _id, docs }) => {
+            const result = { _id };
+            for (const [field, accumulator] of Object.entries(accumulators)) {
+                result[field] = this.accumulate(docs, accumulator);
+            }
+            return result;
+        });
+    }
+
+    accumulate(docs, accumulator) {
+        const [operator, expression] = Object.entries(accumulator)[0];
+        const values = () => docs.map(doc => this.evaluateExpression(doc, expression));
+        const numbers = () => values().filter(value => typeof value === 'number');
+
+        switch (operator) {
+            case '$sum':
+                return numbers().reduce((total, value) => total + value, 0);
+            case '$avg': {
+                const list = numbers();
+                return list.length > 0 ? list.reduce((total, value) => total + value, 0) / list.length : null;
+            }
+            case '$min':
+                return values().filter(value => value !== undefined && value !== null)
+                    .reduce((min, value) => (min === null || value < min ? value : min), null);
+            case '$max':
+                return values().filter(value => value !== undefined && value !== null)
+                    .reduce((max, value) => (max === null || value > max ? value : max), null);
+            case '$count':
+                return docs.length;
+            case '$push':
+                return values();
+            case '$addToSet':
+                return [...new Map(values().map(value => [JSON.stringify(value), value])).values()];
+            case '$first':
+                return docs.length > 0 ? this.evaluateExpression(docs[0], expression) : null;
+            case '$last':
+                return docs.length > 0 ? this.evaluateExpression(docs[docs.length - 1], expression) : null;
+            default:
+                throw new Error(`Acumulador não suportado: ${operator}`);
+        }
+    }
+
+    // '$campo' referencia o documento; objetos são avaliados campo a campo;
+    // $add/$subtract/$multiply/$divide para valores calculados; demais valores são literais
+    evaluateExpression(doc, expression) {
+        if (typeof expression === 'string' && expression.startsWith('$')) {
+            return this.getNestedValue(doc, expression.slice(1));
+        }
+        if (Array.isArray(expression)) {
+            return expression.map(item => this.evaluateExpression(doc, item));
+        }
+        if (!this.isPlainObject(expression)) {
+            return expression;
+        }
+
+        const [operator, operands] = Object.entries(expression)[0] || [];
+        const arithmetic = {
+            $add: (a, b) => a + b,
+            $subtract: (a, b) => a - b,
+            $multiply: (a, b) => a * b,
+            $divide: (a, b) => (b === 0 ? null : a / b)
+        };
+        if (arithmetic[operator]) {
+            const values = operands.map(item => this.evaluateExpression(doc, item));
+            if (values.some(value => typeof value !== 'number')) return null;
+            return values.reduce(arithmetic[operator]);
+        }
+
+        const result = {};
+        for (const [field, value] of Object.entries(expression)) {
+            result[field] = this.evaluateExpression(doc, value);
+        }
+        return result;
+    }
+
+    // Inclusão ({ campo: 1 }), exclusão ({ campo: 0 }) ou campos calculados ({ total: '$summary.totalItems' })
+    projectDocument(doc, spec) {
+        const entries = Object.entries(spec);
+        const excluding = entries.every(([field, value]) => value === 0 || value === false);
+
+        if (excluding) {
+            const result = JSON.parse(JSON.stringify(doc));
+            entries.forEach(([field]) => this.unsetNestedValue(result, field));
+            return result;
+        }
+
+        const result = {};
+        if (spec.id === undefined && doc.id !== undefined) result.id = doc.id;
+        if (spec._id === undefined && doc._id !== undefined) result._id = doc._id;
+
+        for (const [field, value] of entries) {
+            if (value === 0 || value === false) {
+                delete result[field];
+            } else if (value === 1 || value === true) {
+                const current = this.getNestedValue(doc, field);
+                if (current !== undefined) this.setNestedValue(result, field, current);
+            } else {
+                this.setNestedValue(result, field, this.evaluateExpression(doc, value));
+            }
+        }
+        return result;
+    }
+
+    unwindDocuments(documents, spec) {
+        const options = typeof spec === 'string' ? { path: spec } : spec;
+        const field = options.path.replace(/^\$/, '');
+
+        return documents.flatMap(doc => {
+            const value = this.getNestedValue(doc, field);
+            if (!Array.isArray(value) || value.length === 0) {
+                return options.preserveNullAndEmptyArrays ? [doc] : [];
+            }
+            return value.map(element => {
+                const result = { ...doc };
+                this.setNestedValue(result, field, element);
+                return result;
+            });
+        });
+    }
+
+    // Busca textual ranqueada: ignora acentos e maiúsculas, reduz plurais e
+    // aceita prefixos e erros de digitação. Usa o índice de createTextIndex
+    // quando `fields` é vazio ou igual aos campos dele; senão analisa os
+    // documentos na hora (`fields`, ou todas as strings). Retorna os documentos
+    // ordenados por relevância, cada um com a pontuação em `_score`.
+    // `options.deleted`, projection e includeHidden como em find().
+    async search(query, fields = [], options = {}) {
+        try {
+            const documents = (await this.snapshot()).filter(doc => this.isVisible(doc, options.deleted));
+            const { text } = await this.storage.readIndexes();
+
+            const indexed = text && (fields.length === 0 ||
+                (fields.length === Object.keys(text.weights).length && fields.every(field => field in text.weights)));
+
+            let postings;
+            if (indexed) {
+                postings = text.postings;
+            } else {
+                const weights = Object.fromEntries(fields.map(field => [field, text && text.weights[field] || 1]));
+                postings = {};
+                for (const doc of documents) {
+                    textSearch.addToTextIndex(postings, doc.id,
+                        textSearch.documentTerms(doc, weights, this.getNestedValue));
                 }
-                if (value.$in) {
-                    return value.$in.includes(docValue);
+            }
+
+            const scores = textSearch.scoreDocuments(postings, query, documents.length);
+
+            return documents
+                .filter(doc => scores.has(doc.id))
+                .map(doc => ({ ...this.present(doc, options), _score: Math.round(scores.get(doc.id) * 1000) / 1000 }))
+                .sort((a, b) => b._score - a._score);
+        } catch (error) {
+            console.error('Erro na busca:', error);
+            throw error;
+        }
+    }
+
+    // Executa `callback(tx)` como uma transação. `tx` tem create, findById,
+    // findOne, find, count, update e delete sobre esta coleção, e
+    // tx.collection(nome) dá acesso às outras coleções do mesmo diretório.
+    // As escritas são gravadas juntas quando o callback termina, ou descartadas
+    // se ele lançar erro. Se outra escrita alterou o que a transação leu, o
+    // callback é executado de novo (até `options.retries` vezes) e, esgotadas
+    // as tentativas, o erro tem code 'EDBCONFLICT'.
+    async transaction(callback, options = {}) {
+        const retries = options.retries === undefined ? TRANSACTION_RETRIES : options.retries;
+
+        for (let attempt = 0; ; attempt++) {
+            const tx = new Transaction(this);
+            try {
+                const result = await callback(tx);
+                await tx.commit();
+                return result;
+            } catch (error) {
+                if (error.code === 'EDBCONFLICT' && attempt < retries) {
+                    await sleep(Math.random() * 20 * (attempt + 1));
+                    continue;
+                }
+                console.error('Erro na transação:', error);
+                throw error;
+            }
+        }
+    }
+
+    // Coleção do mesmo diretório, por nome ou instância
+    resolveCollection(target) {
+        if (target === undefined || target === this || target === this.collectionName) {
+            return this;
+        }
+
+        if (target instanceof JsonDatabase) {
+            if (path.resolve(target.dbPath) !== path.resolve(this.dbPath)) {
+                throw new Error(`Transação entre diretórios diferentes: ${target.dbPath} e ${this.dbPath}`);
+            }
+            return target;
+        }
+
+        return openCollection(this.dbPath, target, this.storage.engine);
+    }
+
+    // Reaplica a parte desta coleção de transações interrompidas por uma queda.
+    // Executado sob o lock de escrita, antes de qualquer outra escrita.
+    async recoverTransactions() {
+        if (!this.transactionLog) return;
+
+        const pending = await this.transactionLog.pending(this.collectionName);
+        for (const record of pending) {
+            console.warn(`Recuperando transação ${record.id} em ${this.collectionName}`);
+
+            let documents = await this.storage.load();
+            const current = new Map(documents.map(doc => [doc.id, doc]));
+            const changes = [];
+
+            for (const entry of record.collections[this.collectionName].entries) {
+                const before = current.get(entry.id) || null;
+                const after = entry.op === 'delete' ? null : entry.document;
+                if (this.valuesEqual(before, after)) continue; // Já aplicada antes da queda
+
+                changes.push({ op: !before ? 'insert' : after ? 'update' : 'delete', id: entry.id, before, after });
+                documents = applyEntry(documents, entry);
+            }
+
+            if (changes.length > 0) {
+                const indexes = await this.storage.loadIndexes();
+                this.rebuildIndexes(indexes, documents);
+                await this.commit(documents, record.collections[this.collectionName].entries, indexes, changes);
+            }
+
+            await this.transactionLog.markApplied(record.id, this.collectionName);
+        }
+    }
+
+    // Backup e restauração
+
+    // Backup consistente de todas as coleções de `dbPath`: trava as coleções
+    // (na mesma ordem das transações), lê documentos e índices e grava em
+    // `destination` um `<colecao>.json` por coleção. O `manifest.json`, gravado
+    // por último, guarda engine, quantidade de documentos, definição dos
+    // índices e sha256 de cada arquivo. `destination` deve estar vazio.
+    static async backup(dbPath, destination) {
+        try {
+            if (await fs.pathExists(destination) && (await fs.readdir(destination)).length > 0) {
+                const error = new Error(`Destino do backup não está vazio: ${destination}`);
+                error.code = 'EDBEXISTS';
+                throw error;
+            }
+
+            const dbs = (await listCollections(dbPath))
+                .map(({ name, engine }) => openCollection(dbPath, name, engine))
+                .sort((a, b) => (a.storage.key < b.storage.key ? -1 : 1));
+
+            const snapshots = await Transaction.withLocks(dbs, () => Promise.all(dbs.map(async db => ({
+                db,
+                documents: await db.storage.load(),
+                indexes: await db.storage.loadIndexes()
+            }))));
+
+            const manifest = {
+                version: 1,
+                createdAt: new Date().toISOString(),
+                source: path.resolve(dbPath),
+                collections: {}
+            };
+
+            await fs.ensureDir(destination);
+            for (const { db, documents, indexes } of snapshots) {
+                const file = `${db.collectionName}.json`;
+                const content = JSON.stringify(documents, null, 2) + '\n';
+                await writeFileAtomic(path.join(destination, file), content);
+
+                manifest.collections[db.collectionName] = {
+                    file,
+                    engine: db.storage.engine,
+                    documents: documents.length,
+                    sha256: sha256(content),
+                    indexes: {
+                        fields: Object.fromEntries(Object.entries(indexes.fields)
+                            .map(([field, definition]) => [field, { unique: definition.unique }])),
+                        text: indexes.text ? { weights: indexes.text.weights } : null
+                    }
+                };
+            }
+            await writeJsonAtomic(path.join(destination, 'manifest.json'), manifest);
+
+            return manifest;
+        } catch (error) {
+            console.error('Erro ao gerar backup:', error);
+            throw error;
+        }
+    }
+
+    // Restaura em `dbPath` um backup gerado por JsonDatabase.backup. O diretório
+    // não pode ter coleções, e todos os arquivos são conferidos com o manifesto
+    // antes da primeira escrita. `options.storage` troca o engine das coleções
+    // (padrão: o engine de cada uma no backup).
+    static async restore(source, dbPath, options = {}) {
+        try {
+            const manifestPath = path.join(source, 'manifest.json');
+            if (!await fs.pathExists(manifestPath)) {
+                const error = new Error(`Backup incompleto ou inválido: ${manifestPath} não existe`);
+                error.code = 'EDBCORRUPT';
+                throw error;
+            }
+            const manifest = await fs.readJson(manifestPath);
+
+            const existing = await listCollections(dbPath);
+            if (existing.length > 0) {
+                const error = new Error(`${dbPath} já tem coleções (${existing.map(({ name }) => name).join(', ')}); restaure em um diretório novo`);
+                error.code = 'EDBEXISTS';
+                throw error;
+            }
+
+            const collections = [];
+            for (const [name, info] of Object.entries(manifest.collections)) {
+                const content = await fs.readFile(path.join(source, info.file), 'utf8');
+                if (sha256(content) !== info.sha256) {
+                    const error = new Error(`Arquivo do backup alterado ou corrompido: ${info.file}`);
+                    error.code = 'EDBCORRUPT';
+                    throw error;
                 }
-                if (value.$gt) {
-                    return docValue > value.$gt;
+                collections.push({ name, info, documents: JSON.parse(content) });
+            }
+
+            for (const { name, info, documents } of collections) {
+                const db = openCollection(dbPath, name, options.storage || info.engine);
+                await db.writeAll(documents);
+
+                for (const [field, { unique }] of Object.entries(info.indexes.fields)) {
+                    await db.createIndex(field, { unique });
                 }
-                if (value.$lt) {
-                    return docValue < value.$lt;
+                if (info.indexes.text) {
+                    await db.createTextIndex(info.indexes.text.weights);
                 }
-                if (value.$gte) {
-                    return docValue >= value.$gte;
+            }
+
+            return manifest;
+        } catch (error) {
+            console.error('Erro ao restaurar backup:', error);
+            throw error;
+        }
+    }
+
+    // Exportação e importação
+
+    // Grava os documentos que satisfazem `options.filter` em `filePath`, como
+    // NDJSON ou CSV (pela extensão ou `options.format`). `options.mapping`
+    // ({ colunaNoArquivo: campoNoDocumento }) escolhe e renomeia os campos; sem
+    // ele, o NDJSON leva o documento inteiro e o CSV tem uma coluna por campo de
+    // primeiro nível (ou por campo de `options.fields`). No CSV, objetos e arrays
+    // são gravados como JSON. Retorna { format, count }.
+    async exportTo(filePath, options = {}) {
+        try {
+            const format = dataTransfer.detectFormat(filePath, options.format);
+            const documents = await this.find(options.filter || {}, options.sort ? { sort: options.sort } : {});
+
+            const mapping = options.mapping || (options.fields
+                ? Object.fromEntries(options.fields.map(field => [field, field]))
+                : null);
+
+            let content;
+            if (format === 'csv') {
+                const columns = mapping
+                    ? Object.keys(mapping)
+                    : [...new Set(documents.flatMap(doc => Object.keys(doc)))];
+                const records = documents.map(doc => Object.fromEntries(columns
+                    .map(column => [column, this.getNestedValue(doc, mapping ? mapping[column] : column)])));
+                content = dataTransfer.formatCsv(columns, records, options.delimiter);
+            } else {
+                const records = mapping
+                    ? documents.map(doc => {
+                        const record = {};
+                        for (const [column, field] of Object.entries(mapping)) {
+                            const value = this.getNestedValue(doc, field);
+                            if (value !== undefined) this.setNestedValue(record, column, value);
+                        }
+                        return record;
+                    })
+                    : documents;
+                content = dataTransfer.formatNdjson(records);
+            }
+
+            await writeFileAtomic(filePath, content);
+            return { format, count: documents.length };
+        } catch (error) {
+            console.error('Erro ao exportar coleção:', error);
+            throw error;
+        }
+    }
+
+    // Importa os registros de `filePath` (NDJSON ou CSV) numa única escrita:
+    // ou todos entram, ou nenhum. `options.mapping` ({ colunaNoArquivo:
+    // campoNoDocumento }, com ponto para campos aninhados) escolhe e renomeia as
+    // colunas; sem ele, cada coluna vira o campo de mesmo nome. Células CSV
+    // vazias são ignoradas (valem os defaults do schema) e as demais são
+    // convertidas para o tipo do campo no schema ou em `options.types`.
+    // Com `options.upsertBy` (ex. 'barcode' ou 'id'), um registro cujo valor já
+    // existe na coleção atualiza aquele documento em vez de criar outro.
+    // Um registro inválido aborta a importação com a linha do arquivo em
+    // `error.line`. Retorna { inserted, updated, unchanged }.
+    async importFrom(filePath, options = {}) {
+        try {
+            const format = dataTransfer.detectFormat(filePath, options.format);
+            const content = await fs.readFile(filePath, 'utf8');
+            const rows = format === 'csv'
+                ? dataTransfer.parseCsv(content, options.delimiter)
+                : dataTransfer.parseNdjson(content);
+            const records = rows.map(({ line, record }) => ({
+                line,
+                data: this.importRecord(record, options, format === 'csv')
+            }));
+
+            // Com upsertBy, cada registro atualiza o documento com o mesmo valor
+            // (inclusive um criado por uma linha anterior) ou cria um novo
+            const operations = records.map(({ data }) => {
+                const key = options.upsertBy ? this.getNestedValue(data, options.upsertBy) : undefined;
+                return key === undefined
+                    ? { insertOne: { document: data } }
+                    : { updateOne: { filter: { [options.upsertBy]: key }, update: { $set: data }, upsert: true } };
+            });
+
+            return await this.withWriteLock(async () => {
+                const documents = await this.storage.load();
+                const indexes = await this.storage.loadIndexes();
+                const current = new Map(documents.map(doc => [doc.id, doc]));
+
+                // Tudo ou nada: a primeira falha aborta a importação sem gravar
+                const { report, entries, changes } = this.applyOperations(current, indexes, operations);
+                const failed = report.results.find(result => result.error);
+                if (failed) {
+                    const { line } = records[failed.index];
+                    failed.error.line = line;
+                    failed.error.message = `Linha ${line} de ${path.basename(filePath)}: ${failed.error.message}`;
+                    throw failed.error;
                 }
-                if (value.$lte) {
-                    return docValue <= value.$lte;
+
+                if (entries.length > 0) {
+                    await this.commit([...current.values()], entries, indexes, changes);
                 }
+                return {
+                    inserted: report.inserted,
+                    updated: report.modified,
+                    unchanged: report.matched - report.modified
+                };
+            });
+        } catch (error) {
+            console.error('Erro ao importar coleção:', error);
+            throw error;
+        }
+    }
+
+    // Registro lido do arquivo -> dados do documento, aplicando o mapeamento de colunas
+    importRecord(record, options, fromCsv) {
+        const pairs = options.mapping
+            ? Object.entries(options.mapping).map(([column, field]) => [field, fromCsv ? record[column] : this.getNestedValue(record, column)])
+            : Object.entries(record);
+
+        const data = {};
+        for (const [field, value] of pairs) {
+            if (value === undefined || (fromCsv && value === '')) continue;
+
+            const types = options.types && options.types[field]
+                ? [].concat(options.types[field])
+                : this.schemaTypes(field);
+            this.setNestedValue(data, field, fromCsv ? dataTransfer.coerceValue(value, types) : value);
+        }
+        return data;
+    }
+
+    // Tipos aceitos pelo schema da coleção no campo `field` (vazio sem schema)
+    schemaTypes(field) {
+        let schema = this.schema && this.schema.schema;
+        for (const key of field.split('.')) {
+            schema = schema && schema.properties && schema.properties[key];
+        }
+        return schema && schema.type ? [].concat(schema.type) : [];
+    }
+
+    // Métodos auxiliares
+
+    // Documento novo com ID, datas e defaults do schema
+    buildDocument(data) {
+        return this.validateDocument({
+            id: data.id || uuidv4(),
+            ...data,
+            createdAt: data.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        }, { applyDefaults: true });
+    }
+
+    // Aplica `changes` (operadores de update) sobre `previous`
+    buildUpdatedDocument(previous, changes) {
+        return this.validateDocument({
+            ...this.applyUpdate(previous, changes),
+            id: previous.id, // Preservar ID
+            createdAt: previous.createdAt, // Preservar data de criação
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    // Aplica o schema da coleção, se houver. Documentos inválidos geram um erro
+    // com code 'EDBVALIDATION' e a lista de problemas por campo em `error.errors`.
+    validateDocument(document, { applyDefaults = false } = {}) {
+        if (!this.schema) return document;
+
+        const result = applyDefaults ? this.schema.applyDefaults(document) : document;
+        const errors = this.schema.validate(result);
+
+        if (errors.length > 0) {
+            const details = errors.map(({ field, message }) => `${field || 'documento'} ${message}`).join('; ');
+            const error = new Error(`Documento inválido em ${this.collectionName}: ${details}`);
+            error.code = 'EDBVALIDATION';
+            error.errors = errors;
+            throw error;
+        }
+
+        return result;
+    }
+
+    // Cópia de todos os documentos visíveis (`options` como em find())
+    async readAll(options = {}) {
+        return (await this.matchDocuments({}, options)).map(doc => this.present(doc, options));
+    }
+
+    // Documento como é devolvido ao chamador: uma cópia (os do cache são
+    // compartilhados), sem os campos ocultos e com `options.projection`
+    // aplicada. Um campo oculto só é devolvido com `options.includeHidden` ou
+    // se a projeção o incluir explicitamente ({ password: 1 }).
+    present(document, options = {}) {
+        const { projection } = options;
+        const result = clone(document);
+
+        if (!options.includeHidden) {
+            this.hiddenFields
+                .filter(field => !(projection && projection[field]))
+                .forEach(field => this.unsetNestedValue(result, field));
+        }
+
+        return projection ? this.projectFields(result, projection) : result;
+    }
+
+    // Projeção de leitura: só inclusão ou só exclusão de campos (o id pode ser
+    // excluído numa projeção de inclusão)
+    projectFields(document, projection) {
+        const entries = Object.entries(projection);
+        if (entries.some(([, value]) => ![0, 1, true, false].includes(value))) {
+            throw new Error(`Projeção inválida em ${this.collectionName}: use 1 para incluir ou 0 para excluir campos`);
+        }
+
+        const including = entries.some(([field, value]) => field !== 'id' && value);
+        if (including && entries.some(([field, value]) => field !== 'id' && !value)) {
+            throw new Error(`Projeção inválida em ${this.collectionName}: não misture inclusão e exclusão de campos`);
+        }
+
+        return this.projectDocument(document, projection);
+    }
+
+    // Documentos em cache no engine, compartilhados entre as leituras: somente
+    // leitura. Quem devolve documentos ao chamador devolve cópias.
+    async snapshot() {
+        await this.ready;
+        return this.storage.read();
+    }
+
+    // id -> posição no snapshot
+    positions(documents) {
+        if (!positionsBySnapshot.has(documents)) {
+            positionsBySnapshot.set(documents, new Map(documents.map((doc, position) => [doc.id, position])));
+        }
+        return positionsBySnapshot.get(documents);
+    }
+
+    async writeAll(documents) {
+        await this.withWriteLock(async () => {
+            const previous = await this.storage.load();
+            const indexes = await this.storage.loadIndexes();
+            this.rebuildIndexes(indexes, documents);
+            await this.commit(documents, [{ op: 'replace', documents }], indexes,
+                this.diffDocuments(previous, documents));
+        });
+    }
+
+    // Serializa as escritas da coleção neste processo e, entre processos, pelo lock do engine
+    async withWriteLock(operation) {
+        await this.ready;
+
+        const { key } = this.storage;
+        const previous = writeQueues.get(key) || Promise.resolve();
+        const run = previous.then(() => this.storage.withLock(async () => {
+            await this.recoverTransactions();
+            return operation();
+        }));
+        const tail = run.catch(() => {});
+
+        writeQueues.set(key, tail);
+        tail.then(() => {
+            if (writeQueues.get(key) === tail) {
+                writeQueues.delete(key);
             }
+        });
+
+        return run;
+    }
+
+    // Grava a mudança pelo engine; retorna os eventos publicados no changelog
+    async commit(documents, entries, indexes = null, changes = []) {
+        return this.storage.commit({ documents, entries, indexes, changes });
+    }
+
+    // Changelog
+    // O engine guarda um evento por mudança:
+    // { seq, op: 'insert' | 'update' | 'delete', id, before, after, at }.
+    // A sequência é global da coleção (atribuída sob o lock) e serve de token de retomada.
+
+    // Stream de mudanças dos documentos que satisfazem `filter` (avaliado no
+    // documento depois da mudança, ou antes dela numa remoção).
+    // `options.resumeAfter` retoma a partir de um token recebido anteriormente e
+    // `options.includeHidden` inclui os campos ocultos nos documentos dos eventos.
+    watch(filter = {}, options = {}) {
+        return new ChangeStream(this, filter, options);
+    }
 
-            return docValue === value;
+    resumeToken(seq) {
+        return `${this.collectionName}:${seq}`;
+    }
+
+    parseResumeToken(token) {
+        const [collection, seq] = String(token).split(':');
+        const parsed = parseInt(seq, 10);
+        if (collection !== this.collectionName || Number.isNaN(parsed)) {
+            const error = new Error(`Token de retomada inválido para ${this.collectionName}: ${token}`);
+            error.code = 'EDBRESUMEGAP';
+            throw error;
+        }
+        return parsed;
+    }
+
+    // Eventos equivalentes à troca de todo o conteúdo da coleção
+    diffDocuments(before, after) {
+        const previous = new Map(before.map(doc => [doc.id, doc]));
+        const changes = [];
+
+        for (const doc of after) {
+            const old = previous.get(doc.id);
+            previous.delete(doc.id);
+            if (!old) {
+                changes.push({ op: 'insert', id: doc.id, before: null, after: doc });
+            } else if (!this.valuesEqual(old, doc)) {
+                changes.push({ op: 'update', id: doc.id, before: old, after: doc });
+            }
+        }
+        for (const old of previous.values()) {
+            changes.push({ op: 'delete', id: old.id, before: old, after: null });
+        }
+
+        return changes;
+    }
+
+    async checkIntegrity() {
+        const documents = await this.storage.read();
+
+        if (!Array.isArray(documents)) {
+            throw this.storage.corruptionError('A coleção não contém um array de documentos');
+        }
+
+        const seen = new Set();
+        documents.forEach((doc, position) => {
+            if (typeof doc !== 'object' || doc === null || typeof doc.id !== 'string') {
+                throw this.storage.corruptionError(`Documento inválido na posição ${position}`);
+            }
+            if (seen.has(doc.id)) {
+                throw this.storage.corruptionError(`ID duplicado ${doc.id}`);
+            }
+            seen.add(doc.id);
         });
     }
 
-    getNestedValue(obj, path) {
-        return path.split('.').reduce((current, key) => {
-            return current && current[key] !== undefined ? current[key] : undefined;
-        }, obj);
+    // Índices secundários
+    // Persistidos pelo engine (em `<colecao>_index.json` nos engines em disco) como
+    // { fields: { campo: { unique, entries: { valorSerializado: [ids] } } },
+    //   text: { weights: { campo: peso }, postings: { termo: { id: peso } } } }.
+    // Apenas valores primitivos são indexados; documentos sem o campo ficam fora do índice.
+
+    async createIndex(field, options = {}) {
+        const unique = Boolean(options.unique);
+
+        await this.withWriteLock(async () => {
+            const documents = await this.storage.load();
+            const indexes = await this.storage.loadIndexes();
+
+            const definition = { unique, entries: {} };
+            this.buildIndexEntries(field, definition, documents);
+
+            indexes.fields[field] = definition;
+            await this.storage.saveIndexes(indexes);
+        });
+
+        return field;
     }
 
-    sortDocuments(documents, sortOptions) {
-        return documents.sort((a, b) => {
-            for (const [field, direction] of Object.entries(sortOptions)) {
-                const valueA = this.getNestedValue(a, field);
-                const valueB = this.getNestedValue(b, field);
+    async dropIndex(field) {
+        return this.withWriteLock(async () => {
+            const indexes = await this.storage.loadIndexes();
+            if (!indexes.fields[field]) return false;
 
-                let comparison = 0;
-                if (valueA < valueB) comparison = -1;
-                if (valueA > valueB) comparison = 1;
+            delete indexes.fields[field];
+            await this.storage.saveIndexes(indexes);
+            return true;
+        });
+    }
 
-                if (comparison !== 0) {
-                    return direction === -1 ? -comparison : comparison;
-                }
+    // Índice textual usado por search(). `weights`: { campo: peso }, ex.
+    // { name: 3, brand: 2, description: 1 }. Há no máximo um por coleção.
+    async createTextIndex(weights) {
+        await this.withWriteLock(async () => {
+            const documents = await this.storage.load();
+            const indexes = await this.storage.loadIndexes();
+
+            indexes.text = { weights, postings: {} };
+            this.buildTextIndex(indexes.text, documents);
+            await this.storage.saveIndexes(indexes);
+        });
+
+        return weights;
+    }
+
+    async dropTextIndex() {
+        return this.withWriteLock(async () => {
+            const indexes = await this.storage.loadIndexes();
+            if (!indexes.text) return false;
+
+            delete indexes.text;
+            await this.storage.saveIndexes(indexes);
+            return true;
+        });
+    }
+
+    async listIndexes() {
+        await this.ready;
+        const indexes = await this.storage.readIndexes();
+        const list = Object.entries(indexes.fields).map(([field, definition]) => ({
+            field,
+            unique: definition.unique,
+            keys: Object.keys(definition.entries).length
+        }));
+
+        if (indexes.text) {
+            list.push({
+                field: '$text',
+                weights: indexes.text.weights,
+                keys: Object.keys(indexes.text.postings).length
+            });
+        }
+        return list;
+    }
+
+    rebuildIndexes(indexes, documents) {
+        for (const [field, definition] of Object.entries(indexes.fields)) {
+            definition.entries = {};
+            this.buildIndexEntries(field, definition, documents);
+        }
+        if (indexes.text) {
+            indexes.text.postings = {};
+            this.buildTextIndex(indexes.text, documents);
+        }
+    }
+
+    buildTextIndex(text, documents) {
+        for (const document of documents) {
+            textSearch.addToTextIndex(text.postings, document.id,
+                textSearch.documentTerms(document, text.weights, this.getNestedValue));
+        }
+    }
+
+    buildIndexEntries(field, definition, documents) {
+        for (const document of documents) {
+            this.addToIndex(field, definition, document);
+        }
+    }
+
+    // Atualiza todos os índices para a troca `before` -> `after` (null em create/delete)
+    indexDocument(indexes, before, after) {
+        for (const [field, definition] of Object.entries(indexes.fields)) {
+            if (before) this.removeFromIndex(field, definition, before);
+            if (after) this.addToIndex(field, definition, after);
+        }
+
+        const { text } = indexes;
+        if (text) {
+            if (before) {
+                textSearch.removeFromTextIndex(text.postings, before.id,
+                    textSearch.documentTerms(before, text.weights, this.getNestedValue));
+            }
+            if (after) {
+                textSearch.addToTextIndex(text.postings, after.id,
+                    textSearch.documentTerms(after, text.weights, this.getNestedValue));
+            }
+        }
+    }
+
+    addToIndex(field, definition, document) {
+        const key = this.indexKey(this.getNestedValue(document, field));
+        if (key === undefined) return;
+
+        const ids = definition.entries[key] || [];
+        if (definition.unique && ids.some(id => id !== document.id)) {
+            const error = new Error(`Valor duplicado para o campo único ${field} em ${this.collectionName}: ${key}`);
+            error.code = 'EDBDUPLICATE';
+            error.field = field;
+            error.value = this.getNestedValue(document, field);
+            throw error;
+        }
+
+        if (!ids.includes(document.id)) ids.push(document.id);
+        definition.entries[key] = ids;
+    }
+
+    removeFromIndex(field, definition, document) {
+        const key = this.indexKey(this.getNestedValue(document, field));
+        if (key === undefined || !definition.entries[key]) return;
+
+        const ids = definition.entries[key].filter(id => id !== document.id);
+        if (ids.length > 0) {
+            definition.entries[key] = ids;
+        } else {
+            delete definition.entries[key];
+        }
+    }
+
+    indexKey(value) {
+        if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+            return JSON.stringify(value);
+        }
+        return undefined;
+    }
+
+    // Planejador de consultas: escolhe o índice mais seletivo entre os campos do
+    // filtro com igualdade ou $in. Retorna os IDs candidatos, ou null para varredura completa.
+    planQuery(filter, indexes) {
+        let candidates = null;
+
+        for (const [field, condition] of Object.entries(filter)) {
+            const definition = indexes.fields[field];
+            if (!definition) continue;
+
+            let values;
+            if (condition !== null && typeof condition === 'object') {
+                if (!Array.isArray(condition.$in) || Object.keys(condition).length !== 1) continue;
+                values = condition.$in;
+            } else {
+                values = [condition];
+            }
+
+            const keys = values.map(value => this.indexKey(value));
+            if (keys.some(key => key === undefined)) continue;
+
+            const ids = new Set(keys.flatMap(key => definition.entries[key] || []));
+            if (candidates === null || ids.size < candidates.size) {
+                candidates = ids;
+            }
+        }
+
+        return candidates;
+    }
+
+    // Cópias dos documentos que satisfazem o filtro
+    async queryDocuments(filter = {}, options = {}) {
+        return (await this.matchDocuments(filter, options)).map(doc => this.present(doc, options));
+    }
+
+    // Filtra a coleção, usando um índice quando o filtro permitir. Retorna um
+    // array novo, na ordem da coleção, com os documentos do cache (somente leitura).
+    // `options.deleted` escolhe a visibilidade da lixeira (ver isVisible).
+    async matchDocuments(filter = {}, options = {}) {
+        const deleted = options.deleted || 'exclude';
+        if (!DELETED_MODES.includes(deleted)) {
+            throw new Error(`Opção deleted inválida: ${deleted} (use ${DELETED_MODES.join(', ')})`);
+        }
+
+        const documents = await this.snapshot();
+        const now = Date.now();
+        if (Object.keys(filter).length === 0) {
+            return documents.filter(doc => this.isVisible(doc, deleted, now));
+        }
+
+        const candidates = this.planQuery(filter, await this.storage.readIndexes());
+        let source = documents;
+        if (candidates !== null) {
+            const positions = this.positions(documents);
+            source = [...candidates]
+                .map(id => positions.get(id))
+                .filter(position => position !== undefined)
+                .sort((a, b) => a - b)
+                .map(position => documents[position]);
+        }
+
+        // O filtro completo é sempre reaplicado: o índice só reduz os candidatos
+        return source.filter(doc => this.isVisible(doc, deleted, now) && this.matchesFilter(doc, filter));
+    }
+
+    // Visibilidade de um documento nas leituras. `deleted`: 'exclude' (padrão)
+    // esconde a lixeira, 'include' mostra tudo e 'only' mostra só a lixeira.
+    // Sem soft delete não há lixeira. Documentos expirados nunca são visíveis.
+    isVisible(document, deleted = 'exclude', now = Date.now()) {
+        if (this.isExpired(document, now)) return false;
+        if (deleted === 'include') return true;
+        return (deleted === 'only') === (this.softDelete && this.isDeleted(document));
+    }
+
+    isDeleted(document) {
+        return document.deletedAt !== undefined && document.deletedAt !== null;
+    }
+
+    isExpired(document, now = Date.now()) {
+        if (document.expiresAt === undefined || document.expiresAt === null) return false;
+        const expiresAt = typeof document.expiresAt === 'number' ? document.expiresAt : Date.parse(document.expiresAt);
+        return expiresAt <= now;
+    }
+
+    // Filtros no estilo MongoDB: igualdade implícita, operadores de campo
+    // (vários por campo, todos precisam valer) e operadores lógicos no topo.
+    matchesFilter(document, filter) {
+        return Object.entries(filter).every(([key, condition]) => {
+            switch (key) {
+                case '$and':
+                    return condition.every(subFilter => this.matchesFilter(document, subFilter));
+                case '$or':
+                    return condition.some(subFilter => this.matchesFilter(document, subFilter));
+                case '$nor':
+                    return !condition.some(subFilter => this.matchesFilter(document, subFilter));
+                default:
+                    return this.matchesCondition(this.getNestedValue(document, key), condition);
             }
-            return 0;
         });
     }
 
-    searchInObject(obj, searchTerm) {
-        for (const value of Object.values(obj)) {
-            if (typeof value === 'string' && value.toLowerCase().includes(searchTerm)) {
-                return true;
+    matchesCondition(value, condition) {
+        if (condition instanceof RegExp) {
+            return this.matchesRegex(value, condition);
+        }
+
+        if (!this.isOperatorObject(condition)) {
+            return this.matchesEquality(value, condition);
+        }
+
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+                case '$eq':
+                    return this.matchesEquality(value, operand);
+                case '$ne':
+                    return !this.matchesEquality(value, operand);
+                case '$gt':
+                    return this.matchesComparison(value, operand, result => result > 0);
+                case '$gte':
+                    return this.matchesComparison(value, operand, result => result >= 0);
+                case '$lt':
+                    return this.matchesComparison(value, operand, result => result < 0);
+                case '$lte':
+                    return this.matchesComparison(value, operand, result => result <= 0);
+                case '$in':
+                    return operand.some(item => item instanceof RegExp
+                        ? this.matchesRegex(value, item)
+                        : this.matchesEquality(value, item));
+                case '$nin':
+                    return !operand.some(item => this.matchesEquality(value, item));
+                case '$exists':
+                    return (value !== undefined) === Boolean(operand);
+                case '$regex':
+                    return this.matchesRegex(value, operand instanceof RegExp
+                        ? operand
+                        : new RegExp(operand, condition.$options || 'i'));
+                case '$options':
+                    // Consumido por $regex
+                    return true;
+                case '$not':
+                    return !this.matchesCondition(value, operand);
+                case '$size':
+                    return Array.isArray(value) && value.length === operand;
+                case '$elemMatch':
+                    return Array.isArray(value) && value.some(element => this.isOperatorObject(operand)
+                        ? this.matchesCondition(element, operand)
+                        : this.isPlainObject(element) && this.matchesFilter(element, operand));
+                case '$all':
+                    return Array.isArray(value) && operand.every(item => value.some(element => this.valuesEqual(element, item)));
+                default:
+                    throw new Error(`Operador de consulta não suportado: ${operator}`);
             }
-            if (typeof value === 'object' && value !== null && this.searchInObject(value, searchTerm)) {
-                return true;
+        });
+    }
+
+    // Igualdade: em campos array também casa se algum elemento for igual
+    matchesEquality(value, expected) {
+        if (this.valuesEqual(value, expected)) return true;
+        return Array.isArray(value) && value.some(element => this.valuesEqual(element, expected));
+    }
+
+    // Comparações só entre valores do mesmo tipo (número com número, texto com texto)
+    matchesComparison(value, operand, predicate) {
+        const candidates = Array.isArray(value) ? value : [value];
+        return candidates.some(candidate => {
+            const result = this.compareValues(candidate, operand);
+            return result !== null && predicate(result);
+        });
+    }
+
+    matchesRegex(value, regex) {
+        const candidates = Array.isArray(value) ? value : [value];
+        return candidates.some(candidate => typeof candidate === 'string' && regex.test(candidate));
+    }
+
+    compareValues(a, b) {
+        const comparable = (typeof a === 'number' && typeof b === 'number')
+            || (typeof a === 'string' && typeof b === 'string')
+            || (typeof a === 'boolean' && typeof b === 'boolean');
+        if (!comparable) return null;
+        if (a < b) return -1;
+        if (a > b) return 1;
+        return 0;
+    }
+
+    valuesEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof RegExp);
+    }
+
+    isOperatorObject(value) {
+        if (!this.isPlainObject(value)) return false;
+        const keys = Object.keys(value);
+        return keys.length > 0 && keys.every(key => key.startsWith('$'));
+    }
+
+    // Aplica uma atualização a uma cópia do documento
+    applyUpdate(document, update) {
+        const operators = Object.keys(update).filter(key => key.startsWith('$'));
+        if (operators.length === 0) {
+            return this.applyUpdate(document, { $set: update });
+        }
+        if (operators.length !== Object.keys(update).length) {
+            throw new Error('Atualização não pode misturar operadores e campos simples');
+        }
+
+        const result = JSON.parse(JSON.stringify(document));
+
+        for (const [operator, fields] of Object.entries(update)) {
+            for (const [field, operand] of Object.entries(fields)) {
+                const current = this.getNestedValue(result, field);
+
+                switch (operator) {
+                    case '$set':
+                        this.setNestedValue(result, field, operand);
+                        break;
+                    case '$unset':
+                        this.unsetNestedValue(result, field);
+                        break;
+                    case '$inc':
+                        if (current !== undefined && typeof current !== 'number') {
+                            throw new Error(`$inc em campo não numérico: ${field}`);
+                        }
+                        if (typeof operand !== 'number' || !Number.isFinite(operand)) {
+                            throw new Error(`$inc exige um número finito: ${field}`);
+                        }
+                        this.setNestedValue(result, field, (current || 0) + operand);
+                        break;
+                    case '$push': {
+                        if (current !== undefined && !Array.isArray(current)) {
+                            throw new Error(`$push em campo que não é array: ${field}`);
+                        }
+                        const values = this.isPlainObject(operand) && Array.isArray(operand.$each)
+                            ? operand.$each
+                            : [operand];
+                        this.setNestedValue(result, field, [...(current || []), ...values]);
+                        break;
+                    }
+                    case '$pull':
+                        if (Array.isArray(current)) {
+                            this.setNestedValue(result, field, current.filter(element => !this.matchesPull(element, operand)));
+                        }
+                        break;
+                    default:
+                        throw new Error(`Operador de atualização não suportado: ${operator}`);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    // $pull remove elementos iguais ao valor ou que satisfazem a condição
+    matchesPull(element, condition) {
+        if (this.isOperatorObject(condition)) {
+            return this.matchesCondition(element, condition);
+        }
+        if (this.isPlainObject(condition) && this.isPlainObject(element)) {
+            return this.matchesFilter(element, condition);
+        }
+        return this.valuesEqual(element, condition);
+    }
+
+    // Os caminhos nunca passam por __proto__, constructor ou prototype (ver pathKeys)
+    setNestedValue(obj, path, value) {
+        const keys = pathKeys(path);
+        const last = keys.pop();
+        const target = keys.reduce((current, key) => {
+            if (!hasOwn(current, key) || typeof current[key] !== 'object' || current[key] === null) {
+                current[key] = {};
+            }
+            return current[key];
+        }, obj);
+        target[last] = value;
+    }
+
+    unsetNestedValue(obj, path) {
+        const keys = pathKeys(path);
+        const last = keys.pop();
+        const target = keys.length > 0 ? this.getNestedValue(obj, keys.join('.')) : obj;
+        if (typeof target === 'object' && target !== null) {
+            delete target[last];
+        }
+    }
+
+    // Só propriedades próprias: herdadas (ex. `constructor`) contam como ausentes.
+    // Não usa `this`: é repassado a textSearch.documentTerms
+    getNestedValue(obj, path) {
+        return String(path).split('.').reduce((current, key) => {
+            return current !== undefined && current !== null && hasOwn(current, key) && current[key] !== undefined
+                ? current[key]
+                : undefined;
+        }, obj);
+    }
+
+    sortDocuments(documents, sortOptions) {
+        return documents.sort((a, b) => this.compareSortKeys(this.sortKey(a, sortOptions), this.sortKey(b, sortOptions), sortOptions));
+    }
+
+    // Valores de `doc` nos campos da ordenação
+    sortKey(doc, sortOptions) {
+        return Object.keys(sortOptions).map(field => this.getNestedValue(doc, field));
+    }
+
+    compareSortKeys(keyA, keyB, sortOptions) {
+        const directions = Object.values(sortOptions);
+        for (let i = 0; i < directions.length; i++) {
+            const comparison = this.compareSortValues(keyA[i], keyB[i]);
+            if (comparison !== 0) {
+                return directions[i] === -1 ? -comparison : comparison;
             }
         }
-        return false;
+        return 0;
+    }
+
+    // Ordem total entre valores de tipos diferentes (necessária para os cursores):
+    // ausentes e null, números, strings, booleanos e, por fim, objetos e arrays
+    compareSortValues(a, b) {
+        const rank = value => {
+            if (value === undefined || value === null) return 0;
+            return { number: 1, string: 2, boolean: 3 }[typeof value] || 4;
+        };
+
+        const rankA = rank(a);
+        const rankB = rank(b);
+        if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+
+        const valueA = rankA === 4 ? JSON.stringify(a) : a;
+        const valueB = rankB === 4 ? JSON.stringify(b) : b;
+        if (valueA < valueB) return -1;
+        if (valueA > valueB) return 1;
+        return 0;
+    }
+
+    // Cursores de findPage
+
+    // Ordenação com o id como último critério, para que a ordem seja total
+    cursorSort(sortOptions = {}) {
+        return { ...sortOptions, id: sortOptions.id || 1 };
+    }
+
+    // Cursor opaco (base64url) com a ordenação e a chave do último documento da página
+    encodeCursor(doc, sortOptions) {
+        const key = this.sortKey(doc, sortOptions).map(value => (value === undefined ? null : value));
+        return Buffer.from(JSON.stringify({ sort: Object.entries(sortOptions), key })).toString('base64url');
+    }
+
+    decodeCursor(cursor, sortOptions) {
+        let decoded;
+        try {
+            decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch (error) {
+            decoded = null;
+        }
+
+        const valid = decoded && Array.isArray(decoded.key) &&
+            JSON.stringify(decoded.sort) === JSON.stringify(Object.entries(sortOptions));
+        if (!valid) {
+            const error = new Error(`Cursor inválido para ${this.collectionName} (ou de outra ordenação)`);
+            error.code = 'EDBCURSOR';
+            throw error;
+        }
+        return decoded.key;
     }
 }
 
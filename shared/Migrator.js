@@ -0,0 +1,223 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const JsonDatabase = require('./JsonDatabase');
+const { listCollections } = require('./storage');
+
+// Coleção, no mesmo diretório, com a versão de cada coleção migrada
+const VERSIONS_COLLECTION = 'migrations';
+
+// `001-descricao.js`
+const MIGRATION_FILE = /^(\d+)-([\w-]+)\.js$/;
+
+// Migrações de dados versionadas. Cada serviço guarda as suas em
+// `migrations/NNN-descricao.js`, numeradas em sequência:
+//
+//   module.exports = {
+//       collection: 'users',
+//       async up(tx) { ... },
+//       async down(tx) { ... } // opcional: sem ela a migração é irreversível
+//   };
+//
+// `tx` é uma transação sobre a coleção (find, update, replace, delete...; ver
+// JsonDatabase.transaction), então os documentos migrados e a nova versão são
+// gravados juntos ou não são gravados. As coleções são abertas sem schema: os
+// documentos passam por formatos intermediários durante as migrações.
+// A versão de uma coleção é o número da última migração aplicada a ela; as
+// aplicadas e o histórico ficam num documento por coleção em `migrations`.
+class Migrator {
+    // `options.storage`: engine das coleções que ainda não existem no diretório
+    constructor(dbPath, migrationsPath, options = {}) {
+        this.dbPath = dbPath;
+        this.migrationsPath = migrationsPath;
+        this.storage = options.storage || 'json';
+        this.label = options.label || '';
+        this.collections = new Map();
+    }
+
+    // Migrações do diretório, em ordem de número
+    loadMigrations() {
+        if (!fs.pathExistsSync(this.migrationsPath)) return [];
+
+        const files = new Map();
+        return fs.readdirSync(this.migrationsPath)
+            .filter(file => MIGRATION_FILE.test(file))
+            .map(file => {
+                const [, number, name] = file.match(MIGRATION_FILE);
+                const version = parseInt(number, 10);
+                if (files.has(version)) {
+                    throw this.migrationError(`Migrações com o mesmo número: ${files.get(version)} e ${file}`);
+                }
+                files.set(version, file);
+
+                const migration = require(path.join(this.migrationsPath, file));
+                if (!migration.collection || typeof migration.up !== 'function') {
+                    throw this.migrationError(`${file} precisa exportar collection e up(tx)`);
+                }
+                return { ...migration, version, name, file };
+            })
+            .sort((a, b) => a.version - b.version);
+    }
+
+    // Versão de cada coleção e situação de cada migração
+    async status() {
+        const versions = await this.readVersions();
+        const migrations = this.loadMigrations().map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            collection: migration.collection,
+            applied: this.isApplied(versions, migration),
+            reversible: typeof migration.down === 'function'
+        }));
+
+        return {
+            collections: Object.fromEntries(Object.values(versions)
+                .map(record => [record.id, record.version])),
+            migrations
+        };
+    }
+
+    // Aplica as migrações pendentes (até `options.to`, se informado).
+    // `options.dryRun` executa numa cópia descartável do banco.
+    async migrate(options = {}) {
+        if (options.dryRun) return this.simulate('migrate', options);
+
+        const versions = await this.readVersions();
+        const pending = this.loadMigrations().filter(migration => !this.isApplied(versions, migration) &&
+            (options.to === undefined || migration.version <= options.to));
+
+        for (const migration of pending) {
+            const current = versions[migration.collection];
+            if (current && current.version > migration.version) {
+                throw this.migrationError(`${migration.file} é anterior à versão ${current.version} de ${migration.collection} e nunca foi aplicada`);
+            }
+        }
+
+        return this.run(pending, 'up');
+    }
+
+    // Reverte as últimas `options.steps` migrações (padrão 1) ou todas acima
+    // da versão `options.to`. Nada é revertido se alguma for irreversível.
+    async rollback(options = {}) {
+        if (options.dryRun) return this.simulate('rollback', options);
+
+        const versions = await this.readVersions();
+        const applied = this.loadMigrations()
+            .filter(migration => this.isApplied(versions, migration))
+            .reverse();
+
+        const targets = options.to !== undefined
+            ? applied.filter(migration => migration.version > options.to)
+            : applied.slice(0, options.steps || 1);
+
+        const irreversible = targets.find(migration => typeof migration.down !== 'function');
+        if (irreversible) {
+            throw this.migrationError(`${irreversible.file} é irreversível (não tem down)`);
+        }
+
+        return this.run(targets, 'down');
+    }
+
+    // Executa as migrações, uma transação por migração
+    async run(migrations, direction) {
+        const results = [];
+
+        for (const migration of migrations) {
+            const db = await this.open(migration.collection);
+            const versionsDb = await this.open(VERSIONS_COLLECTION);
+            const started = Date.now();
+
+            const changes = await db.transaction(async tx => {
+                await migration[direction](tx);
+                const summary = tx.summary()[migration.collection] || { inserted: 0, updated: 0, deleted: 0 };
+                await this.recordVersion(tx.collection(versionsDb), migration, direction);
+                return summary;
+            });
+
+            results.push({ version: migration.version, name: migration.name, collection: migration.collection, direction, changes });
+            console.log(`${this.label}${direction === 'up' ? 'Aplicada' : 'Revertida'} a migração ${migration.file} ` +
+                `(${migration.collection}): ${changes.inserted} inserido(s), ${changes.updated} alterado(s), ` +
+                `${changes.deleted} removido(s) em ${Date.now() - started}ms`);
+        }
+
+        return results;
+    }
+
+    // Executa `method` numa cópia do banco (backup + restore num diretório
+    // temporário), para ver o efeito das migrações sem alterar os dados
+    async simulate(method, options) {
+        const tempPath = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-'));
+        const copyPath = path.join(tempPath, 'database');
+
+        try {
+            await JsonDatabase.backup(this.dbPath, path.join(tempPath, 'backup'));
+            await JsonDatabase.restore(path.join(tempPath, 'backup'), copyPath);
+
+            const copy = new Migrator(copyPath, this.migrationsPath, { storage: this.storage, label: '[simulação] ' });
+            return await copy[method]({ ...options, dryRun: false });
+        } finally {
+            await fs.remove(tempPath);
+        }
+    }
+
+    async recordVersion(versions, migration, direction) {
+        const record = await versions.findById(migration.collection);
+        const applied = new Set(record ? record.applied : []);
+        if (direction === 'up') {
+            applied.add(migration.version);
+        } else {
+            applied.delete(migration.version);
+        }
+
+        const sorted = [...applied].sort((a, b) => a - b);
+        const next = {
+            version: sorted.length > 0 ? sorted[sorted.length - 1] : 0,
+            applied: sorted,
+            history: [
+                ...(record ? record.history : []),
+                { version: migration.version, name: migration.name, direction, at: new Date().toISOString() }
+            ]
+        };
+
+        if (record) {
+            await versions.replace(record.id, { ...record, ...next, updatedAt: new Date().toISOString() });
+        } else {
+            await versions.create({ id: migration.collection, ...next });
+        }
+    }
+
+    // Documentos de versão por coleção ({} se nenhuma migração rodou ainda)
+    async readVersions() {
+        const existing = await listCollections(this.dbPath);
+        if (!existing.some(({ name }) => name === VERSIONS_COLLECTION)) return {};
+
+        const versionsDb = await this.open(VERSIONS_COLLECTION);
+        const records = await versionsDb.find();
+        return Object.fromEntries(records.map(record => [record.id, record]));
+    }
+
+    isApplied(versions, migration) {
+        const record = versions[migration.collection];
+        return Boolean(record && record.applied.includes(migration.version));
+    }
+
+    // Coleção sem schema, com o engine em uso no diretório
+    async open(collectionName) {
+        if (!this.collections.has(collectionName)) {
+            const existing = (await listCollections(this.dbPath)).find(({ name }) => name === collectionName);
+            this.collections.set(collectionName, new JsonDatabase(this.dbPath, collectionName, {
+                storage: existing ? existing.engine : this.storage
+            }));
+        }
+        return this.collections.get(collectionName);
+    }
+
+    migrationError(message) {
+        const error = new Error(message);
+        error.code = 'EDBMIGRATION';
+        return error;
+    }
+}
+
+module.exports = Migrator;
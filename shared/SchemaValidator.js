@@ -0,0 +1,143 @@
+// Validação de documentos com um subconjunto de JSON Schema: type (ou lista de
+// tipos), required, properties, additionalProperties, enum, minimum, maximum,
+// exclusiveMinimum, exclusiveMaximum, minLength, maxLength, pattern, items,
+// minItems, maxItems e default.
+class SchemaValidator {
+    constructor(schema) {
+        this.schema = schema;
+    }
+
+    // Preenche os campos ausentes que têm `default` (também em objetos aninhados
+    // e em itens de arrays). Retorna um novo valor; o original não é alterado.
+    applyDefaults(value, schema = this.schema) {
+        if (Array.isArray(value) && schema.items) {
+            return value.map(item => this.applyDefaults(item, schema.items));
+        }
+        if (!this.isPlainObject(value) || !schema.properties) {
+            return value;
+        }
+
+        const result = { ...value };
+        for (const [key, property] of Object.entries(schema.properties)) {
+            if (result[key] === undefined && property.default !== undefined) {
+                result[key] = JSON.parse(JSON.stringify(property.default));
+            }
+            if (result[key] !== undefined) {
+                result[key] = this.applyDefaults(result[key], property);
+            }
+        }
+        return result;
+    }
+
+    // Retorna a lista de erros ({ field, keyword, message }); vazia se o valor é válido.
+    // `field` é o caminho em notação de ponto ('' para o documento inteiro).
+    validate(value, schema = this.schema, field = '') {
+        const errors = [];
+        const fail = (keyword, message) => errors.push({ field, keyword, message });
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => this.matchesType(value, type))) {
+                fail('type', `deve ser do tipo ${types.join(' ou ')}`);
+                return errors;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+            fail('enum', `deve ser um de: ${schema.enum.join(', ')}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                fail('minimum', `deve ser maior ou igual a ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                fail('maximum', `deve ser menor ou igual a ${schema.maximum}`);
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                fail('exclusiveMinimum', `deve ser maior que ${schema.exclusiveMinimum}`);
+            }
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+                fail('exclusiveMaximum', `deve ser menor que ${schema.exclusiveMaximum}`);
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail('minLength', `deve ter pelo menos ${schema.minLength} caractere(s)`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                fail('maxLength', `deve ter no máximo ${schema.maxLength} caractere(s)`);
+            }
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+                fail('pattern', `não corresponde ao formato ${schema.pattern}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail('minItems', `deve ter pelo menos ${schema.minItems} item(ns)`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                fail('maxItems', `deve ter no máximo ${schema.maxItems} item(ns)`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...this.validate(item, schema.items, this.joinPath(field, index)));
+                });
+            }
+        }
+
+        if (this.isPlainObject(value)) {
+            for (const key of schema.required || []) {
+                if (value[key] === undefined) {
+                    errors.push({ field: this.joinPath(field, key), keyword: 'required', message: 'é obrigatório' });
+                }
+            }
+
+            const properties = schema.properties || {};
+            for (const [key, propertyValue] of Object.entries(value)) {
+                if (propertyValue === undefined) continue;
+
+                if (properties[key]) {
+                    errors.push(...this.validate(propertyValue, properties[key], this.joinPath(field, key)));
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ field: this.joinPath(field, key), keyword: 'additionalProperties', message: 'não é permitido' });
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    matchesType(value, type) {
+        switch (type) {
+            case 'string':
+                return typeof value === 'string';
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return this.isPlainObject(value);
+            case 'null':
+                return value === null;
+            default:
+                throw new Error(`Tipo de schema desconhecido: ${type}`);
+        }
+    }
+
+    joinPath(base, key) {
+        return base === '' ? String(key) : `${base}.${key}`;
+    }
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+module.exports = SchemaValidator;
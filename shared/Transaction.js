@@ -0,0 +1,334 @@
+const { v4: uuidv4 } = require('uuid');
+const { applyEntry, clone } = require('./storage/entries');
+
+// Transação sobre uma ou mais coleções do mesmo diretório (ver JsonDatabase.transaction).
+// As leituras usam um snapshot de cada coleção e as escritas ficam na memória
+// até o commit, que trava todas as coleções envolvidas (sempre na mesma ordem),
+// confere se o que foi lido não mudou e grava tudo.
+class Transaction {
+    constructor(db) {
+        this.db = db;
+        this.id = uuidv4();
+        this.collections = new Map();
+    }
+
+    // Coleção participante: nome de outra coleção do diretório ou instância de
+    // JsonDatabase. Sem argumento, a coleção que abriu a transação.
+    collection(target) {
+        const db = this.db.resolveCollection(target);
+        if (!this.collections.has(db.storage.key)) {
+            this.collections.set(db.storage.key, new TransactionCollection(db));
+        }
+        return this.collections.get(db.storage.key);
+    }
+
+    // Atalhos para a coleção que abriu a transação
+    create(data) {
+        return this.collection().create(data);
+    }
+
+    findById(id, options) {
+        return this.collection().findById(id, options);
+    }
+
+    findOne(filter, options) {
+        return this.collection().findOne(filter, options);
+    }
+
+    find(filter, options) {
+        return this.collection().find(filter, options);
+    }
+
+    count(filter, options) {
+        return this.collection().count(filter, options);
+    }
+
+    update(id, updates) {
+        return this.collection().update(id, updates);
+    }
+
+    delete(id, options) {
+        return this.collection().delete(id, options);
+    }
+
+    replace(id, document) {
+        return this.collection().replace(id, document);
+    }
+
+    // Escritas ainda não gravadas: { colecao: { inserted, updated, deleted } }
+    summary() {
+        const summary = {};
+        for (const part of this.collections.values()) {
+            if (part.writes.size > 0) {
+                summary[part.db.collectionName] = part.summary();
+            }
+        }
+        return summary;
+    }
+
+    async commit() {
+        const parts = [...this.collections.values()]
+            .filter(part => part.snapshot)
+            .sort((a, b) => (a.db.storage.key < b.db.storage.key ? -1 : 1));
+
+        // Somente leituras: nada a gravar
+        if (!parts.some(part => part.writes.size > 0)) return;
+
+        await Transaction.withLocks(parts.map(part => part.db), async () => {
+            // Preparar tudo antes da primeira escrita: conflitos, schema e
+            // índices únicos abortam a transação sem gravar nada
+            const prepared = [];
+            for (const part of parts) {
+                const documents = await part.db.storage.load();
+                if (part.hasConflict(documents)) {
+                    const error = new Error(`Conflito de escrita em ${part.db.collectionName} durante a transação ${this.id}`);
+                    error.code = 'EDBCONFLICT';
+                    throw error;
+                }
+                if (part.writes.size > 0) {
+                    prepared.push({ part, ...(await part.prepare(documents)) });
+                }
+            }
+
+            const logged = prepared.filter(({ part }) => part.db.transactionLog);
+            const useLog = logged.length > 1;
+
+            if (useLog) {
+                await this.db.transactionLog.begin(this.id, Object.fromEntries(
+                    logged.map(({ part, entries }) => [part.db.collectionName, { entries }])
+                ));
+            }
+
+            for (const { part, documents, entries, indexes, changes } of prepared) {
+                if (entries.length > 0) {
+                    await part.db.commit(documents, entries, indexes, changes);
+                }
+                if (useLog && part.db.transactionLog) {
+                    await this.db.transactionLog.markApplied(this.id, part.db.collectionName);
+                }
+            }
+
+            if (useLog) {
+                await this.db.transactionLog.finish(this.id);
+            }
+        });
+    }
+
+    // Obtém o lock de escrita de cada coleção em sequência e executa `operation`.
+    // As coleções devem vir ordenadas por `storage.key` para não haver deadlock.
+    static async withLocks(dbs, operation) {
+        if (dbs.length === 0) return operation();
+        const [first, ...rest] = dbs;
+        return first.withWriteLock(() => Transaction.withLocks(rest, operation));
+    }
+}
+
+// Visão de uma coleção dentro da transação
+class TransactionCollection {
+    constructor(db) {
+        this.db = db;
+        this.snapshot = null; // id -> documento como estava na primeira leitura
+        this.working = null; // id -> documento com as escritas da transação
+        this.reads = new Map(); // filtros consultados, revalidados no commit
+        this.writes = new Set(); // ids alterados
+        this.loading = null;
+    }
+
+    async load() {
+        if (!this.loading) {
+            this.loading = this.db.snapshot().then(documents => {
+                this.snapshot = new Map(documents.map(doc => [doc.id, doc]));
+                this.working = new Map(clone(documents).map(doc => [doc.id, doc]));
+            });
+        }
+        await this.loading;
+    }
+
+    recordRead(filter) {
+        this.reads.set(JSON.stringify(filter), filter);
+    }
+
+    async create(data) {
+        await this.load();
+        const document = this.db.buildDocument(data);
+        this.recordRead({ id: document.id });
+
+        if (this.working.has(document.id)) {
+            const error = new Error(`ID duplicado em ${this.db.collectionName}: ${document.id}`);
+            error.code = 'EDBDUPLICATE';
+            error.field = 'id';
+            error.value = document.id;
+            throw error;
+        }
+
+        this.working.set(document.id, document);
+        this.writes.add(document.id);
+        return this.db.present(document);
+    }
+
+    // Leituras com as mesmas opções do JsonDatabase (deleted, projection,
+    // includeHidden): lixeira, TTL e campos ocultos valem também na transação
+    async findById(id, options = {}) {
+        await this.load();
+        this.recordRead({ id });
+
+        const document = this.working.get(id);
+        return document && this.db.isVisible(document, options.deleted) ? this.db.present(document, options) : null;
+    }
+
+    async findOne(filter = {}, options = {}) {
+        const [document] = await this.find(filter, { ...options, limit: 1 });
+        return document || null;
+    }
+
+    async find(filter = {}, options = {}) {
+        await this.load();
+        this.recordRead(filter);
+
+        let documents = [...this.working.values()]
+            .filter(doc => this.db.isVisible(doc, options.deleted) && this.db.matchesFilter(doc, filter));
+
+        if (options.sort) {
+            documents = this.db.sortDocuments(documents, options.sort);
+        }
+        if (options.skip || options.limit) {
+            const skip = options.skip || 0;
+            const limit = options.limit || documents.length;
+            documents = documents.slice(skip, skip + limit);
+        }
+
+        return documents.map(doc => this.db.present(doc, options));
+    }
+
+    async count(filter = {}, options = {}) {
+        return (await this.find(filter, { deleted: options.deleted })).length;
+    }
+
+    // Mesma semântica de JsonDatabase.update, sobre a versão da transação
+    async update(id, updates) {
+        await this.load();
+        this.recordRead({ id });
+
+        const current = this.working.get(id);
+        if (!current || !this.db.isVisible(current)) return null;
+
+        const changes = typeof updates === 'function'
+            ? await updates(clone(current))
+            : updates;
+
+        const document = this.db.buildUpdatedDocument(current, changes);
+        this.working.set(id, document);
+        this.writes.add(id);
+        return this.db.present(document);
+    }
+
+    // Troca o documento inteiro, sem operadores e sem alterar as datas
+    // (usado pelas migrações de formato; ver shared/Migrator.js)
+    async replace(id, document) {
+        await this.load();
+        this.recordRead({ id });
+
+        if (!this.working.has(id)) return null;
+
+        const replaced = this.db.validateDocument({ ...document, id });
+        this.working.set(id, replaced);
+        this.writes.add(id);
+        return this.db.present(replaced);
+    }
+
+    // Com soft delete na coleção, marca `deletedAt` (ver JsonDatabase.delete)
+    async delete(id, options = {}) {
+        await this.load();
+        this.recordRead({ id });
+
+        const current = this.working.get(id);
+        if (!current || !this.db.isVisible(current, options.permanent ? 'include' : 'exclude')) return false;
+
+        if (this.db.softDelete && !options.permanent) {
+            this.working.set(id, this.db.buildUpdatedDocument(current, { $set: { deletedAt: new Date().toISOString() } }));
+        } else {
+            this.working.delete(id);
+        }
+        this.writes.add(id);
+        return true;
+    }
+
+    summary() {
+        const counts = { inserted: 0, updated: 0, deleted: 0 };
+        for (const id of this.writes) {
+            const before = this.snapshot.get(id);
+            const after = this.working.get(id);
+            if (before && after) {
+                if (!this.db.valuesEqual(before, after)) counts.updated++;
+            } else if (after) {
+                counts.inserted++;
+            } else if (before) {
+                counts.deleted++;
+            }
+        }
+        return counts;
+    }
+
+    // Verdadeiro se algum documento consultado pela transação mudou desde o snapshot
+    hasConflict(documents) {
+        const current = new Map(documents.map(doc => [doc.id, doc]));
+
+        for (const filter of this.reads.values()) {
+            const keys = Object.keys(filter);
+            if (keys.length === 1 && keys[0] === 'id' && typeof filter.id === 'string') {
+                if (!this.db.valuesEqual(this.snapshot.get(filter.id) || null, current.get(filter.id) || null)) {
+                    return true;
+                }
+                continue;
+            }
+            if (this.matching(this.snapshot, filter) !== this.matching(current, filter)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    matching(documents, filter) {
+        return JSON.stringify([...documents.values()]
+            .filter(doc => this.db.matchesFilter(doc, filter))
+            .sort((a, b) => (a.id < b.id ? -1 : 1)));
+    }
+
+    // Aplica as escritas da transação sobre a versão atual da coleção (lida sob
+    // o lock) e monta as entradas, índices e eventos do commit
+    async prepare(documents) {
+        const current = new Map(documents.map(doc => [doc.id, doc]));
+        const indexes = await this.db.storage.loadIndexes();
+        const changes = [];
+
+        for (const id of this.writes) {
+            const before = current.get(id) || null;
+            const after = this.working.get(id) || null;
+            if (this.db.valuesEqual(before, after)) continue;
+
+            if (!after) {
+                changes.push({ op: 'delete', id, before, after: null });
+            } else {
+                changes.push({ op: before ? 'update' : 'insert', id, before, after });
+            }
+        }
+
+        // Remover todos os valores antigos antes de inserir os novos, para que
+        // trocar valores únicos entre documentos não acuse duplicata
+        changes.forEach(change => change.before && this.db.indexDocument(indexes, change.before, null));
+        changes.forEach(change => change.after && this.db.indexDocument(indexes, null, change.after));
+
+        let result = documents;
+        const entries = changes.map(change => {
+            const entry = change.op === 'delete'
+                ? { op: 'delete', id: change.id }
+                : { op: change.op === 'insert' ? 'create' : 'update', id: change.id, document: change.after };
+            result = applyEntry(result, entry);
+            return entry;
+        });
+
+        return { documents: result, entries, indexes, changes };
+    }
+}
+
+module.exports = Transaction;
@@ -0,0 +1,176 @@
+// Formatos de exportação e importação do JsonDatabase: NDJSON (um documento
+// JSON por linha) e CSV (RFC 4180: campos entre aspas podem conter o
+// delimitador, aspas duplicadas e quebras de linha).
+
+const FORMATS = ['ndjson', 'csv'];
+
+// Formato pelo nome do arquivo quando não informado explicitamente
+function detectFormat(filePath, format) {
+    const detected = format || (/\.csv$/i.test(filePath) ? 'csv' : /\.(ndjson|jsonl)$/i.test(filePath) ? 'ndjson' : null);
+    if (!FORMATS.includes(detected)) {
+        throw new Error(`Formato desconhecido para ${filePath}: ${format || 'extensão não reconhecida'} (use ${FORMATS.join(' ou ')})`);
+    }
+    return detected;
+}
+
+// Registros do arquivo como [{ line, record }], `line` sendo a linha onde o registro começa
+function parseNdjson(text) {
+    const rows = [];
+    text.split(/\r?\n/).forEach((content, index) => {
+        if (!content.trim()) return;
+        try {
+            rows.push({ line: index + 1, record: JSON.parse(content) });
+        } catch (error) {
+            throw new Error(`JSON inválido na linha ${index + 1}: ${error.message}`);
+        }
+    });
+    return rows;
+}
+
+function formatNdjson(records) {
+    return records.map(record => JSON.stringify(record) + '\n').join('');
+}
+
+// A primeira linha é o cabeçalho. Sem `delimiter`, usa ';' se o cabeçalho
+// tiver mais ';' que ',' (planilhas em português costumam exportar assim).
+function parseCsv(text, delimiter) {
+    const content = text.replace(/^\uFEFF/, '');
+    const separator = delimiter || detectDelimiter(content);
+    const lines = [];
+
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let start = 1;
+
+    const endField = () => {
+        fields.push(field);
+        field = '';
+    };
+    const endLine = () => {
+        endField();
+        if (fields.length > 1 || fields[0] !== '') lines.push({ line: start, fields });
+        fields = [];
+    };
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === separator) {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            endLine();
+            start = ++line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error(`Aspas não fechadas no registro que começa na linha ${start}`);
+    }
+    if (field !== '' || fields.length > 0) endLine();
+
+    const [header, ...rows] = lines;
+    if (!header) return [];
+
+    const columns = header.fields.map(column => column.trim());
+    return rows.map(({ line: rowLine, fields: values }) => {
+        if (values.length > columns.length) {
+            throw new Error(`Linha ${rowLine}: ${values.length} campos para ${columns.length} colunas`);
+        }
+        const record = {};
+        columns.forEach((column, index) => {
+            record[column] = values[index] === undefined ? '' : values[index];
+        });
+        return { line: rowLine, record };
+    });
+}
+
+function detectDelimiter(content) {
+    const header = content.split(/\r?\n/, 1)[0];
+    const count = char => header.split(char).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+}
+
+function formatCsv(columns, records, delimiter = ',') {
+    const escape = value => {
+        if (value === undefined || value === null) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /["\r\n]/.test(text) || text.includes(delimiter)
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+    };
+
+    return [columns, ...records.map(record => columns.map(column => record[column]))]
+        .map(values => values.map(escape).join(delimiter) + '\n')
+        .join('');
+}
+
+// Converte o texto de uma célula CSV para o primeiro tipo de `types` que o
+// aceite; se nenhum aceitar, mantém o texto (e o schema aponta o erro)
+function coerceValue(text, types) {
+    for (const type of types) {
+        switch (type) {
+            case 'string':
+                return text;
+            case 'number':
+            case 'integer': {
+                // Aceita vírgula decimal: "4,50"
+                const normalized = /^-?\d+,\d+$/.test(text.trim()) ? text.trim().replace(',', '.') : text.trim();
+                const number = Number(normalized);
+                if (normalized !== '' && Number.isFinite(number) && (type === 'number' || Number.isInteger(number))) {
+                    return number;
+                }
+                break;
+            }
+            case 'boolean': {
+                const lower = text.trim().toLowerCase();
+                if (['true', '1', 'sim'].includes(lower)) return true;
+                if (['false', '0', 'não', 'nao'].includes(lower)) return false;
+                break;
+            }
+            case 'object':
+            case 'array':
+                try {
+                    const value = JSON.parse(text);
+                    if (type === 'array' ? Array.isArray(value) : value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                        return value;
+                    }
+                } catch (error) {
+                    // Não é JSON: tentar o próximo tipo
+                }
+                break;
+            case 'null':
+                if (text.trim().toLowerCase() === 'null') return null;
+                break;
+            default:
+                break;
+        }
+    }
+    return text;
+}
+
+module.exports = {
+    FORMATS,
+    detectFormat,
+    parseNdjson,
+    formatNdjson,
+    parseCsv,
+    formatCsv,
+    coerceValue
+};
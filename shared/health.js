@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// Contrato de saúde comum aos serviços. Cada serviço monta três endpoints:
+//   GET /health/live  - o processo responde (200 sempre)
+//   GET /health/ready - pode receber tráfego: 200 se 'up' ou 'degraded', 503 se 'down'
+//   GET /health       - relatório completo com cada dependência (503 se 'down')
+//
+// Estados: 'up', 'degraded' (funciona, mas uma dependência não crítica falhou)
+// e 'down' (uma dependência crítica falhou). O relatório tem o formato
+// { service, version, status, timestamp, uptime, checks: { nome: { status,
+// critical, latency, ...detalhes | error } } }.
+
+const STATUSES = ['up', 'degraded', 'down'];
+
+// Tempo máximo de cada verificação: uma dependência lenta conta como fora do ar
+const CHECK_TIMEOUT = 2000;
+
+// Relatórios podem rodar ao mesmo tempo: cada teste de escrita usa um arquivo próprio
+let probeSequence = 0;
+
+// Estado do conjunto: crítica 'down' derruba, qualquer outra falha degrada
+function rollup(entries) {
+    if (entries.some(entry => entry.status === 'down' && entry.critical !== false)) return 'down';
+    if (entries.some(entry => entry.status !== 'up')) return 'degraded';
+    return 'up';
+}
+
+function withTimeout(promise, timeout, name) {
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${name} não respondeu em ${timeout}ms`)), timeout);
+    });
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+class HealthCheck {
+    constructor(service, options = {}) {
+        this.service = service;
+        this.version = options.version || null;
+        this.timeout = options.timeout || CHECK_TIMEOUT;
+        this.checks = new Map();
+    }
+
+    // `check` (async) devolve os detalhes do relatório ou lança erro (dependência
+    // 'down'); detalhes com `status: 'degraded'` marcam a dependência como degradada.
+    // Dependências com `critical: false` só degradam o serviço.
+    addCheck(name, check, { critical = true } = {}) {
+        this.checks.set(name, { check, critical });
+        return this;
+    }
+
+    async report() {
+        const checks = {};
+        await Promise.all([...this.checks].map(async ([name, { check, critical }]) => {
+            const started = Date.now();
+            try {
+                const { status = 'up', ...details } = (await withTimeout(Promise.resolve().then(check), this.timeout, name)) || {};
+                checks[name] = { status, critical, latency: Date.now() - started, ...details };
+            } catch (error) {
+                checks[name] = { status: 'down', critical, latency: Date.now() - started, error: error.message };
+            }
+        }));
+
+        return {
+            service: this.service,
+            version: this.version,
+            status: rollup(Object.values(checks)),
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            checks
+        };
+    }
+
+    // Verificação do heartbeat no registry: lança erro se o serviço está 'down'
+    async assertReady() {
+        const report = await this.report();
+        if (report.status === 'down') {
+            const failed = Object.keys(report.checks)
+                .filter(name => report.checks[name].status === 'down' && report.checks[name].critical);
+            throw new Error(`${this.service} fora do ar: ${failed.join(', ')}`);
+        }
+        return report;
+    }
+
+    live(req, res) {
+        res.json({ service: this.service, status: 'up', timestamp: new Date().toISOString() });
+    }
+
+    async ready(req, res) {
+        const report = await this.report();
+        res.status(report.status === 'down' ? 503 : 200).json({
+            service: this.service,
+            status: report.status,
+            ready: report.status !== 'down',
+            timestamp: report.timestamp
+        });
+    }
+
+    async full(req, res) {
+        const report = await this.report();
+        res.status(report.status === 'down' ? 503 : 200).json(report);
+    }
+
+    // Monta os três endpoints (antes do handler de 404)
+    mount(app) {
+        app.get('/health/live', (req, res) => this.live(req, res));
+        app.get('/health/ready', (req, res) => this.ready(req, res));
+        app.get('/health', (req, res) => this.full(req, res));
+        return this;
+    }
+}
+
+// Banco legível (contagem, incluindo a lixeira) e gravável (arquivo de teste
+// no diretório do banco; o engine em memória não grava em disco)
+function databaseCheck(db) {
+    return async () => {
+        await db.ready;
+        const documents = await db.count({}, { deleted: 'include' });
+
+        const engine = db.storage.engine;
+        if (engine !== 'memory') {
+            const probe = path.join(db.dbPath, `.health-${db.collectionName}-${process.pid}-${++probeSequence}`);
+            await fs.promises.writeFile(probe, new Date().toISOString());
+            await fs.promises.unlink(probe);
+        }
+        return { engine, documents };
+    };
+}
+
+// Serviço de que este depende: alguma instância disponível no registry
+// respondendo em /health/live. Parte delas fora do ar degrada a dependência.
+function serviceCheck(registry, serviceName, options = {}) {
+    const timeout = options.timeout || CHECK_TIMEOUT;
+
+    return async () => {
+        const available = registry.getInstances(serviceName).filter(instance => registry.isAvailable(instance));
+        if (available.length === 0) {
+            throw new Error(`Nenhuma instância disponível de ${serviceName}`);
+        }
+
+        const results = await Promise.allSettled(available.map(instance =>
+            axios.get(`${instance.url}/health/live`, { timeout })));
+        const reachable = results.filter(result => result.status === 'fulfilled').length;
+        if (reachable === 0) {
+            throw new Error(`${serviceName} não respondeu: ${results[0].reason.message}`);
+        }
+
+        return {
+            status: reachable < available.length ? 'degraded' : 'up',
+            instances: available.length,
+            reachable
+        };
+    };
+}
+
+module.exports = {
+    STATUSES,
+    CHECK_TIMEOUT,
+    HealthCheck,
+    rollup,
+    databaseCheck,
+    serviceCheck
+};
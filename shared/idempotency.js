@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+
+// Idempotency-Key nos POST dos serviços. Um cliente que repete a requisição
+// (ex. depois de perder a conexão) manda o mesmo header `Idempotency-Key`:
+//   - a primeira resposta fica guardada por chave e usuário por `ttl` e é
+//     devolvida de novo nas repetições, com o header `Idempotent-Replayed: true`
+//   - a mesma chave com outro método, caminho ou corpo é recusada (422)
+//   - a repetição que chega enquanto a primeira ainda está em andamento recebe 409
+// Respostas 5xx não são guardadas: a chave fica livre para uma nova tentativa.
+// Os registros ficam numa coleção do JsonDatabase (sobrevivem a reinícios) e
+// vencem pelo `expiresAt`; use a coleção com `ttlSweepInterval`.
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+// Tempo que a primeira resposta fica guardada
+const IDEMPOTENCY_TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const IDEMPOTENCY_TTL = IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000;
+
+// Uma requisição em andamento reserva a chave por este tempo; se o processo
+// cair antes de responder, a chave volta a ficar livre depois dele
+const PENDING_TIMEOUT = 60 * 1000;
+
+const MAX_KEY_LENGTH = 255;
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+// JSON com as chaves dos objetos em ordem: o mesmo corpo gera sempre o mesmo texto
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// Identifica a requisição: método, caminho (sem a query) e corpo
+function requestFingerprint(req) {
+    return sha256(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`);
+}
+
+// Middleware para as rotas POST. `store` é a coleção dos registros e
+// `options.scope(req)` o dono da chave (padrão: req.userId, definido pela
+// autenticação do serviço; sem ele as chaves são compartilhadas). Requisições
+// sem o header seguem normalmente.
+function idempotency(store, options = {}) {
+    const ttl = options.ttl || IDEMPOTENCY_TTL;
+    const scope = options.scope || (req => req.userId || null);
+
+    // Reserva a chave; devolve null se a reserva foi feita ou o registro que já existia
+    async function reserve(id, record) {
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const existing = await store.findById(id);
+            if (existing) return existing;
+
+            try {
+                await store.bulkWrite([{ insertOne: { document: record } }]);
+                return null;
+            } catch (error) {
+                const [result] = (error.result && error.result.results) || [];
+                if (!result || !result.error || result.error.code !== 'EDBDUPLICATE') throw error;
+                // Outra requisição reservou a chave agora, ou o registro venceu
+                // e ainda não foi removido pela varredura
+                if (!(await store.findById(id))) await store.purgeExpired();
+            }
+        }
+        const error = new Error(`Não foi possível reservar a chave de idempotência ${record.key}`);
+        error.code = 'EIDEMPOTENCY';
+        throw error;
+    }
+
+    return async (req, res, next) => {
+        const key = req.get(IDEMPOTENCY_HEADER);
+        if (key === undefined) return next();
+
+        if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({
+                error: `${IDEMPOTENCY_HEADER} deve ter entre 1 e ${MAX_KEY_LENGTH} caracteres`
+            });
+        }
+
+        const userId = scope(req);
+        const id = sha256(`${userId || ''}:${key}`);
+        const fingerprint = requestFingerprint(req);
+
+        let existing;
+        try {
+            existing = await reserve(id, {
+                id,
+                key,
+                userId,
+                fingerprint,
+                status: 'pending',
+                createdAt: new Date().toISOString(),
+                expiresAt: new Date(Date.now() + PENDING_TIMEOUT).toISOString()
+            });
+        } catch (error) {
+            console.error('Erro ao reservar chave de idempotência:', error);
+            return res.status(500).json({ error: 'Erro interno do servidor' });
+        }
+
+        if (existing) {
+            if (existing.fingerprint !== fingerprint) {
+                return res.status(422).json({
+                    error: `${IDEMPOTENCY_HEADER} já usada em outra requisição`
+                });
+            }
+            if (existing.status === 'pending') {
+                res.set('Retry-After', '1');
+                return res.status(409).json({
+                    error: `Requisição com esta ${IDEMPOTENCY_HEADER} ainda em andamento`
+                });
+            }
+            res.set(REPLAYED_HEADER, 'true');
+            return res.status(existing.response.statusCode).json(existing.response.body);
+        }
+
+        // Guarda a resposta antes de enviá-la: uma repetição que chegue depois
+        // dela já encontra o registro concluído
+        const json = res.json.bind(res);
+        res.json = body => {
+            res.json = json;
+            const saved = res.statusCode >= 500
+                ? store.delete(id)
+                : store.update(id, {
+                    status: 'completed',
+                    response: { statusCode: res.statusCode, body },
+                    expiresAt: new Date(Date.now() + ttl).toISOString()
+                });
+
+            saved.catch(error => {
+                console.error('Erro ao gravar resposta idempotente:', error);
+                return store.delete(id).catch(() => {});
+            }).then(() => json(body));
+            return res;
+        };
+
+        next();
+    };
+}
+
+module.exports = {
+    IDEMPOTENCY_HEADER,
+    REPLAYED_HEADER,
+    IDEMPOTENCY_TTL,
+    idempotency
+};
@@ -0,0 +1,59 @@
+const fs = require('fs');
+
+const ServiceRegistry = require('./ServiceRegistry');
+
+// Registry num arquivo JSON, compartilhado pelos processos da máquina
+// (desenvolvimento local). Cada leitura relê o arquivo, então as alterações
+// de outros processos são vistas na hora.
+class FileBasedServiceRegistry extends ServiceRegistry {
+    constructor(registryFile) {
+        super();
+        this.backend = 'file';
+        this.registryFile = registryFile;
+        this.ensureRegistryFile();
+        console.log('File-based Service Registry inicializado:', this.registryFile);
+    }
+
+    ensureRegistryFile() {
+        if (!fs.existsSync(this.registryFile)) {
+            this.writeRegistry({});
+        }
+    }
+
+    readRegistry() {
+        try {
+            const data = fs.readFileSync(this.registryFile, 'utf8');
+            return this.normalizeRegistry(JSON.parse(data));
+        } catch (error) {
+            console.error('Erro ao ler registry file:', error.message);
+            return {};
+        }
+    }
+
+    // Entradas do formato antigo (uma por serviço, com `url`) viram uma instância
+    normalizeRegistry(services) {
+        const normalized = {};
+        Object.entries(services).forEach(([name, entry]) => {
+            if (typeof entry.url === 'string') {
+                const instanceId = this.instanceIdFor(name, entry.url);
+                normalized[name] = { [instanceId]: { ...entry, instanceId } };
+            } else {
+                normalized[name] = entry;
+            }
+        });
+        return normalized;
+    }
+
+    // Arquivo temporário + rename: outro processo nunca lê o registry pela metade
+    writeRegistry(services) {
+        const tempFile = `${this.registryFile}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(tempFile, JSON.stringify(services, null, 2));
+            fs.renameSync(tempFile, this.registryFile);
+        } catch (error) {
+            console.error('Erro ao escrever registry file:', error.message);
+        }
+    }
+}
+
+module.exports = FileBasedServiceRegistry;
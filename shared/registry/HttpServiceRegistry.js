@@ -0,0 +1,269 @@
+const http = require('http');
+const https = require('https');
+
+const ServiceRegistry = require('./ServiceRegistry');
+
+// Tempo que o servidor pode segurar um watch sem mudanças
+const WATCH_WAIT = 30000;
+
+// Espera entre tentativas quando o servidor de registry não responde
+const RETRY_DELAY = 2000;
+
+// Limite das demais requisições e da espera pela primeira leitura (ready)
+const REQUEST_TIMEOUT = 5000;
+
+// Header do token compartilhado com o servidor de registry
+const TOKEN_HEADER = 'X-Registry-Token';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms).unref());
+
+// Cliente do servidor de registry (service-registry/). As leituras
+// (discover, listServices, getStats...) usam um cache local atualizado por um
+// watch (long-poll em GET /services?index=N), então nenhuma requisição do
+// gateway consulta o servidor. As alterações são enviadas ao servidor e
+// retornam promises, exceto register(), que devolve o instanceId na hora: se o
+// registro falhar, o heartbeat recebe 404 e registra de novo. Erros de rede
+// são registrados no log e não rejeitam essas promises. Toda requisição leva
+// o token compartilhado com o servidor (REGISTRY_TOKEN) no header X-Registry-Token.
+class HttpServiceRegistry extends ServiceRegistry {
+    constructor(url, token) {
+        super();
+        if (!token) {
+            throw new Error('Defina REGISTRY_TOKEN para usar o servidor de registry');
+        }
+        this.backend = 'http';
+        this.url = url.replace(/\/+$/, '');
+        this.token = token;
+        this.services = {};
+        this.index = 0;
+        this.clockOffset = 0; // hora do servidor - hora local
+        this.synced = false;
+        this.connected = false; // último watch respondeu
+        this.stopped = false;
+
+        // O timer segura o processo até a primeira leitura (o watch não segura)
+        this.ready = new Promise(resolve => {
+            const timer = setTimeout(() => {
+                console.warn(`Registry ${this.url} não respondeu, seguindo sem instâncias conhecidas`);
+                resolve();
+            }, REQUEST_TIMEOUT);
+            this.markReady = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+
+        this.watch();
+        console.log('HTTP Service Registry:', this.url);
+    }
+
+    // Leases e health checks usam a hora do servidor
+    now() {
+        return Date.now() + this.clockOffset;
+    }
+
+    readRegistry() {
+        return this.services;
+    }
+
+    writeRegistry() {
+        throw new Error('O registry HTTP só é alterado pelo servidor');
+    }
+
+    // Mantém o cache em dia: o servidor responde quando o índice mudar
+    async watch() {
+        let failing = false;
+
+        while (!this.stopped) {
+            try {
+                const snapshot = await this.request('GET', `/services?index=${this.index}&wait=${WATCH_WAIT}`, undefined, {
+                    timeout: WATCH_WAIT + REQUEST_TIMEOUT,
+                    background: true
+                });
+                this.applySnapshot(snapshot);
+                this.connected = true;
+
+                if (failing) {
+                    console.log(`Registry ${this.url}: conexão restabelecida`);
+                    failing = false;
+                }
+            } catch (error) {
+                this.connected = false;
+                if (!failing) {
+                    console.error(`Registry ${this.url}: erro no watch, tentando de novo:`, error.message);
+                    failing = true;
+                }
+                await delay(RETRY_DELAY);
+            }
+        }
+    }
+
+    applySnapshot({ index, time, services }) {
+        this.services = services;
+        this.index = index;
+        this.clockOffset = time - Date.now();
+
+        if (!this.synced) {
+            this.synced = true;
+            this.markReady();
+        }
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+
+    register(serviceName, serviceInfo) {
+        const instanceId = serviceInfo.instanceId || this.instanceIdFor(serviceName, serviceInfo.url);
+        ServiceRegistry.validateInstance(serviceName, instanceId);
+        if (serviceInfo.leaseTtl !== 0) {
+            this.localInstances.set(instanceId, { serviceName, serviceInfo });
+        }
+
+        // O TTL vai explícito: o heartbeat deste processo é calculado sobre ele
+        this.send('POST', this.instancesPath(serviceName), {
+            leaseTtl: ServiceRegistry.LEASE_TTL,
+            ...serviceInfo,
+            instanceId,
+            pid: process.pid
+        })
+            .then(instance => {
+                if (instance) {
+                    console.log(`Serviço registrado: ${serviceName} - ${serviceInfo.url} (instância ${instanceId}, PID: ${process.pid})`);
+                }
+            });
+        return instanceId;
+    }
+
+    async unregister(serviceName, instanceId) {
+        const cached = Object.values(this.instancesOf(this.services, serviceName) || {})
+            .filter(instance => instance.pid === process.pid)
+            .map(instance => instance.instanceId);
+        const local = [...this.localInstances]
+            .filter(([, entry]) => entry.serviceName === serviceName)
+            .map(([id]) => id);
+        const ids = instanceId ? [instanceId] : [...new Set([...cached, ...local])];
+
+        const results = await Promise.all(ids.map(id => {
+            this.localInstances.delete(id);
+            return this.send('DELETE', this.instancesPath(serviceName, id));
+        }));
+        const removed = results.some(result => result !== null);
+        if (removed) {
+            console.log(`Serviço removido: ${serviceName} (${ids.join(', ')})`);
+        }
+        return removed;
+    }
+
+    async updateHealth(serviceName, instanceId, healthy) {
+        const instance = await this.send('PUT', `${this.instancesPath(serviceName, instanceId)}/health`, { healthy });
+        if (instance) {
+            console.log(`Health check: ${serviceName} (${instanceId}) - ${healthy ? 'OK' : 'FAIL'}`);
+        }
+        return Boolean(instance);
+    }
+
+    async recordCheck(serviceName, instanceId, passed) {
+        return Boolean(await this.send('POST', `${this.instancesPath(serviceName, instanceId)}/checks`, { passed }));
+    }
+
+    async renewLease(serviceName, instanceId, passed = true) {
+        const local = this.localInstances.get(instanceId);
+        const instance = await this.send('PUT', `${this.instancesPath(serviceName, instanceId)}/heartbeat`, { passed });
+
+        if ((instance === null || (instance && !instance.lease)) && local) {
+            console.warn(`Lease de ${instanceId} ausente no registry, registrando de novo`);
+            this.register(local.serviceName, local.serviceInfo);
+            return true;
+        }
+        return Boolean(instance);
+    }
+
+    // A varredura dos leases é feita pelo servidor
+    sweepLeases() {
+        return [];
+    }
+
+    async clear() {
+        await this.send('DELETE', '/services');
+        console.log('Registry limpo');
+    }
+
+    // Remove as instâncias registradas por este processo
+    async cleanup() {
+        const entries = [...this.localInstances];
+        this.localInstances.clear();
+        this.stop();
+
+        await Promise.all(entries.map(([instanceId, { serviceName }]) => {
+            console.log(`Removendo serviço ${serviceName} (${instanceId}) do PID ${process.pid}`);
+            return this.send('DELETE', this.instancesPath(serviceName, instanceId));
+        }));
+    }
+
+    instancesPath(serviceName, instanceId) {
+        const base = `/services/${encodeURIComponent(serviceName)}/instances`;
+        return instanceId ? `${base}/${encodeURIComponent(instanceId)}` : base;
+    }
+
+    // Requisição de alteração: devolve o corpo, null se a instância não
+    // existe (404) ou undefined se o servidor não pôde ser alcançado
+    async send(method, path, body) {
+        try {
+            return await this.request(method, path, body);
+        } catch (error) {
+            if (error.status === 404) return null;
+            console.error(`Erro no registry (${method} ${path}):`, error.message);
+            return undefined;
+        }
+    }
+
+    // `options.background`: conexão própria que não segura o processo aberto (watch)
+    request(method, path, body, options = {}) {
+        const target = new URL(`${this.url}${path}`);
+        const transport = target.protocol === 'https:' ? https : http;
+        const payload = body === undefined ? undefined : JSON.stringify(body);
+        const timeout = options.timeout || REQUEST_TIMEOUT;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(target, {
+                method,
+                timeout,
+                agent: options.background ? false : undefined,
+                headers: payload === undefined ? { [TOKEN_HEADER]: this.token } : {
+                    [TOKEN_HEADER]: this.token,
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(payload)
+                }
+            }, res => {
+                let data = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => { data += chunk; });
+                res.on('end', () => {
+                    let parsed = null;
+                    try {
+                        parsed = data ? JSON.parse(data) : null;
+                    } catch (error) {
+                        return reject(new Error(`Resposta inválida do registry: ${error.message}`));
+                    }
+
+                    if (res.statusCode >= 400) {
+                        const error = new Error((parsed && parsed.message) || `Registry respondeu ${res.statusCode}`);
+                        error.status = res.statusCode;
+                        return reject(error);
+                    }
+                    resolve(parsed);
+                });
+            });
+
+            req.on('timeout', () => req.destroy(new Error(`Registry não respondeu em ${timeout}ms`)));
+            req.on('error', reject);
+            if (options.background) {
+                req.on('socket', socket => socket.unref());
+            }
+            req.end(payload);
+        });
+    }
+}
+
+module.exports = HttpServiceRegistry;
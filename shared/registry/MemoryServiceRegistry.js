@@ -0,0 +1,35 @@
+const ServiceRegistry = require('./ServiceRegistry');
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+// Registry em memória, usado pelo servidor de registry (service-registry/).
+// Cada escrita incrementa `index`, que os clientes usam para esperar por
+// mudanças (watch), e avisa os ouvintes de subscribe().
+class MemoryServiceRegistry extends ServiceRegistry {
+    constructor() {
+        super();
+        this.backend = 'memory';
+        this.services = {};
+        this.index = 1;
+        this.listeners = new Set();
+    }
+
+    // Cópia: as alterações só valem depois de writeRegistry()
+    readRegistry() {
+        return clone(this.services);
+    }
+
+    writeRegistry(services) {
+        this.services = services;
+        this.index++;
+        this.listeners.forEach(listener => listener(this.index));
+    }
+
+    // Ouvinte chamado a cada escrita; retorna a função que cancela a inscrição
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+module.exports = MemoryServiceRegistry;
@@ -0,0 +1,594 @@
+const crypto = require('crypto');
+
+// Estratégias de balanceamento aceitas por discover()
+const STRATEGIES = ['round-robin', 'random', 'least-outstanding', 'consistent-hash'];
+
+// Pontos de cada instância no anel de hash consistente
+const HASH_RING_REPLICAS = 100;
+
+// Lease padrão de cada instância: ela renova a cada LEASE_TTL / 3 (startHeartbeat)
+const LEASE_TTL = parseInt(process.env.REGISTRY_LEASE_TTL, 10) || 30000;
+
+// Instância com lease vencido há este número de TTLs é removida do registry
+const EVICT_AFTER_TTLS = 3;
+
+// Verificações seguidas para mudar de estado, evitando que a instância oscile
+const HEALTHY_THRESHOLD = 2;
+const UNHEALTHY_THRESHOLD = 3;
+
+// Nomes de serviço aceitos no registry
+const SERVICE_NAME_PATTERN = /^[a-z0-9-]+$/;
+
+// Chaves que, num objeto comum, alcançariam o protótipo
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+const hash32 = value => crypto.createHash('md5').update(String(value)).digest().readUInt32BE(0);
+
+// Base dos backends do registry (ver ./index.js). Guarda, por serviço, as
+// instâncias identificadas por instanceId: { servico: { instanceId: { url,
+// version, tags, healthy, lease, pid, ... } } }. O balanceamento é feito no
+// cliente: discover() escolhe uma instância saudável a cada chamada.
+//
+// Cada instância tem um lease que ela renova periodicamente (startHeartbeat).
+// Lease vencido (processo morto, ex. kill -9) tira a instância de discover()
+// e, depois de EVICT_AFTER_TTLS TTLs, do registry. Já `healthy` só muda depois
+// de HEALTHY_THRESHOLD/UNHEALTHY_THRESHOLD verificações seguidas (recordCheck).
+// Instâncias registradas por terceiros com `leaseTtl: 0` são estáticas.
+//
+// Os backends implementam readRegistry() e writeRegistry(services); as
+// alterações abaixo são leitura-alteração-escrita sobre esse mapa.
+class ServiceRegistry {
+    constructor() {
+        this.backend = 'base';
+        this.ready = Promise.resolve();
+        this.roundRobin = new Map(); // servico -> contador do rodízio
+        this.outstanding = new Map(); // instanceId -> requisições em andamento neste processo
+        this.hashRings = new Map(); // instâncias do anel -> anel ordenado
+        this.localInstances = new Map(); // instanceId -> registro feito por este processo
+    }
+
+    readRegistry() {
+        throw new Error(`${this.constructor.name} precisa implementar readRegistry()`);
+    }
+
+    writeRegistry() {
+        throw new Error(`${this.constructor.name} precisa implementar writeRegistry(services)`);
+    }
+
+    // Relógio usado nos leases (o backend HTTP corrige pela hora do servidor)
+    now() {
+        return Date.now();
+    }
+
+    // Id padrão: reiniciar uma instância na mesma URL substitui a entrada antiga
+    instanceIdFor(serviceName, url) {
+        return `${serviceName}@${url}`;
+    }
+
+    // Lança erro (code EINVALIDSERVICE) se o nome do serviço não casar com
+    // SERVICE_NAME_PATTERN ou o instanceId não for uma string utilizável
+    static validateInstance(serviceName, instanceId) {
+        let message = null;
+        if (typeof serviceName !== 'string' || !SERVICE_NAME_PATTERN.test(serviceName) || FORBIDDEN_KEYS.includes(serviceName)) {
+            message = `Nome de serviço inválido: ${serviceName} (use letras minúsculas, números e -)`;
+        } else if (instanceId !== undefined &&
+            (typeof instanceId !== 'string' || !instanceId || FORBIDDEN_KEYS.includes(instanceId))) {
+            message = `instanceId inválido: ${instanceId}`;
+        }
+        if (message) {
+            const error = new Error(message);
+            error.code = 'EINVALIDSERVICE';
+            throw error;
+        }
+    }
+
+    // Instâncias do serviço no mapa lido do backend (só propriedades próprias)
+    instancesOf(services, serviceName) {
+        return hasOwn(services, serviceName) ? services[serviceName] : null;
+    }
+
+    instanceOf(services, serviceName, instanceId) {
+        const instances = this.instancesOf(services, serviceName);
+        return instances && hasOwn(instances, instanceId) ? instances[instanceId] : null;
+    }
+
+    // Registrar uma instância do serviço (`serviceInfo.instanceId` é opcional).
+    // `serviceInfo.version` e `serviceInfo.tags` são usados no roteamento por
+    // versão do gateway. `serviceInfo.leaseTtl` (ms) troca o TTL do lease; 0
+    // registra uma entrada estática, sem lease. Retorna o instanceId.
+    register(serviceName, serviceInfo) {
+        const instance = this.putInstance(serviceName, serviceInfo);
+        if (instance.lease) {
+            this.localInstances.set(instance.instanceId, { serviceName, serviceInfo });
+        }
+        console.log(`Serviço registrado: ${serviceName} - ${instance.url} (instância ${instance.instanceId}, PID: ${process.pid})`);
+        return instance.instanceId;
+    }
+
+    // Grava a entrada da instância, sem associá-la a este processo
+    putInstance(serviceName, serviceInfo) {
+        const services = this.readRegistry();
+        const { leaseTtl = LEASE_TTL, ...info } = serviceInfo;
+        const instanceId = info.instanceId || this.instanceIdFor(serviceName, info.url);
+        ServiceRegistry.validateInstance(serviceName, instanceId);
+        const now = this.now();
+
+        if (!this.instancesOf(services, serviceName)) {
+            services[serviceName] = Object.create(null);
+        }
+        services[serviceName][instanceId] = {
+            ...info,
+            instanceId,
+            registeredAt: now,
+            lastHealthCheck: now,
+            healthy: true,
+            consecutiveSuccesses: 0,
+            consecutiveFailures: 0,
+            lease: leaseTtl > 0 ? { ttl: leaseTtl, renewedAt: now, expiresAt: now + leaseTtl } : null,
+            pid: info.pid || process.pid
+        };
+
+        this.writeRegistry(services);
+        return services[serviceName][instanceId];
+    }
+
+    // Instâncias registradas do serviço, em ordem de instanceId
+    getInstances(serviceName) {
+        const services = this.readRegistry();
+        return Object.values(this.instancesOf(services, serviceName) || {})
+            .sort((a, b) => (a.instanceId < b.instanceId ? -1 : 1));
+    }
+
+    // Descobrir um serviço: escolhe uma instância saudável. `options.strategy`:
+    // 'round-robin' (padrão), 'random', 'least-outstanding' (menos requisições
+    // em andamento neste processo, ver trackRequest) ou 'consistent-hash' (a
+    // mesma instância para o mesmo `options.key` enquanto ela estiver no ar).
+    // `options.version` e `options.tags` restringem as instâncias candidatas e
+    // `options.exclude` lista instanceIds a evitar, ex. as que acabaram de falhar.
+    discover(serviceName, options = {}) {
+        const strategy = options.strategy || 'round-robin';
+        if (!STRATEGIES.includes(strategy)) {
+            throw new Error(`Estratégia de balanceamento desconhecida: ${strategy} (use ${STRATEGIES.join(', ')})`);
+        }
+
+        const instances = this.getInstances(serviceName);
+        if (instances.length === 0) {
+            console.error(`Serviço não encontrado: ${serviceName}`);
+            const error = new Error(`Serviço não encontrado: ${serviceName}`);
+            error.code = 'ESERVICENOTFOUND';
+            throw error;
+        }
+
+        const exclude = new Set(options.exclude || []);
+        const now = this.now();
+        const candidates = instances.filter(instance => this.isAvailable(instance, now) &&
+            this.matchesLabels(instance, options) && !exclude.has(instance.instanceId));
+        if (candidates.length === 0) {
+            const labels = this.describeLabels(options);
+            console.error(`Serviço indisponível: ${serviceName}${labels}`);
+            const error = new Error(`Serviço indisponível: ${serviceName}${labels}`);
+            error.code = 'ESERVICEUNAVAILABLE';
+            throw error;
+        }
+
+        const service = this.pickInstance(serviceName, candidates, strategy, options.key);
+        console.log(`Serviço encontrado: ${serviceName} - ${service.url} (${strategy}, ${candidates.length}/${instances.length} instância(s) disponível(is))`);
+        return service;
+    }
+
+    matchesLabels(instance, { version, tags } = {}) {
+        if (version && instance.version !== version) return false;
+        return (tags || []).every(tag => (instance.tags || []).includes(tag));
+    }
+
+    describeLabels({ version, tags } = {}) {
+        const labels = [];
+        if (version) labels.push(`versão ${version}`);
+        if (tags && tags.length > 0) labels.push(`tags ${tags.join(', ')}`);
+        return labels.length > 0 ? ` (${labels.join(', ')})` : '';
+    }
+
+    // 'static' (sem lease), 'active' ou 'expired'
+    leaseState(instance, now = this.now()) {
+        if (!instance.lease) return 'static';
+        return now < instance.lease.expiresAt ? 'active' : 'expired';
+    }
+
+    isAvailable(instance, now = this.now()) {
+        return instance.healthy && this.leaseState(instance, now) !== 'expired';
+    }
+
+    pickInstance(serviceName, candidates, strategy, key) {
+        switch (strategy) {
+            case 'random':
+                return candidates[Math.floor(Math.random() * candidates.length)];
+            case 'least-outstanding': {
+                // Empates são resolvidos em rodízio, para não concentrar tudo na primeira
+                const fewest = Math.min(...candidates.map(instance => this.outstandingRequests(instance.instanceId)));
+                return this.nextInRotation(serviceName,
+                    candidates.filter(instance => this.outstandingRequests(instance.instanceId) === fewest));
+            }
+            case 'consistent-hash':
+                return key === undefined || key === null
+                    ? this.nextInRotation(serviceName, candidates)
+                    : this.hashRingLookup(candidates, key);
+            default:
+                return this.nextInRotation(serviceName, candidates);
+        }
+    }
+
+    nextInRotation(serviceName, candidates) {
+        const counter = this.roundRobin.get(serviceName) || 0;
+        this.roundRobin.set(serviceName, counter + 1);
+        return candidates[counter % candidates.length];
+    }
+
+    // Anel com HASH_RING_REPLICAS pontos por instância: quando uma instância
+    // entra ou sai, só as chaves que caíam nela mudam de instância
+    hashRingLookup(candidates, key) {
+        const ringKey = candidates.map(instance => instance.instanceId).join('|');
+        if (!this.hashRings.has(ringKey)) {
+            const points = candidates
+                .flatMap(instance => Array.from({ length: HASH_RING_REPLICAS }, (_, replica) => ({
+                    point: hash32(`${instance.instanceId}#${replica}`),
+                    instanceId: instance.instanceId
+                })))
+                .sort((a, b) => a.point - b.point);
+            this.hashRings.clear(); // Só o anel das instâncias atuais interessa
+            this.hashRings.set(ringKey, points);
+        }
+
+        const ring = this.hashRings.get(ringKey);
+        const target = hash32(key);
+
+        // Primeiro ponto do anel >= hash da chave (busca binária), voltando ao início
+        let low = 0;
+        let high = ring.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (ring[middle].point < target) low = middle + 1; else high = middle;
+        }
+        const { instanceId } = ring[low % ring.length];
+        return candidates.find(instance => instance.instanceId === instanceId);
+    }
+
+    // Conta uma requisição em andamento para a instância (usado por
+    // 'least-outstanding'). Retorna a função que encerra a contagem.
+    trackRequest(instanceId) {
+        this.outstanding.set(instanceId, this.outstandingRequests(instanceId) + 1);
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+
+            const remaining = this.outstandingRequests(instanceId) - 1;
+            if (remaining > 0) {
+                this.outstanding.set(instanceId, remaining);
+            } else {
+                this.outstanding.delete(instanceId);
+            }
+        };
+    }
+
+    outstandingRequests(instanceId) {
+        return this.outstanding.get(instanceId) || 0;
+    }
+
+    // Listar todos os serviços com suas instâncias
+    listServices() {
+        const services = this.readRegistry();
+        const serviceList = {};
+        const now = this.now();
+
+        Object.entries(services).forEach(([name, instances]) => {
+            const list = Object.values(instances).map(service => ({
+                instanceId: service.instanceId,
+                url: service.url,
+                version: service.version || null,
+                tags: service.tags || [],
+                healthy: service.healthy,
+                available: this.isAvailable(service, now),
+                registeredAt: new Date(service.registeredAt).toISOString(),
+                uptime: now - service.registeredAt,
+                pid: service.pid,
+                outstanding: this.outstandingRequests(service.instanceId),
+                lease: service.lease ? {
+                    state: this.leaseState(service, now),
+                    ttl: service.lease.ttl,
+                    renewedAt: new Date(service.lease.renewedAt).toISOString(),
+                    expiresAt: new Date(service.lease.expiresAt).toISOString(),
+                    expiresIn: service.lease.expiresAt - now
+                } : { state: 'static' },
+                checks: {
+                    lastCheck: new Date(service.lastHealthCheck).toISOString(),
+                    consecutiveSuccesses: service.consecutiveSuccesses || 0,
+                    consecutiveFailures: service.consecutiveFailures || 0
+                }
+            }));
+
+            serviceList[name] = {
+                healthy: list.some(instance => instance.available),
+                instances: list
+            };
+        });
+
+        return serviceList;
+    }
+
+    // Remover uma instância ou, sem instanceId, as instâncias do serviço
+    // registradas por este processo
+    unregister(serviceName, instanceId) {
+        const services = this.readRegistry();
+        const instances = this.instancesOf(services, serviceName);
+        if (!instances) return false;
+
+        const ids = instanceId
+            ? [instanceId].filter(id => hasOwn(instances, id))
+            : Object.keys(instances).filter(id => instances[id].pid === process.pid);
+        if (ids.length === 0) return false;
+
+        ids.forEach(id => {
+            delete instances[id];
+            this.localInstances.delete(id);
+        });
+        if (Object.keys(instances).length === 0) {
+            delete services[serviceName];
+        }
+
+        this.writeRegistry(services);
+        console.log(`Serviço removido: ${serviceName} (${ids.join(', ')})`);
+        return true;
+    }
+
+    // Define o estado da instância na hora, sem esperar os limiares (ex. conexão
+    // recusada: não há dúvida de que ela está fora do ar)
+    updateHealth(serviceName, instanceId, healthy) {
+        const services = this.readRegistry();
+        const instance = this.instanceOf(services, serviceName, instanceId);
+        if (instance) {
+            instance.healthy = healthy;
+            instance.lastHealthCheck = this.now();
+            instance.consecutiveSuccesses = 0;
+            instance.consecutiveFailures = 0;
+            this.writeRegistry(services);
+            const status = healthy ? 'OK' : 'FAIL';
+            console.log(`Health check: ${serviceName} (${instanceId}) - ${status}`);
+        }
+        return Boolean(instance);
+    }
+
+    // Resultado de uma verificação de saúde. O estado só muda depois de
+    // HEALTHY_THRESHOLD sucessos ou UNHEALTHY_THRESHOLD falhas seguidas.
+    recordCheck(serviceName, instanceId, passed) {
+        const services = this.readRegistry();
+        const instance = this.instanceOf(services, serviceName, instanceId);
+        if (!instance) return false;
+
+        this.applyCheck(serviceName, instance, passed);
+        this.writeRegistry(services);
+        return true;
+    }
+
+    applyCheck(serviceName, instance, passed) {
+        instance.lastHealthCheck = this.now();
+        if (passed) {
+            instance.consecutiveSuccesses = (instance.consecutiveSuccesses || 0) + 1;
+            instance.consecutiveFailures = 0;
+        } else {
+            instance.consecutiveFailures = (instance.consecutiveFailures || 0) + 1;
+            instance.consecutiveSuccesses = 0;
+        }
+
+        if (!instance.healthy && instance.consecutiveSuccesses >= HEALTHY_THRESHOLD) {
+            instance.healthy = true;
+            console.log(`Health check: ${serviceName} (${instance.instanceId}) - OK após ${instance.consecutiveSuccesses} verificações`);
+        } else if (instance.healthy && instance.consecutiveFailures >= UNHEALTHY_THRESHOLD) {
+            instance.healthy = false;
+            console.log(`Health check: ${serviceName} (${instance.instanceId}) - FAIL após ${instance.consecutiveFailures} verificações`);
+        }
+    }
+
+    // Renovar o lease de uma instância; `passed` é o resultado da verificação
+    // que a própria instância fez. Se a entrada sumiu (removida por falta de
+    // renovação ou sobrescrita por uma entrada estática), a instância
+    // registrada por este processo é registrada de novo.
+    renewLease(serviceName, instanceId, passed = true) {
+        const services = this.readRegistry();
+        const instance = this.instanceOf(services, serviceName, instanceId);
+        const local = this.localInstances.get(instanceId);
+
+        if (!instance || (local && !instance.lease)) {
+            if (!local) return false;
+            console.warn(`Lease de ${instanceId} ausente no registry, registrando de novo`);
+            this.register(local.serviceName, local.serviceInfo);
+            return true;
+        }
+        if (!instance.lease) return true;
+
+        const now = this.now();
+        if (now >= instance.lease.expiresAt) {
+            console.log(`Lease renovado após vencer: ${serviceName} (${instanceId})`);
+        }
+        instance.lease.renewedAt = now;
+        instance.lease.expiresAt = now + instance.lease.ttl;
+        this.applyCheck(serviceName, instance, passed);
+        this.writeRegistry(services);
+        return true;
+    }
+
+    // Instâncias com lease vencido ficam indisponíveis e, passados
+    // EVICT_AFTER_TTLS TTLs sem renovação, são removidas. Retorna os removidos.
+    sweepLeases() {
+        const services = this.readRegistry();
+        const now = this.now();
+        const evicted = [];
+        let changed = false;
+
+        Object.entries(services).forEach(([name, instances]) => {
+            Object.values(instances).forEach(instance => {
+                if (this.leaseState(instance, now) !== 'expired') return;
+
+                if (now - instance.lease.expiresAt >= instance.lease.ttl * EVICT_AFTER_TTLS) {
+                    delete instances[instance.instanceId];
+                    evicted.push(instance.instanceId);
+                    changed = true;
+                    console.log(`Instância removida por falta de heartbeat: ${name} (${instance.instanceId})`);
+                } else if (instance.healthy) {
+                    // Ao voltar a renovar, precisa de HEALTHY_THRESHOLD verificações
+                    instance.healthy = false;
+                    instance.consecutiveSuccesses = 0;
+                    changed = true;
+                    console.log(`Lease vencido: ${name} (${instance.instanceId})`);
+                }
+            });
+            if (Object.keys(instances).length === 0) {
+                delete services[name];
+            }
+        });
+
+        if (changed) {
+            this.writeRegistry(services);
+        }
+        return evicted;
+    }
+
+    // Renova o lease da instância a cada TTL / 3. `options.check` (async) é a
+    // verificação da própria instância (ex. ler o banco): se lançar erro, o
+    // lease é renovado (o processo está vivo) mas conta como falha.
+    // Retorna a função que para o heartbeat.
+    startHeartbeat(serviceName, instanceId, options = {}) {
+        const local = this.localInstances.get(instanceId);
+        const ttl = local && local.serviceInfo.leaseTtl ? local.serviceInfo.leaseTtl : LEASE_TTL;
+        const interval = options.interval || Math.max(1000, Math.floor(ttl / 3));
+
+        const beat = async () => {
+            let passed = true;
+            if (options.check) {
+                try {
+                    await options.check();
+                } catch (error) {
+                    passed = false;
+                    console.error(`Heartbeat: verificação de ${serviceName} falhou:`, error.message);
+                }
+            }
+            try {
+                await this.renewLease(serviceName, instanceId, passed);
+                await this.sweepLeases();
+            } catch (error) {
+                console.error(`Heartbeat: erro ao renovar o lease de ${instanceId}:`, error.message);
+            }
+        };
+
+        const timer = setInterval(beat, interval);
+        timer.unref();
+        return () => clearInterval(timer);
+    }
+
+    // Health check de todas as instâncias: passa quem responde 200 em
+    // /health/ready (serviço 'up' ou 'degraded', ver shared/health)
+    async performHealthChecks() {
+        const axios = require('axios');
+        const services = this.readRegistry();
+        const instances = Object.entries(services)
+            .flatMap(([serviceName, entries]) => Object.values(entries).map(service => ({ serviceName, service })));
+
+        console.log(`Executando health checks de ${instances.length} instâncias...`);
+        await this.sweepLeases();
+
+        for (const { serviceName, service } of instances) {
+            try {
+                await axios.get(`${service.url}/health/ready`, {
+                    timeout: 5000,
+                    family: 4
+                });
+                await this.recordCheck(serviceName, service.instanceId, true);
+            } catch (error) {
+                console.error(`Health check falhou para ${serviceName} (${service.instanceId}):`, error.message);
+                await this.recordCheck(serviceName, service.instanceId, false);
+            }
+        }
+    }
+
+    // Debug: listar serviços registrados
+    debugListServices() {
+        const services = this.readRegistry();
+        console.log(`DEBUG - Serviços registrados (${this.backend}):`);
+        Object.entries(services).forEach(([name, instances]) => {
+            Object.values(instances).forEach(service => {
+                const version = service.version ? ` v${service.version}` : '';
+                console.log(`   ${name}${version}: ${service.url} (${service.healthy ? 'healthy' : 'unhealthy'}, lease ${this.leaseState(service)}) PID:${service.pid}`);
+            });
+        });
+    }
+
+    // Verificar se um serviço tem alguma instância registrada
+    hasService(serviceName) {
+        const services = this.readRegistry();
+        return Object.keys(this.instancesOf(services, serviceName) || {}).length > 0;
+    }
+
+    // Obter estatísticas (por instância)
+    getStats() {
+        const services = this.readRegistry();
+        let total = 0;
+        let healthy = 0;
+        let unhealthy = 0;
+        let expired = 0;
+        const now = this.now();
+
+        Object.values(services).forEach(instances => {
+            Object.values(instances).forEach(service => {
+                total++;
+                if (this.isAvailable(service, now)) {
+                    healthy++;
+                } else {
+                    unhealthy++;
+                }
+                if (this.leaseState(service, now) === 'expired') {
+                    expired++;
+                }
+            });
+        });
+
+        return { backend: this.backend, services: Object.keys(services).length, total, healthy, unhealthy, expired };
+    }
+
+    // Limpar registry (útil para desenvolvimento)
+    clear() {
+        this.writeRegistry({});
+        console.log('Registry limpo');
+    }
+
+    // Cleanup na saída do processo
+    cleanup() {
+        // Remove as instâncias deste PID ao sair
+        const services = this.readRegistry();
+        const currentPid = process.pid;
+        let changed = false;
+
+        Object.entries(services).forEach(([name, instances]) => {
+            Object.entries(instances).forEach(([instanceId, service]) => {
+                if (service.pid === currentPid) {
+                    delete instances[instanceId];
+                    changed = true;
+                    console.log(`Removendo serviço ${name} (${instanceId}) do PID ${currentPid}`);
+                }
+            });
+            if (Object.keys(instances).length === 0) {
+                delete services[name];
+            }
+        });
+
+        if (changed) {
+            this.writeRegistry(services);
+        }
+    }
+}
+
+ServiceRegistry.LEASE_TTL = LEASE_TTL;
+ServiceRegistry.STRATEGIES = STRATEGIES;
+
+module.exports = ServiceRegistry;
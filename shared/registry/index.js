@@ -0,0 +1,32 @@
+const ServiceRegistry = require('./ServiceRegistry');
+const FileBasedServiceRegistry = require('./FileServiceRegistry');
+const MemoryServiceRegistry = require('./MemoryServiceRegistry');
+const HttpServiceRegistry = require('./HttpServiceRegistry');
+
+// Backends do registry de serviços (ver ServiceRegistry):
+//   file   - arquivo JSON compartilhado pelos processos de uma máquina (padrão)
+//   http   - cliente do servidor de registry (service-registry/), com cache
+//            local atualizado por watch
+//   memory - mapa em memória, usado pelo próprio servidor de registry
+// `options.url` escolhe o backend http (com o token do servidor em
+// `options.token`); `options.backend` força um dos outros.
+function createRegistry(options = {}) {
+    if (options.url) {
+        return new HttpServiceRegistry(options.url, options.token);
+    }
+    if (options.backend === 'memory') {
+        return new MemoryServiceRegistry();
+    }
+    if (!options.registryFile) {
+        throw new Error('Informe registryFile para o registry em arquivo');
+    }
+    return new FileBasedServiceRegistry(options.registryFile);
+}
+
+module.exports = {
+    createRegistry,
+    ServiceRegistry,
+    FileBasedServiceRegistry,
+    MemoryServiceRegistry,
+    HttpServiceRegistry
+};
@@ -0,0 +1,254 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const FileStorage = require('./FileStorage');
+const { writeFileAtomic, appendDurable } = require('./files');
+const { applyEntry, clone } = require('./entries');
+
+// Quantidade de commits no log a partir da qual ele é compactado num snapshot
+const COMPACT_AFTER_COMMITS = 500;
+
+// Engine para coleções com muitas escritas: cada commit acrescenta as entradas
+// em `<colecao>.ndjson` seguidas de uma linha { op: 'commit' }, então escrever é
+// O(tamanho da mudança). O estado fica em memória e é sincronizado lendo só o
+// que outros processos acrescentaram. Periodicamente o log é reescrito como um
+// único snapshot ({ op: 'replace' }).
+class AppendLogStorage extends FileStorage {
+    constructor(dbPath, collectionName, options = {}) {
+        super(dbPath, collectionName, options);
+        this.engine = 'log';
+        this.logPath = path.join(dbPath, `${collectionName}.ndjson`);
+        this.legacyPath = path.join(dbPath, `${collectionName}.json`);
+
+        this.documents = new Map();
+        this.documentList = null; // array devolvido por read(), refeito após mudanças
+        this.offset = 0;
+        this.inode = null;
+        this.commits = 0;
+        this.stateQueue = Promise.resolve();
+    }
+
+    async initCollection() {
+        // Primeira execução: importar o snapshot do engine JSON, se existir
+        if (!await fs.pathExists(this.logPath)) {
+            const documents = await fs.pathExists(this.legacyPath)
+                ? await this.readLegacySnapshot()
+                : [];
+            await writeFileAtomic(this.logPath, this.snapshotContent(documents));
+        }
+
+        const { events, validBytes, size } = await this.reload();
+
+        // Commit incompleto no fim do arquivo (queda durante o append): descartar
+        if (validBytes < size) {
+            console.warn(`Descartando commit incompleto no fim de ${this.logPath}`);
+            await fs.truncate(this.logPath, validBytes);
+            await this.reload();
+        }
+
+        // Publicar eventos que não chegaram ao changelog antes de uma queda
+        const lastSeq = await this.readLastSequence();
+        await this.appendChanges(events.filter(event => event.seq > lastSeq));
+
+        if (this.commits >= COMPACT_AFTER_COMMITS) {
+            await this.compact();
+        }
+    }
+
+    async readLegacySnapshot() {
+        let documents;
+        try {
+            documents = await fs.readJson(this.legacyPath);
+        } catch (error) {
+            throw this.corruptionError(`JSON inválido em ${this.legacyPath}: ${error.message}`);
+        }
+
+        if (!Array.isArray(documents)) {
+            throw this.corruptionError(`${this.legacyPath} não contém um array de documentos`);
+        }
+        console.log(`${this.collectionName}: importando ${documents.length} documento(s) de ${this.legacyPath}`);
+        return documents;
+    }
+
+    // Cópia dos documentos que pode ser alterada (caminho de escrita)
+    async load() {
+        return clone(await this.read());
+    }
+
+    // Documentos em memória, após acompanhar o log: somente leitura
+    async read() {
+        await this.exclusive(() => this.sync());
+        if (!this.documentList) {
+            this.documentList = [...this.documents.values()];
+        }
+        return this.documentList;
+    }
+
+    async commit({ entries, indexes = null, changes = [] }) {
+        const events = await this.exclusive(async () => {
+            await this.sync();
+            const start = this.offset;
+
+            const events = await this.sequenceChanges(changes);
+            const lines = [...entries];
+            if (events.length > 0) lines.push({ op: 'events', events });
+            lines.push({ op: 'commit', at: new Date().toISOString() });
+
+            const content = lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+
+            if (indexes) {
+                await this.saveIndexes(indexes);
+            }
+            await appendDurable(this.logPath, content);
+
+            // Nenhum outro processo escreve enquanto temos o lock: avançar o estado
+            // local até o fim do que acabamos de gravar
+            this.applyEntries(clone(entries));
+            this.offset = start + Buffer.byteLength(content);
+            this.commits++;
+
+            await this.appendChanges(events);
+
+            if (this.commits >= COMPACT_AFTER_COMMITS) {
+                await this.compact();
+            }
+            return events;
+        });
+
+        this.notifyChanges(events);
+        return events;
+    }
+
+    // Serializa neste processo o que lê o log e move `offset`: um sync de uma
+    // leitura durante o append aplicaria o commit novo antes do próprio commit
+    exclusive(operation) {
+        const run = this.stateQueue.then(operation);
+        this.stateQueue = run.catch(() => {});
+        return run;
+    }
+
+    // Reescreve o log como um único snapshot
+    async compact() {
+        const documents = [...this.documents.values()];
+        await writeFileAtomic(this.logPath, this.snapshotContent(documents));
+        await this.reload();
+        console.log(`${this.collectionName}: log compactado (${documents.length} documentos)`);
+    }
+
+    snapshotContent(documents) {
+        return [
+            JSON.stringify({ op: 'replace', documents }),
+            JSON.stringify({ op: 'commit', at: new Date().toISOString() })
+        ].join('\n') + '\n';
+    }
+
+    // Lê o log inteiro e reconstrói o estado
+    async reload() {
+        const buffer = await fs.readFile(this.logPath);
+        const { inode } = await this.statLog();
+
+        this.documents = new Map();
+        this.documentList = null;
+        this.commits = 0;
+        this.inode = inode;
+
+        const result = this.replay(buffer, 0);
+        this.offset = result.validBytes;
+        return { ...result, size: buffer.length };
+    }
+
+    // Acompanha o que outros processos acrescentaram desde a última leitura
+    async sync() {
+        const { inode, size } = await this.statLog();
+
+        // Compactado por outro processo (arquivo novo) ou truncado: reler tudo
+        if (inode !== this.inode || size < this.offset) {
+            await this.reload();
+            return;
+        }
+        if (size === this.offset) return;
+
+        const buffer = Buffer.alloc(size - this.offset);
+        const fd = await fs.open(this.logPath, 'r');
+        try {
+            await fs.read(fd, buffer, 0, buffer.length, this.offset);
+        } finally {
+            await fs.close(fd);
+        }
+
+        const { validBytes } = this.replay(buffer, this.offset);
+        this.offset += validBytes;
+    }
+
+    // Aplica os commits completos do trecho; entradas sem a linha de commit
+    // (escrita em andamento ou interrompida) ficam de fora
+    replay(buffer, position) {
+        const text = buffer.toString('utf8');
+        const events = [];
+        let group = [];
+        let consumed = 0;
+        let validBytes = 0;
+
+        for (const line of text.split('\n')) {
+            const lineBytes = Buffer.byteLength(line) + 1;
+            if (consumed + lineBytes > buffer.length) break; // linha sem '\n' final
+            consumed += lineBytes;
+
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                throw this.corruptionError(`Linha inválida em ${this.logPath} (byte ${position + consumed - lineBytes})`);
+            }
+
+            if (entry.op !== 'commit') {
+                group.push(entry);
+                continue;
+            }
+
+            this.applyEntries(group);
+            group.filter(item => item.op === 'events').forEach(item => events.push(...item.events));
+            group = [];
+            this.commits++;
+            validBytes = consumed;
+        }
+
+        return { events, validBytes };
+    }
+
+    applyEntries(entries) {
+        if (entries.length > 0) this.documentList = null;
+
+        for (const entry of entries) {
+            switch (entry.op) {
+                case 'create':
+                case 'update':
+                    this.documents.set(entry.id, entry.document);
+                    break;
+                case 'delete':
+                    this.documents.delete(entry.id);
+                    break;
+                case 'replace':
+                    this.documents = new Map(entry.documents.map(doc => [doc.id, doc]));
+                    break;
+                default:
+                    // Valida a operação (events é apenas informativa)
+                    applyEntry([], entry);
+            }
+        }
+    }
+
+    async statLog() {
+        try {
+            const stats = await fs.stat(this.logPath);
+            return { inode: stats.ino, size: stats.size };
+        } catch (error) {
+            if (error.code === 'ENOENT') return { inode: null, size: 0 };
+            throw error;
+        }
+    }
+}
+
+module.exports = AppendLogStorage;
@@ -0,0 +1,147 @@
+const fs = require('fs-extra');
+
+const POLL_INTERVAL_MS = 250;
+
+// Um leitor por arquivo de changelog no processo, compartilhado pelos streams
+// da coleção. Escritas locais avisam o leitor na hora; escritas de outros
+// processos são percebidas por fs.watchFile. Os ouvintes implementam
+// push(evento) e fail(erro).
+const feeds = new Map();
+
+class ChangeFeed {
+    constructor(changesPath) {
+        this.changesPath = changesPath;
+        this.listeners = new Set();
+        this.offset = 0;
+        this.inode = null; // arquivo lido até `offset`; a compactação grava um arquivo novo
+        this.pending = '';
+        this.reading = null;
+        this.dirty = false;
+        this.onFileChange = () => this.poll();
+    }
+
+    async start() {
+        // Começa no fim do arquivo: ouvintes novos só veem mudanças futuras
+        // (o histórico para retomada é lido pelo próprio stream)
+        const stats = await fileStats(this.changesPath);
+        this.offset = stats.size;
+        this.inode = stats.ino;
+        fs.watchFile(this.changesPath, { interval: POLL_INTERVAL_MS }, this.onFileChange);
+    }
+
+    stop() {
+        fs.unwatchFile(this.changesPath, this.onFileChange);
+    }
+
+    add(listener) {
+        this.listeners.add(listener);
+    }
+
+    remove(listener) {
+        this.listeners.delete(listener);
+        if (this.listeners.size === 0) {
+            this.stop();
+            feeds.delete(this.changesPath);
+        }
+    }
+
+    // Lê os bytes novos do changelog e entrega os eventos completos aos ouvintes
+    poll() {
+        if (this.reading) {
+            this.dirty = true;
+            return this.reading;
+        }
+
+        this.reading = this.readNewEvents()
+            .then(events => {
+                for (const event of events) {
+                    for (const listener of this.listeners) {
+                        listener.push(event);
+                    }
+                }
+            })
+            .catch(error => {
+                for (const listener of [...this.listeners]) {
+                    listener.fail(error);
+                }
+            })
+            .finally(() => {
+                this.reading = null;
+                if (this.dirty) {
+                    this.dirty = false;
+                    this.poll();
+                }
+            });
+
+        return this.reading;
+    }
+
+    async readNewEvents() {
+        let fd;
+        try {
+            fd = await fs.open(this.changesPath, 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        let buffer;
+        try {
+            // Tamanho e inode do mesmo arquivo aberto: uma troca entre o stat e a leitura não confunde o offset
+            const { size, ino } = await fs.fstat(fd);
+
+            // Arquivo compactado ou recriado (outro inode, mesmo que já maior que o
+            // offset antigo): reler do início; os streams descartam pela sequência
+            // o que já viram
+            if (ino !== this.inode || size < this.offset) {
+                this.offset = 0;
+                this.pending = '';
+                this.inode = ino;
+            }
+            if (size === this.offset) return [];
+
+            buffer = Buffer.alloc(size - this.offset);
+            await fs.read(fd, buffer, 0, buffer.length, this.offset);
+            this.offset = size;
+        } finally {
+            await fs.close(fd);
+        }
+
+        const lines = (this.pending + buffer.toString('utf8')).split('\n');
+        this.pending = lines.pop();
+
+        return lines.filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+}
+
+// Registra um ouvinte no changelog; retorna a função que cancela o registro
+ChangeFeed.subscribe = async function subscribe(changesPath, listener) {
+    if (!feeds.has(changesPath)) {
+        const feed = new ChangeFeed(changesPath);
+        feeds.set(changesPath, feed);
+        feed.starting = feed.start();
+    }
+    const feed = feeds.get(changesPath);
+    await feed.starting;
+
+    feed.add(listener);
+    return () => feed.remove(listener);
+};
+
+// Avisa os ouvintes deste processo logo após um commit local
+ChangeFeed.notify = function notify(changesPath) {
+    const feed = feeds.get(changesPath);
+    return feed ? feed.poll() : Promise.resolve();
+};
+
+async function fileStats(filePath) {
+    try {
+        const { size, ino } = await fs.stat(filePath);
+        return { size, ino };
+    } catch (error) {
+        if (error.code === 'ENOENT') return { size: 0, ino: null };
+        throw error;
+    }
+}
+
+module.exports = ChangeFeed;
@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const ChangeFeed = require('./ChangeFeed');
+const { clone } = require('./entries');
+const {
+    writeFileAtomic,
+    writeJsonAtomic,
+    tempFileOwner,
+    isProcessAlive
+} = require('./files');
+
+const LOCK_RETRY_MS = 15;
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+// Janela após uma disputa pelo lock em que o processo cede a vez entre escritas
+const LOCK_CONTENTION_MS = 1000;
+
+// Acima deste tamanho o changelog é compactado, mantendo os eventos mais recentes
+const CHANGELOG_MAX_BYTES = 2 * 1024 * 1024;
+const CHANGELOG_KEEP_EVENTS = 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Base dos engines em disco: lock consultivo entre processos, índice em
+// `<colecao>_index.json`, changelog em `<colecao>_changes.ndjson` e cache dos
+// arquivos lidos. As subclasses implementam initCollection(), read() e commit().
+class FileStorage {
+    // `options.cache: false` relê os arquivos a cada leitura (usado no benchmark)
+    constructor(dbPath, collectionName, options = {}) {
+        this.dbPath = dbPath;
+        this.collectionName = collectionName;
+        this.key = path.join(dbPath, collectionName);
+        this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
+        this.lockPath = path.join(dbPath, `${collectionName}.lock`);
+        this.changesPath = path.join(dbPath, `${collectionName}_changes.ndjson`);
+
+        this.releasedAt = 0;
+        this.contendedAt = 0;
+        this.heldLock = null; // conteúdo do lock gravado por esta instância
+
+        this.cacheEnabled = options.cache !== false;
+        this.cache = new Map(); // arquivo -> { stamp, value }
+    }
+
+    async init() {
+        // Criar diretório do banco se não existir
+        await fs.ensureDir(this.dbPath);
+
+        // Outro processo pode estar escrevendo: inicializar sob o lock do arquivo
+        await this.withLock(async () => {
+            // Remover arquivos temporários deixados por escritas interrompidas
+            await this.removeStaleTempFiles();
+
+            await this.initCollection();
+
+            // Criar índice se não existir
+            if (!await fs.pathExists(this.indexPath)) {
+                await writeJsonAtomic(this.indexPath, { fields: {} });
+            }
+        });
+    }
+
+    // Lock consultivo: `<colecao>.lock` criado com O_EXCL contendo o PID do dono,
+    // a hora da aquisição e um id próprio de cada aquisição
+    async withLock(operation) {
+        await this.acquireLock();
+        try {
+            return await operation();
+        } finally {
+            await this.releaseLock();
+        }
+    }
+
+    async acquireLock() {
+        // Com outros processos disputando, não emendar uma escrita na outra:
+        // quem espera só consegue o lock na janela entre liberar e readquirir
+        if (Date.now() - this.contendedAt < LOCK_CONTENTION_MS && Date.now() - this.releasedAt < LOCK_RETRY_MS) {
+            await sleep(LOCK_RETRY_MS + Math.random() * LOCK_RETRY_MS);
+        }
+
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        const owner = JSON.stringify({ pid: process.pid, acquiredAt: Date.now(), id: crypto.randomBytes(8).toString('hex') });
+
+        while (true) {
+            try {
+                await fs.writeFile(this.lockPath, owner, { flag: 'wx' });
+                this.heldLock = owner;
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            this.contendedAt = Date.now();
+
+            if (await this.removeStaleLock()) continue;
+
+            if (Date.now() > deadline) {
+                const error = new Error(`Timeout ao obter lock de ${this.collectionName}`);
+                error.code = 'EDBLOCKED';
+                throw error;
+            }
+
+            await sleep(LOCK_RETRY_MS + Math.random() * LOCK_RETRY_MS);
+        }
+    }
+
+    // Só remove o lock se ele ainda for o desta aquisição: se outro processo o
+    // tomou por achá-lo vencido (removeStaleLock), o lock agora é dele
+    async releaseLock() {
+        const owner = this.heldLock;
+        this.heldLock = null;
+        this.releasedAt = Date.now();
+
+        const current = await this.readLockFile();
+        if (current === owner) {
+            await fs.remove(this.lockPath);
+        } else {
+            console.warn(`Lock de ${this.collectionName} foi tomado por outro dono antes de ser liberado`);
+        }
+    }
+
+    // Conteúdo do lock, ou null se ele não existe
+    async readLockFile() {
+        try {
+            return await fs.readFile(this.lockPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Remove o lock se o processo dono morreu ou se ele está preso há tempo demais
+    async removeStaleLock() {
+        let content;
+        let lock;
+        try {
+            content = await this.readLockFile();
+            if (content === null) return true; // Sumiu (liberado): tentar de novo
+            lock = JSON.parse(content);
+        } catch (error) {
+            // Está sendo escrito agora: esperar
+            return false;
+        }
+
+        const stale = lock.pid !== process.pid && !isProcessAlive(lock.pid);
+        const expired = Date.now() - lock.acquiredAt > LOCK_STALE_MS;
+        if (!stale && !expired) return false;
+
+        // Outro processo pode ter removido e recriado o lock desde a leitura
+        if (await this.readLockFile() !== content) return true;
+
+        console.warn(`Removendo lock abandonado de ${this.collectionName} (PID ${lock.pid})`);
+        await fs.remove(this.lockPath);
+        return true;
+    }
+
+    // Remove temporários (`<arquivo>.<pid>.<n>.tmp`) dos arquivos desta coleção
+    // (não de outra com o mesmo prefixo, ex. `list` e `lists`) deixados por
+    // processos que não estão mais em execução. Os deste processo ficam: outra
+    // instância da coleção pode estar no meio de uma escrita
+    async removeStaleTempFiles() {
+        const files = await fs.readdir(this.dbPath);
+        const owned = [`${this.collectionName}.json`, `${this.collectionName}.ndjson`,
+            path.basename(this.indexPath), path.basename(this.changesPath)];
+
+        for (const file of files) {
+            if (!file.endsWith('.tmp') || !owned.some(name => file.startsWith(`${name}.`))) continue;
+
+            const pid = tempFileOwner(file);
+            if (isProcessAlive(pid)) continue;
+
+            await fs.remove(path.join(this.dbPath, file));
+        }
+    }
+
+    // Cópia dos índices que pode ser alterada (caminho de escrita)
+    async loadIndexes() {
+        return clone(await this.readIndexes());
+    }
+
+    // Índices compartilhados com o cache: somente leitura
+    async readIndexes() {
+        try {
+            const indexes = await this.readCached(this.indexPath, JSON.parse);
+            // Formato antigo (mapa id -> { id, updatedAt }) não tem definições de índice
+            if (indexes && typeof indexes.fields === 'object') {
+                return indexes;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Índice de ${this.collectionName} ilegível, recriando:`, error.message);
+            }
+        }
+        return { fields: {} };
+    }
+
+    async saveIndexes(indexes) {
+        await this.writeCached(this.indexPath, indexes);
+    }
+
+    // Cache de arquivos
+    // Cada arquivo é lido e interpretado uma vez; leituras seguintes só fazem
+    // stat e reaproveitam o valor enquanto inode, tamanho e mtime forem os
+    // mesmos. Toda escrita é atômica (rename), então uma escrita de outro
+    // processo sempre troca o inode. As escritas deste processo atualizam o
+    // cache diretamente. Os valores em cache são compartilhados: quem os
+    // recebe não pode alterá-los.
+
+    async readCached(filePath, parse) {
+        // stat antes da leitura: se o arquivo mudar no meio, o próximo stat difere e relê
+        const stamp = await this.fileStamp(filePath);
+        const cached = this.cache.get(filePath);
+        if (this.cacheEnabled && cached && stamp !== null && cached.stamp === stamp) {
+            return cached.value;
+        }
+
+        const value = parse(await fs.readFile(filePath, 'utf8'));
+        if (this.cacheEnabled) {
+            this.cache.set(filePath, { stamp, value });
+        }
+        return value;
+    }
+
+    // Grava `value` como JSON (atômico) e guarda no cache a versão gravada
+    async writeCached(filePath, value) {
+        const content = JSON.stringify(value, null, 2) + '\n';
+        await writeFileAtomic(filePath, content);
+
+        if (this.cacheEnabled) {
+            // Sob o lock de escrita: nenhum outro processo troca o arquivo até o stat
+            this.cache.set(filePath, { stamp: await this.fileStamp(filePath), value: JSON.parse(content) });
+        }
+    }
+
+    async fileStamp(filePath) {
+        try {
+            const stats = await fs.stat(filePath);
+            return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Changelog
+    // Um evento por linha: { seq, op: 'insert' | 'update' | 'delete', id, before, after, at }.
+    // A sequência é global da coleção (atribuída sob o lock do arquivo).
+
+    async sequenceChanges(changes) {
+        if (changes.length === 0) return [];
+
+        const lastSeq = await this.readLastSequence();
+        const at = new Date().toISOString();
+        return changes.map((change, offset) => ({ seq: lastSeq + offset + 1, ...change, at }));
+    }
+
+    // Lê o changelog de trás para frente até achar a última linha completa
+    async readLastSequence() {
+        let fd;
+        try {
+            fd = await fs.open(this.changesPath, 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        try {
+            const { size } = await fs.fstat(fd);
+            let tail = '';
+            let position = size;
+
+            while (position > 0) {
+                const length = Math.min(4096, position);
+                position -= length;
+                const buffer = Buffer.alloc(length);
+                await fs.read(fd, buffer, 0, length, position);
+                tail = buffer.toString('utf8') + tail;
+
+                const lines = tail.split('\n').filter(line => line.trim());
+                if (lines.length > 1 || (position === 0 && lines.length === 1)) {
+                    return JSON.parse(lines[lines.length - 1]).seq;
+                }
+            }
+            return 0;
+        } finally {
+            await fs.close(fd);
+        }
+    }
+
+    async readChanges() {
+        try {
+            const content = await fs.readFile(this.changesPath, 'utf8');
+            return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async appendChanges(events) {
+        if (events.length === 0) return;
+
+        await fs.appendFile(this.changesPath, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+
+        const { size } = await fs.stat(this.changesPath);
+        if (size > CHANGELOG_MAX_BYTES) {
+            const retained = (await this.readChanges()).slice(-CHANGELOG_KEEP_EVENTS);
+            await writeFileAtomic(this.changesPath, retained.map(event => JSON.stringify(event)).join('\n') + '\n');
+        }
+    }
+
+    // Avisa os streams deste processo; os de outros processos percebem pelo arquivo
+    notifyChanges(events) {
+        if (events.length > 0) {
+            ChangeFeed.notify(this.changesPath);
+        }
+    }
+
+    async subscribeChanges(listener) {
+        return ChangeFeed.subscribe(this.changesPath, listener);
+    }
+
+    corruptionError(message) {
+        const error = new Error(`Banco corrompido (${this.collectionName}): ${message}`);
+        error.code = 'EDBCORRUPT';
+        return error;
+    }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,139 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const FileStorage = require('./FileStorage');
+const { writeJsonAtomic, appendDurable } = require('./files');
+const { applyEntry, clone } = require('./entries');
+
+// Engine padrão: a coleção inteira em `<colecao>.json`, regravada a cada escrita
+// (arquivo temporário + rename) e protegida por um journal de escrita antecipada.
+class JsonFileStorage extends FileStorage {
+    constructor(dbPath, collectionName, options = {}) {
+        super(dbPath, collectionName, options);
+        this.engine = 'json';
+        this.filePath = path.join(dbPath, `${collectionName}.json`);
+        this.journalPath = path.join(dbPath, `${collectionName}.journal`);
+    }
+
+    async initCollection() {
+        // Criar arquivo da coleção se não existir
+        if (!await fs.pathExists(this.filePath)) {
+            await writeJsonAtomic(this.filePath, []);
+        }
+
+        // Reaplicar operações do journal que não chegaram ao arquivo
+        await this.recoverFromJournal();
+    }
+
+    // Cópia dos documentos que pode ser alterada (caminho de escrita)
+    async load() {
+        return clone(await this.read());
+    }
+
+    // Documentos do cache, relidos só quando o arquivo muda; erros de parse
+    // sobem em vez de virar []
+    async read() {
+        try {
+            return await this.readCached(this.filePath, content => {
+                try {
+                    return JSON.parse(content);
+                } catch (error) {
+                    throw this.corruptionError(`JSON inválido em ${this.filePath}: ${error.message}`);
+                }
+            });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    // Grava o journal, substitui índices e arquivo de forma atômica, publica as
+    // mudanças no changelog e limpa o journal.
+    // O índice é gravado antes: numa queda entre as duas escritas ele é
+    // reconstruído a partir dos documentos na inicialização. Os eventos já
+    // numerados vão no journal para serem publicados na recuperação.
+    async commit({ documents, entries, indexes = null, changes = [] }) {
+        const events = await this.sequenceChanges(changes);
+        const journalEntries = events.length > 0 ? [...entries, { op: 'events', events }] : entries;
+
+        await this.appendJournal(journalEntries);
+        if (indexes) {
+            await this.saveIndexes(indexes);
+        }
+        await this.writeCached(this.filePath, documents);
+        await this.appendChanges(events);
+        await this.clearJournal();
+
+        this.notifyChanges(events);
+        return events;
+    }
+
+    async appendJournal(entries) {
+        const lines = entries
+            .map(entry => JSON.stringify({ ...entry, at: new Date().toISOString() }))
+            .join('\n') + '\n';
+
+        await appendDurable(this.journalPath, lines);
+    }
+
+    async clearJournal() {
+        await fs.remove(this.journalPath);
+    }
+
+    async readJournal() {
+        let content;
+        try {
+            content = await fs.readFile(this.journalPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // Linha incompleta: a queda ocorreu antes da escrita do arquivo começar
+                break;
+            }
+        }
+        return entries;
+    }
+
+    // Reaplica o journal sobre o arquivo atual. As entradas guardam o documento
+    // final, então reaplicar uma operação que já foi gravada não altera nada.
+    async recoverFromJournal() {
+        const entries = await this.readJournal();
+        if (entries.length === 0) {
+            await this.clearJournal();
+            return;
+        }
+
+        console.warn(`Recuperando ${entries.length} operação(ões) do journal de ${this.collectionName}`);
+
+        let documents = await this.load();
+        if (!Array.isArray(documents)) {
+            throw this.corruptionError(`${this.filePath} não contém um array de documentos`);
+        }
+
+        for (const entry of entries) {
+            documents = applyEntry(documents, entry);
+        }
+
+        await writeJsonAtomic(this.filePath, documents);
+
+        // Publicar apenas os eventos que não chegaram ao changelog antes da queda
+        const lastSeq = await this.readLastSequence();
+        const events = entries
+            .filter(entry => entry.op === 'events')
+            .flatMap(entry => entry.events)
+            .filter(event => event.seq > lastSeq);
+        await this.appendChanges(events);
+
+        await this.clearJournal();
+    }
+}
+
+module.exports = JsonFileStorage;
@@ -0,0 +1,98 @@
+const { clone } = require('./entries');
+
+// Mantém só os eventos mais recentes para retomada de streams
+const CHANGES_KEEP_EVENTS = 1000;
+
+let instances = 0;
+
+// Engine em memória, para testes e dados descartáveis. Cada instância é
+// isolada e nada é gravado em disco; a serialização das escritas fica a cargo
+// da fila do JsonDatabase.
+class MemoryStorage {
+    constructor(dbPath, collectionName) {
+        this.engine = 'memory';
+        this.dbPath = dbPath;
+        this.collectionName = collectionName;
+        this.key = `memory:${++instances}:${collectionName}`;
+
+        this.documents = [];
+        this.indexes = { fields: {} };
+        this.changes = [];
+        this.lastSeq = 0;
+        this.listeners = new Set();
+    }
+
+    async init() {}
+
+    async withLock(operation) {
+        return operation();
+    }
+
+    async load() {
+        return clone(this.documents);
+    }
+
+    // Somente leitura: commit sempre substitui o array
+    async read() {
+        return this.documents;
+    }
+
+    async commit({ documents, indexes = null, changes = [] }) {
+        const at = new Date().toISOString();
+        const events = changes.map(change => ({ seq: ++this.lastSeq, ...clone(change), at }));
+
+        this.documents = clone(documents);
+        if (indexes) {
+            this.indexes = clone(indexes);
+        }
+
+        this.changes.push(...events);
+        if (this.changes.length > CHANGES_KEEP_EVENTS) {
+            this.changes = this.changes.slice(-CHANGES_KEEP_EVENTS);
+        }
+
+        // Entrega assíncrona, como nos engines em disco
+        if (events.length > 0) {
+            setImmediate(() => {
+                for (const listener of this.listeners) {
+                    events.forEach(event => listener.push(event));
+                }
+            });
+        }
+
+        return events;
+    }
+
+    async loadIndexes() {
+        return clone(this.indexes);
+    }
+
+    async readIndexes() {
+        return this.indexes;
+    }
+
+    async saveIndexes(indexes) {
+        this.indexes = clone(indexes);
+    }
+
+    async readLastSequence() {
+        return this.lastSeq;
+    }
+
+    async readChanges() {
+        return clone(this.changes);
+    }
+
+    async subscribeChanges(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    corruptionError(message) {
+        const error = new Error(`Banco corrompido (${this.collectionName}): ${message}`);
+        error.code = 'EDBCORRUPT';
+        return error;
+    }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,94 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const { writeJsonAtomic, tempFileOwner, isProcessAlive } = require('./files');
+
+// Registro das transações que alteram mais de uma coleção do diretório.
+// Antes de gravar as coleções, `_transactions/<id>.json` guarda as entradas de
+// cada uma; depois de gravar uma coleção é criado o marcador
+// `<id>.<colecao>.done`. Um registro sem todos os marcadores indica queda no
+// meio do commit: cada coleção reaplica a sua parte ao obter o lock de escrita.
+class TransactionLog {
+    constructor(dbPath) {
+        this.dir = path.join(dbPath, '_transactions');
+    }
+
+    recordPath(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    markerPath(id, collectionName) {
+        return path.join(this.dir, `${id}.${collectionName}.done`);
+    }
+
+    // `collections`: { nomeDaColecao: { entries } }
+    async begin(id, collections) {
+        await fs.ensureDir(this.dir);
+        await writeJsonAtomic(this.recordPath(id), { id, startedAt: new Date().toISOString(), collections });
+    }
+
+    async markApplied(id, collectionName) {
+        await fs.writeFile(this.markerPath(id, collectionName), '');
+    }
+
+    async finish(id) {
+        const record = await this.read(id);
+        await fs.remove(this.recordPath(id));
+        if (record) {
+            await Promise.all(Object.keys(record.collections)
+                .map(collectionName => fs.remove(this.markerPath(id, collectionName))));
+        }
+    }
+
+    async read(id) {
+        try {
+            return await fs.readJson(this.recordPath(id));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Transações com entradas ainda não aplicadas em `collectionName`.
+    // Registros já aplicados em todas as coleções são removidos no caminho.
+    async pending(collectionName) {
+        let files;
+        try {
+            files = await fs.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const done = new Set(files.filter(file => file.endsWith('.done')));
+        const pending = [];
+
+        for (const file of files) {
+            if (file.endsWith('.tmp')) {
+                // Registro interrompido antes do rename: a transação não começou a gravar
+                const pid = tempFileOwner(file);
+                if (pid !== process.pid && !isProcessAlive(pid)) {
+                    await fs.remove(path.join(this.dir, file));
+                }
+                continue;
+            }
+            if (!file.endsWith('.json')) continue;
+
+            const record = await this.read(path.basename(file, '.json'));
+            if (!record) continue;
+
+            const remaining = Object.keys(record.collections)
+                .filter(name => !done.has(`${record.id}.${name}.done`));
+
+            if (remaining.length === 0) {
+                await this.finish(record.id);
+            } else if (remaining.includes(collectionName)) {
+                pending.push(record);
+            }
+        }
+
+        return pending;
+    }
+}
+
+module.exports = TransactionLog;
@@ -0,0 +1,37 @@
+// Entradas de escrita compartilhadas pelos engines (journal, log e memória):
+// { op: 'create' | 'update', id, document }, { op: 'delete', id },
+// { op: 'replace', documents } e { op: 'events', events } (só informativa).
+
+// Aplica uma entrada sobre o array de documentos. Como create/update guardam o
+// documento final, reaplicar uma entrada já gravada não altera nada.
+function applyEntry(documents, entry) {
+    switch (entry.op) {
+        case 'replace':
+            return entry.documents;
+        case 'create':
+        case 'update': {
+            const index = documents.findIndex(doc => doc.id === entry.id);
+            if (index === -1) {
+                documents.push(entry.document);
+            } else {
+                documents[index] = entry.document;
+            }
+            return documents;
+        }
+        case 'delete':
+            return documents.filter(doc => doc.id !== entry.id);
+        case 'events':
+            return documents;
+        default: {
+            const error = new Error(`Operação de escrita desconhecida: ${entry.op}`);
+            error.code = 'EDBCORRUPT';
+            throw error;
+        }
+    }
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { applyEntry, clone };
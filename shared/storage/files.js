@@ -0,0 +1,63 @@
+const fs = require('fs-extra');
+
+// Escrita durável em arquivos, compartilhada pelos engines e pelo log de transações
+
+let tempCounter = 0;
+
+// Escreve em arquivo temporário, faz fsync e renomeia sobre o destino
+async function writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.${++tempCounter}.tmp`;
+
+    try {
+        const fd = await fs.open(tempPath, 'w');
+        try {
+            await fs.writeFile(fd, content);
+            await fs.fsync(fd);
+        } finally {
+            await fs.close(fd);
+        }
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.remove(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+async function writeJsonAtomic(filePath, data) {
+    await writeFileAtomic(filePath, JSON.stringify(data, null, 2) + '\n');
+}
+
+// Acrescenta linhas e faz fsync antes de retornar
+async function appendDurable(filePath, content) {
+    const fd = await fs.open(filePath, 'a');
+    try {
+        await fs.writeFile(fd, content);
+        await fs.fsync(fd);
+    } finally {
+        await fs.close(fd);
+    }
+}
+
+// PID do temporário `<arquivo>.<pid>.<n>.tmp`
+function tempFileOwner(fileName) {
+    const parts = fileName.split('.');
+    return parseInt(parts[parts.length - 3], 10);
+}
+
+function isProcessAlive(pid) {
+    if (!Number.isInteger(pid)) return false;
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+module.exports = {
+    writeFileAtomic,
+    writeJsonAtomic,
+    appendDurable,
+    tempFileOwner,
+    isProcessAlive
+};
@@ -0,0 +1,68 @@
+const fs = require('fs-extra');
+
+const MemoryStorage = require('./MemoryStorage');
+const JsonFileStorage = require('./JsonFileStorage');
+const AppendLogStorage = require('./AppendLogStorage');
+const TransactionLog = require('./TransactionLog');
+
+// Engines disponíveis para `new JsonDatabase(dbPath, colecao, { storage })`.
+// Todo engine implementa: init(), withLock(fn), load(), read(), commit({
+// documents, entries, indexes, changes }) -> eventos, loadIndexes(),
+// readIndexes(), saveIndexes(indexes), readLastSequence(), readChanges(),
+// subscribeChanges(ouvinte) -> cancelar e corruptionError(mensagem), além das
+// propriedades `engine` e `key`. load()/loadIndexes() devolvem cópias para as
+// escritas; read()/readIndexes() devolvem a versão em cache, somente leitura.
+const engines = {
+    memory: MemoryStorage,
+    json: JsonFileStorage,
+    log: AppendLogStorage
+};
+
+// `storage` pode ser o nome de um engine ou uma instância já criada.
+// `options` vai para o construtor do engine (ex.: { cache: false }).
+function createStorage(storage, dbPath, collectionName, options = {}) {
+    if (storage && typeof storage === 'object') {
+        return storage;
+    }
+
+    const Engine = engines[storage || 'json'];
+    if (!Engine) {
+        throw new Error(`Engine de armazenamento desconhecido: ${storage} (use ${Object.keys(engines).join(', ')})`);
+    }
+    return new Engine(dbPath, collectionName, options);
+}
+
+// Coleções existentes em `dbPath` com o engine de cada uma, deduzido pelos
+// arquivos: `<colecao>.ndjson` (log) ou `<colecao>.json` (json). Índices,
+// changelogs e arquivos internos (`_...`) ficam de fora.
+async function listCollections(dbPath) {
+    let files;
+    try {
+        files = await fs.readdir(dbPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const collections = new Map();
+    for (const file of files.sort()) {
+        const match = file.match(/^([^_].*)\.(json|ndjson)$/);
+        if (!match || /_(index|changes)$/.test(match[1])) continue;
+
+        // Um log substitui o snapshot JSON importado na primeira execução
+        if (match[2] === 'ndjson' || !collections.has(match[1])) {
+            collections.set(match[1], match[2] === 'ndjson' ? 'log' : 'json');
+        }
+    }
+
+    return [...collections].map(([name, engine]) => ({ name, engine }));
+}
+
+module.exports = {
+    createStorage,
+    listCollections,
+    MemoryStorage,
+    JsonFileStorage,
+    AppendLogStorage,
+    TransactionLog
+};
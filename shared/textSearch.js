@@ -0,0 +1,200 @@
+// Análise de texto e pontuação da busca textual do JsonDatabase.
+// Termos são normalizados (minúsculas, sem acentos), sem stopwords e reduzidos
+// por um stemmer leve de português. Um índice textual é um mapa
+// termo -> { id: peso }, em que o peso soma o peso do campo a cada ocorrência.
+
+const STOPWORDS = new Set([
+    'a', 'ao', 'aos', 'as', 'com', 'da', 'das', 'de', 'do', 'dos', 'e', 'em',
+    'na', 'nas', 'no', 'nos', 'o', 'os', 'ou', 'para', 'por', 'um', 'uma'
+]);
+
+// Sufixos de plural, do mais específico para o mais geral
+const PLURAL_RULES = [
+    ['oes', 'ao'], ['aes', 'ao'], ['ais', 'al'], ['eis', 'el'], ['ois', 'ol'],
+    ['res', 'r'], ['zes', 'z'], ['les', 'l'], ['ns', 'm']
+];
+
+const DIMINUTIVE_SUFFIXES = ['zinhos', 'zinhas', 'zinho', 'zinha', 'inhos', 'inhas', 'inho', 'inha'];
+
+// Qualidade de cada tipo de correspondência entre termo da consulta e do índice
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.7;
+const FUZZY_MATCH = 0.5;
+
+// Os mapas são indexados por texto do usuário: termos como "constructor" não
+// podem cair nas propriedades herdadas de Object
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+function setOwn(obj, key, value) {
+    Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+function normalize(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+function stem(word) {
+    if (word.length < 4 || /^\d/.test(word)) return word;
+
+    for (const suffix of DIMINUTIVE_SUFFIXES) {
+        if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+            return word.slice(0, -suffix.length) + (suffix.includes('inha') ? 'a' : 'o');
+        }
+    }
+
+    for (const [suffix, replacement] of PLURAL_RULES) {
+        if (word.endsWith(suffix) && word.length - suffix.length >= 1) {
+            return word.slice(0, -suffix.length) + replacement;
+        }
+    }
+
+    if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) {
+        return word.slice(0, -1);
+    }
+    return word;
+}
+
+// Texto -> termos indexáveis
+function analyze(text) {
+    return normalize(text)
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !STOPWORDS.has(token))
+        .map(stem);
+}
+
+// Termos de um documento com o peso de cada um. `weights`: { campo: peso };
+// sem campos, todas as strings do documento (inclusive aninhadas) pesam 1.
+function documentTerms(document, weights, getValue) {
+    const terms = Object.create(null);
+    const addText = (text, weight) => {
+        for (const term of analyze(text)) {
+            terms[term] = (terms[term] || 0) + weight;
+        }
+    };
+
+    const fields = Object.entries(weights || {});
+    if (fields.length === 0) {
+        collectStrings(document).forEach(text => addText(text, 1));
+        return terms;
+    }
+
+    for (const [field, weight] of fields) {
+        const value = getValue(document, field);
+        const values = Array.isArray(value) ? value : [value];
+        values
+            .filter(item => typeof item === 'string' || typeof item === 'number')
+            .forEach(item => addText(item, weight));
+    }
+    return terms;
+}
+
+function collectStrings(value, strings = []) {
+    if (typeof value === 'string') {
+        strings.push(value);
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => collectStrings(item, strings));
+    }
+    return strings;
+}
+
+function addToTextIndex(postings, id, terms) {
+    for (const [term, weight] of Object.entries(terms)) {
+        if (!hasOwn(postings, term)) setOwn(postings, term, {});
+        setOwn(postings[term], id, weight);
+    }
+}
+
+function removeFromTextIndex(postings, id, terms) {
+    for (const term of Object.keys(terms)) {
+        if (!hasOwn(postings, term)) continue;
+        delete postings[term][id];
+        if (Object.keys(postings[term]).length === 0) {
+            delete postings[term];
+        }
+    }
+}
+
+// Pontua os documentos para a consulta. Todo termo da consulta precisa
+// corresponder (exato, prefixo ou com erros de digitação) a algum termo do
+// documento. Retorna Map id -> pontuação.
+function scoreDocuments(postings, query, documentCount) {
+    const queryTerms = [...new Set(analyze(query))];
+    if (queryTerms.length === 0) return new Map();
+
+    const vocabulary = Object.keys(postings);
+    let scores = null;
+
+    for (const queryTerm of queryTerms) {
+        const termScores = new Map();
+
+        for (const term of vocabulary) {
+            const quality = matchQuality(queryTerm, term);
+            if (quality === 0) continue;
+
+            const ids = Object.keys(postings[term]);
+            const idf = Math.log(1 + documentCount / ids.length);
+            for (const id of ids) {
+                const score = postings[term][id] * quality * idf;
+                if (score > (termScores.get(id) || 0)) {
+                    termScores.set(id, score);
+                }
+            }
+        }
+
+        if (scores === null) {
+            scores = termScores;
+        } else {
+            for (const [id, score] of scores) {
+                if (termScores.has(id)) {
+                    scores.set(id, score + termScores.get(id));
+                } else {
+                    scores.delete(id);
+                }
+            }
+        }
+    }
+
+    return scores;
+}
+
+function matchQuality(queryTerm, term) {
+    if (term === queryTerm) return EXACT_MATCH;
+    if (queryTerm.length >= 2 && term.startsWith(queryTerm)) return PREFIX_MATCH;
+
+    const maxEdits = queryTerm.length >= 8 ? 2 : queryTerm.length >= 4 ? 1 : 0;
+    if (maxEdits > 0 && editDistance(queryTerm, term, maxEdits) <= maxEdits) return FUZZY_MATCH;
+
+    return 0;
+}
+
+// Distância de Levenshtein, interrompida assim que passa de `max`
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+module.exports = {
+    normalize,
+    stem,
+    analyze,
+    documentTerms,
+    addToTextIndex,
+    removeFromTextIndex,
+    scoreDocuments
+};
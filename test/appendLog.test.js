@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+const { tempDir, runProcess } = require('./helpers');
+
+// Engine 'log': estado reconstruído a partir de `<colecao>.ndjson`
+
+test('reconstrói a coleção relendo o log', async () => {
+    const dir = await tempDir();
+    const db = new JsonDatabase(dir, 'items', { storage: 'log' });
+    await db.create({ id: 'a', quantity: 1 });
+    await db.create({ id: 'b', quantity: 1 });
+    await db.update('a', { $inc: { quantity: 2 } });
+    await db.delete('b');
+
+    const reopened = new JsonDatabase(dir, 'items', { storage: 'log' });
+    assert.deepEqual((await reopened.find()).map(doc => [doc.id, doc.quantity]), [['a', 3]]);
+});
+
+test('acompanha os commits acrescentados por outra instância', async () => {
+    const dir = await tempDir();
+    const reader = new JsonDatabase(dir, 'items', { storage: 'log' });
+    await reader.create({ id: 'a' });
+
+    const writer = new JsonDatabase(dir, 'items', { storage: 'log' });
+    await writer.create({ id: 'b' });
+    await writer.update('a', { name: 'arroz' });
+
+    assert.equal((await reader.findById('a')).name, 'arroz');
+    assert.ok(await reader.findById('b'));
+});
+
+test('leituras durante os próprios commits, com outro processo escrevendo, mantêm a posição no log', async () => {
+    const dir = await tempDir();
+    const db = new JsonDatabase(dir, 'items', { storage: 'log' });
+    await db.ready;
+
+    const other = runProcess(`
+        const db = new JsonDatabase(${JSON.stringify(dir)}, 'items', { storage: 'log' });
+        for (let n = 0; n < 40; n++) await db.create({ writer: 'outro', n, note: 'x'.repeat(200) });
+    `);
+
+    // A posição lida nunca passa do fim do arquivo (sem compactação, ele só cresce)
+    const logPath = path.join(dir, 'items.ndjson');
+    let writing = true;
+    const writes = (async () => {
+        for (let n = 0; n < 40; n++) await db.create({ writer: 'este', n });
+        writing = false;
+    })();
+    const reads = (async () => {
+        while (writing) {
+            await Promise.all([db.find(), db.count()]);
+            assert.ok(db.storage.offset <= (await fs.stat(logPath)).size);
+        }
+    })();
+    await Promise.all([other, writes, reads]);
+
+    assert.equal(await db.count(), 80);
+    const reopened = new JsonDatabase(dir, 'items', { storage: 'log' });
+    assert.equal(await reopened.count(), 80);
+});
+
+test('descarta o commit incompleto no fim do log', async () => {
+    const dir = await tempDir();
+    const db = new JsonDatabase(dir, 'items', { storage: 'log' });
+    await db.create({ id: 'a' });
+
+    // Queda durante o append: entradas sem a linha { op: 'commit' }
+    const logPath = path.join(dir, 'items.ndjson');
+    const size = (await fs.stat(logPath)).size;
+    await fs.appendFile(logPath, `${JSON.stringify({ op: 'create', id: 'b', document: { id: 'b' } })}\n{"op":"comm`);
+
+    const reopened = new JsonDatabase(dir, 'items', { storage: 'log' });
+    assert.equal(await reopened.findById('b'), null);
+    assert.equal((await fs.stat(logPath)).size, size);
+
+    await reopened.create({ id: 'c' });
+    const again = new JsonDatabase(dir, 'items', { storage: 'log' });
+    assert.deepEqual((await again.find()).map(doc => doc.id).sort(), ['a', 'c']);
+});
+
+test('recusa um log com linha inválida antes do último commit', async () => {
+    const dir = await tempDir();
+    const db = new JsonDatabase(dir, 'items', { storage: 'log' });
+    await db.create({ id: 'a' });
+
+    await fs.appendFile(path.join(dir, 'items.ndjson'),
+        `não é json\n${JSON.stringify({ op: 'commit', at: new Date().toISOString() })}\n`);
+
+    const reopened = new JsonDatabase(dir, 'items', { storage: 'log' });
+    await assert.rejects(reopened.ready, error => error.code === 'EDBCORRUPT');
+});
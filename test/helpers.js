@@ -0,0 +1,46 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { after } = require('node:test');
+
+const JSON_DATABASE = path.join(__dirname, '..', 'shared', 'JsonDatabase.js');
+
+const created = [];
+
+// Diretório vazio para o banco de um teste, removido ao fim do arquivo de testes
+async function tempDir() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-test-'));
+    created.push(dir);
+    return dir;
+}
+
+after(() => Promise.all(created.map(dir => fs.remove(dir))));
+
+// Executa `script` em outro processo Node, com `JsonDatabase` já carregado.
+// Resolve com a saída padrão; falha com a saída de erro do processo.
+function runProcess(script, timeout = 30000) {
+    const source = `const JsonDatabase = require(${JSON.stringify(JSON_DATABASE)});\n` +
+        `(async () => {\n${script}\n})().catch(error => { console.error(error); process.exit(1); });`;
+
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, ['-e', source], { timeout }, (error, stdout, stderr) => {
+            if (error) {
+                error.message = `${error.message}\n${stderr}`;
+                return reject(error);
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+// PID de um processo que já terminou
+function deadPid() {
+    return new Promise((resolve, reject) => {
+        const child = execFile(process.execPath, ['-e', '']);
+        child.on('error', reject);
+        child.on('exit', () => resolve(child.pid));
+    });
+}
+
+module.exports = { tempDir, runProcess, deadPid };
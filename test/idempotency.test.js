@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+const { idempotency } = require('../shared/idempotency');
+const { tempDir } = require('./helpers');
+
+// Middleware de Idempotency-Key (shared/idempotency.js) com req/res mínimos do Express
+
+function request({ key, body = {}, userId = 'u1', path = '/items' }) {
+    const headers = key === undefined ? {} : { 'idempotency-key': key };
+    return {
+        method: 'POST',
+        baseUrl: '',
+        path,
+        body,
+        userId,
+        get: name => headers[name.toLowerCase()]
+    };
+}
+
+// Executa o middleware e, se ele chamar next(), `handler(req, res)`.
+// Resolve com a resposta enviada ao cliente.
+function call(middleware, req, handler) {
+    return new Promise((resolve, reject) => {
+        const res = {
+            statusCode: 200,
+            headers: {},
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            set(name, value) {
+                this.headers[name] = value;
+                return this;
+            },
+            json(body) {
+                resolve({ statusCode: this.statusCode, headers: this.headers, body });
+                return this;
+            }
+        };
+        Promise.resolve(middleware(req, res, () => handler(req, res))).catch(reject);
+    });
+}
+
+async function setup() {
+    const store = new JsonDatabase(await tempDir(), 'idempotency', { storage: 'memory' });
+    let calls = 0;
+    const handler = (req, res) => {
+        calls++;
+        res.status(201).json({ id: `item-${calls}`, ...req.body });
+    };
+    return { middleware: idempotency(store), handler, calls: () => calls };
+}
+
+test('devolve a primeira resposta nas repetições com a mesma chave', async () => {
+    const { middleware, handler, calls } = await setup();
+
+    const first = await call(middleware, request({ key: 'k1', body: { name: 'arroz' } }), handler);
+    const replay = await call(middleware, request({ key: 'k1', body: { name: 'arroz' } }), handler);
+
+    assert.equal(first.statusCode, 201);
+    assert.equal(replay.statusCode, 201);
+    assert.deepEqual(replay.body, first.body);
+    assert.equal(replay.headers['Idempotent-Replayed'], 'true');
+    assert.equal(calls(), 1);
+});
+
+test('recusa a mesma chave com outro corpo', async () => {
+    const { middleware, handler, calls } = await setup();
+
+    await call(middleware, request({ key: 'k1', body: { name: 'arroz' } }), handler);
+    const conflict = await call(middleware, request({ key: 'k1', body: { name: 'feijão' } }), handler);
+
+    assert.equal(conflict.statusCode, 422);
+    assert.equal(calls(), 1);
+});
+
+test('responde 409 enquanto a primeira requisição está em andamento', async () => {
+    const { middleware } = await setup();
+
+    let finish;
+    const slow = (req, res) => {
+        finish = () => res.status(201).json({ id: 'item-1' });
+    };
+    const first = call(middleware, request({ key: 'k1' }), slow);
+    while (!finish) await new Promise(resolve => setTimeout(resolve, 5));
+
+    const concurrent = await call(middleware, request({ key: 'k1' }), slow);
+    assert.equal(concurrent.statusCode, 409);
+    assert.equal(concurrent.headers['Retry-After'], '1');
+
+    finish();
+    assert.equal((await first).statusCode, 201);
+});
+
+test('separa as chaves por usuário', async () => {
+    const { middleware, handler, calls } = await setup();
+
+    await call(middleware, request({ key: 'k1', userId: 'u1' }), handler);
+    const other = await call(middleware, request({ key: 'k1', userId: 'u2' }), handler);
+
+    assert.equal(other.headers['Idempotent-Replayed'], undefined);
+    assert.equal(calls(), 2);
+});
+
+test('libera a chave depois de uma resposta 5xx', async () => {
+    const { middleware, handler, calls } = await setup();
+    const failing = (req, res) => res.status(503).json({ error: 'indisponível' });
+
+    assert.equal((await call(middleware, request({ key: 'k1' }), failing)).statusCode, 503);
+    const retry = await call(middleware, request({ key: 'k1' }), handler);
+
+    assert.equal(retry.statusCode, 201);
+    assert.equal(calls(), 1);
+});
+
+test('recusa chaves vazias ou longas demais', async () => {
+    const { middleware, handler, calls } = await setup();
+
+    assert.equal((await call(middleware, request({ key: '' }), handler)).statusCode, 400);
+    assert.equal((await call(middleware, request({ key: 'k'.repeat(256) }), handler)).statusCode, 400);
+    assert.equal(calls(), 0);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+const { tempDir, runProcess, deadPid } = require('./helpers');
+
+// Engine JSON: journal de escrita antecipada e lock da coleção entre processos
+
+test('reaplica na inicialização as operações do journal que não chegaram ao arquivo', async () => {
+    const dir = await tempDir();
+    const db = new JsonDatabase(dir, 'items');
+    await db.create({ id: 'a', name: 'arroz' });
+
+    // Queda depois de gravar o journal e antes de regravar o arquivo
+    const document = { id: 'b', name: 'feijão', createdAt: new Date().toISOString() };
+    await fs.appendFile(path.join(dir, 'items.journal'),
+        `${JSON.stringify({ op: 'create', id: 'b', document })}\n` +
+        `${JSON.stringify({ op: 'update', id: 'a', document: { id: 'a', name: 'arroz integral' } })}\n`);
+
+    const reopened = new JsonDatabase(dir, 'items', { cache: false });
+    await reopened.ready;
+
+    assert.equal((await reopened.findById('a')).name, 'arroz integral');
+    assert.equal((await reopened.findById('b')).name, 'feijão');
+    assert.equal(await fs.pathExists(path.join(dir, 'items.journal')), false);
+    assert.deepEqual((await fs.readJson(path.join(dir, 'items.json'))).map(doc => doc.id).sort(), ['a', 'b']);
+});
+
+test('ignora a linha incompleta no fim do journal', async () => {
+    const dir = await tempDir();
+    const db = new JsonDatabase(dir, 'items');
+    await db.create({ id: 'a', name: 'arroz' });
+
+    const document = { id: 'b', name: 'feijão' };
+    await fs.appendFile(path.join(dir, 'items.journal'),
+        `${JSON.stringify({ op: 'create', id: 'b', document })}\n{"op":"delete","id":"a`);
+
+    const reopened = new JsonDatabase(dir, 'items', { cache: false });
+    await reopened.ready;
+
+    assert.ok(await reopened.findById('a'));
+    assert.ok(await reopened.findById('b'));
+});
+
+test('escritas de vários processos na mesma coleção não se perdem', async () => {
+    const dir = await tempDir();
+    await new JsonDatabase(dir, 'items').ready;
+
+    const writer = `
+        const db = new JsonDatabase(${JSON.stringify(dir)}, 'items');
+        for (let n = 0; n < 30; n++) await db.create({ n });
+    `;
+    await Promise.all([runProcess(writer), runProcess(writer), runProcess(writer)]);
+
+    const reopened = new JsonDatabase(dir, 'items', { cache: false });
+    assert.equal(await reopened.count(), 90);
+    assert.equal(await fs.pathExists(path.join(dir, 'items.lock')), false);
+});
+
+test('remove o lock deixado por um processo que terminou', async () => {
+    const dir = await tempDir();
+    const db = new JsonDatabase(dir, 'items');
+    await db.ready;
+
+    await fs.writeFile(path.join(dir, 'items.lock'),
+        JSON.stringify({ pid: await deadPid(), acquiredAt: Date.now(), id: 'abandonado' }));
+
+    await db.create({ id: 'a' });
+    assert.ok(await db.findById('a'));
+    assert.equal(await fs.pathExists(path.join(dir, 'items.lock')), false);
+});
+
+test('não remove ao liberar um lock que passou a ser de outro dono', async () => {
+    const dir = await tempDir();
+    const db = new JsonDatabase(dir, 'items');
+    await db.ready;
+
+    const other = JSON.stringify({ pid: process.pid, acquiredAt: Date.now(), id: 'outro' });
+    await db.storage.withLock(async () => {
+        await fs.writeFile(path.join(dir, 'items.lock'), other);
+    });
+
+    assert.equal(await fs.readFile(path.join(dir, 'items.lock'), 'utf8'), other);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+const { tempDir, runProcess } = require('./helpers');
+
+// Transações entre coleções e a recuperação pelo registro em `_transactions/`
+
+for (const storage of ['json', 'log']) {
+    test(`conclui a transação interrompida depois da primeira coleção (${storage})`, async () => {
+        const dir = await tempDir();
+        const lists = new JsonDatabase(dir, 'lists', { storage });
+        const items = new JsonDatabase(dir, 'items', { storage });
+        await lists.create({ id: 'l1', total: 0 });
+        await items.create({ id: 'i1', quantity: 0 });
+
+        // O processo termina logo depois de gravar `items` (a primeira coleção
+        // na ordem dos locks), sem chegar a `lists`
+        await runProcess(`
+            const lists = new JsonDatabase(${JSON.stringify(dir)}, 'lists', { storage: '${storage}' });
+            const items = new JsonDatabase(${JSON.stringify(dir)}, 'items', { storage: '${storage}' });
+            lists.commit = () => process.exit(0);
+            await items.transaction(async tx => {
+                await tx.update('i1', { quantity: 2 });
+                await tx.collection(lists).update('l1', { total: 2 });
+            });
+        `);
+
+        const reopenedItems = new JsonDatabase(dir, 'items', { storage });
+        assert.equal((await reopenedItems.findById('i1')).quantity, 2);
+        assert.equal(await fs.pathExists(path.join(dir, '_transactions')), true);
+
+        const reopenedLists = new JsonDatabase(dir, 'lists', { storage });
+        assert.equal((await reopenedLists.findById('l1')).total, 2);
+
+        // Aplicada nas duas coleções: o registro sai na próxima verificação
+        await reopenedItems.update('i1', { checked: true });
+        assert.deepEqual(await fs.readdir(path.join(dir, '_transactions')), []);
+    });
+}
+
+test('não grava nada se o callback lançar erro', async () => {
+    const dir = await tempDir();
+    const lists = new JsonDatabase(dir, 'lists');
+    const items = new JsonDatabase(dir, 'items');
+    await lists.create({ id: 'l1', total: 0 });
+    await items.create({ id: 'i1', quantity: 0 });
+
+    await assert.rejects(items.transaction(async tx => {
+        await tx.update('i1', { quantity: 5 });
+        await tx.collection(lists).delete('l1');
+        throw new Error('cancelada');
+    }), /cancelada/);
+
+    assert.equal((await items.findById('i1')).quantity, 0);
+    assert.ok(await lists.findById('l1'));
+});
+
+test('repete a transação quando o que ela leu foi alterado', async () => {
+    const dir = await tempDir();
+    const items = new JsonDatabase(dir, 'items');
+    await items.create({ id: 'i1', quantity: 0 });
+
+    await Promise.all(Array.from({ length: 10 }, () => items.transaction(async tx => {
+        const item = await tx.findById('i1');
+        await new Promise(resolve => setTimeout(resolve, Math.random() * 5));
+        await tx.update('i1', { quantity: item.quantity + 1 });
+    }, { retries: 50 })));
+
+    assert.equal((await items.findById('i1')).quantity, 10);
+});